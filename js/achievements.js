@@ -0,0 +1,248 @@
+/**
+ * RevoFun Gaming Company - Achievements Engine
+ * Evaluates declarative achievement definitions whenever a game ends,
+ * stores unlocks per player and announces them with showMessage()
+ */
+
+import * as storage from './storage.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as events from './events.js';
+
+// Delay before announcing unlocks so the game's own end-of-game message is seen first
+const ACHIEVEMENT_TOAST_DELAY = 1500;
+
+// Games counted by cross-game achievements
+const ACHIEVEMENT_GAMES = ['numberGuessing', 'rockPaperScissors', 'memoryGame'];
+
+// Fewest pairs a memory board needs for the memory achievements: the standard 4 x 4 board.
+// Smaller custom boards are too quick to count.
+const ACHIEVEMENT_MIN_PAIRS = 8;
+
+/**
+ * Achievement definitions. Every criterion present must hold for the achievement to unlock:
+ *   game    - only games of this id trigger the achievement and are counted
+ *   when    - fields the finished game must match (see matchesCriteria)
+ *   total   - { count, where }: at least count games in the player's history match where
+ *   streak  - { wins }: the player's latest games (of this game, if set) are at least this many wins in a row
+ *   sameDay - { distinctGames }: games played on the day of the finished game span this many different games
+ */
+const ACHIEVEMENTS = [
+    {
+        id: 'first-game',
+        icon: '🎮',
+        title: 'First Steps',
+        description: 'Finish your first game.',
+        total: { count: 1 }
+    },
+    {
+        id: 'lucky-guess',
+        icon: '🍀',
+        title: 'Lucky Guess',
+        description: 'Guess the secret number in 1 attempt.',
+        game: 'numberGuessing',
+        when: { outcome: 'win', attempts: 1 }
+    },
+    {
+        id: 'number-cruncher',
+        icon: '🔢',
+        title: 'Number Cruncher',
+        description: 'Win 10 Number Guessing games.',
+        game: 'numberGuessing',
+        total: { count: 10, where: { outcome: 'win' } }
+    },
+    {
+        id: 'flawless-victory',
+        icon: '🏆',
+        title: 'Flawless Victory',
+        description: 'Win a Rock, Paper, Scissors match 3-0.',
+        game: 'rockPaperScissors',
+        when: { outcome: 'win', playerScore: { min: 3 }, computerScore: 0 }
+    },
+    {
+        id: 'hat-trick',
+        icon: '🎩',
+        title: 'Hat Trick',
+        description: 'Win 3 Rock, Paper, Scissors matches in a row.',
+        game: 'rockPaperScissors',
+        streak: { wins: 3 }
+    },
+    {
+        id: 'perfect-memory',
+        icon: '🧠',
+        title: 'Perfect Memory',
+        description: 'Finish a memory game on a 4 × 4 board or bigger without a single miss.',
+        game: 'memoryGame',
+        when: { outcome: 'win', moves: { field: 'pairs' }, pairs: { min: ACHIEVEMENT_MIN_PAIRS } }
+    },
+    {
+        id: 'speed-demon',
+        icon: '⚡',
+        title: 'Speed Demon',
+        description: 'Finish a memory game on a 4 × 4 board or bigger in 20 seconds or less.',
+        game: 'memoryGame',
+        when: { outcome: 'win', time: { max: 20 }, pairs: { min: ACHIEVEMENT_MIN_PAIRS } }
+    },
+    {
+        id: 'triple-threat',
+        icon: '🌈',
+        title: 'Triple Threat',
+        description: 'Play all three games in one day.',
+        sameDay: { distinctGames: ACHIEVEMENT_GAMES.length }
+    },
+    {
+        id: 'on-fire',
+        icon: '🔥',
+        title: 'On Fire',
+        description: 'Win 5 games in a row, in any game.',
+        streak: { wins: 5 }
+    },
+    {
+        id: 'dedicated',
+        icon: '⭐',
+        title: 'Dedicated Player',
+        description: 'Finish 25 games.',
+        total: { count: 25 }
+    }
+];
+
+/**
+ * Check achievements whenever a game's score is saved, in every game
+ */
+events.on('score:saved', function(event) {
+    try {
+        const unlocked = evaluateAchievements(event.entry);
+        if (unlocked.length > 0) {
+            setTimeout(() => announceAchievements(unlocked), ACHIEVEMENT_TOAST_DELAY);
+        }
+    } catch (error) {
+        console.error('Error evaluating achievements:', error);
+    }
+});
+
+/**
+ * Get all achievement definitions
+ * @returns {Array} Achievement definitions
+ */
+export function getAchievements() {
+    return [...ACHIEVEMENTS];
+}
+
+/**
+ * Get the achievements a player has unlocked
+ * @param {string} profileId - Profile id
+ * @returns {Object} Map of achievement id to unlock date (ISO string)
+ */
+export function getUnlockedAchievements(profileId) {
+    const unlocks = storage.readRecord(storage.STORAGE_KEYS.achievements);
+    return { ...(unlocks[profileId] || {}) };
+}
+
+/**
+ * Check every locked achievement against a finished game and save new unlocks
+ * @param {Object} entry - Score history entry of the game that just ended
+ * @returns {Array} Newly unlocked achievement definitions
+ */
+function evaluateAchievements(entry) {
+    if (!entry || !entry.playerId) {
+        // Anonymous games can't earn achievements
+        return [];
+    }
+
+    const unlocks = storage.readRecord(storage.STORAGE_KEYS.achievements);
+    const playerUnlocks = unlocks[entry.playerId] || {};
+    const history = scores.getScoreHistory({ playerId: entry.playerId });
+
+    const newlyUnlocked = ACHIEVEMENTS.filter(achievement => {
+        return !playerUnlocks[achievement.id] && isAchievementEarned(achievement, entry, history);
+    });
+
+    if (newlyUnlocked.length > 0) {
+        newlyUnlocked.forEach(achievement => {
+            playerUnlocks[achievement.id] = new Date().toISOString();
+        });
+        unlocks[entry.playerId] = playerUnlocks;
+        storage.writeRecord(storage.STORAGE_KEYS.achievements, unlocks);
+    }
+
+    return newlyUnlocked;
+}
+
+/**
+ * Check whether a finished game earns an achievement
+ * @param {Object} achievement - Achievement definition
+ * @param {Object} entry - The finished game's history entry
+ * @param {Array} history - The player's full history, oldest first
+ * @returns {boolean} True if every criterion holds
+ */
+function isAchievementEarned(achievement, entry, history) {
+    if (achievement.game && entry.game !== achievement.game) {
+        return false;
+    }
+
+    const games = achievement.game ? history.filter(item => item.game === achievement.game) : history;
+
+    if (achievement.when && !matchesCriteria(entry, achievement.when)) {
+        return false;
+    }
+
+    if (achievement.total) {
+        const where = achievement.total.where || {};
+        if (games.filter(item => matchesCriteria(item, where)).length < achievement.total.count) {
+            return false;
+        }
+    }
+
+    if (achievement.streak) {
+        const recent = games.slice(-achievement.streak.wins);
+        if (recent.length < achievement.streak.wins || !recent.every(item => item.outcome === 'win')) {
+            return false;
+        }
+    }
+
+    if (achievement.sameDay) {
+        const day = new Date(entry.date).toDateString();
+        const gamesThatDay = new Set(history
+            .filter(item => new Date(item.date).toDateString() === day)
+            .map(item => item.game));
+        if (gamesThatDay.size < achievement.sameDay.distinctGames) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Check an entry against a set of field criteria. Each criterion is either a
+ * plain value (must be equal), { min } / { max } (numeric bounds) or
+ * { field } (must equal another field of the same entry).
+ * @param {Object} entry - History entry
+ * @param {Object} criteria - Field criteria
+ * @returns {boolean} True if all criteria match
+ */
+function matchesCriteria(entry, criteria) {
+    return Object.keys(criteria).every(key => {
+        const expected = criteria[key];
+        const actual = entry[key];
+
+        if (expected && typeof expected === 'object') {
+            if (expected.field !== undefined && actual !== entry[expected.field]) return false;
+            if (expected.min !== undefined && !(actual >= expected.min)) return false;
+            if (expected.max !== undefined && !(actual <= expected.max)) return false;
+            return true;
+        }
+
+        return actual === expected;
+    });
+}
+
+/**
+ * Announce newly unlocked achievements
+ * @param {Array} achievements - Unlocked achievement definitions
+ */
+function announceAchievements(achievements) {
+    const names = achievements.map(achievement => `${achievement.icon} ${achievement.title}`).join(', ');
+    const label = achievements.length === 1 ? 'Achievement unlocked' : 'Achievements unlocked';
+    ui.showMessage(`🏅 ${label}: ${names}!`, 'success', 5000);
+}
@@ -0,0 +1,72 @@
+/**
+ * RevoFun Gaming Company - Application Start-up
+ * Starts the application on every page: brings stored data up to date, loads it, sets up
+ * navigation and starts the router, which shows the other pages in this one (see router.js),
+ * then sets up the offline app (see pwa.js). Every page loads this script first.
+ */
+
+import * as storage from './storage.js';
+import * as user from './user.js';
+import * as ui from './ui.js';
+import * as router from './router.js';
+import * as pwa from './pwa.js';
+
+/**
+ * Initialize the application when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    try {
+        // Bring stored data up to date, then load it
+        storage.onStorageQuarantine(() => {
+            ui.showErrorMessage('Some saved data was damaged and has been set aside. Everything else was kept.');
+        });
+        const storageReady = storage.initStorage();
+        if (storage.getStorageBackend().isReady()) {
+            user.loadUserData();
+        } else {
+            // Asynchronous backends (IndexedDB) finish loading after the page has started
+            storageReady.then(() => {
+                user.loadUserData();
+                document.dispatchEvent(new CustomEvent('revofun:storageready'));
+            }).catch(error => {
+                console.error('Error initializing storage:', error);
+                ui.showErrorMessage('Failed to load saved data. Your progress may not be saved.');
+            });
+        }
+        
+        // Initialize navigation
+        ui.initializeNavigation();
+        
+        // Add fade-in animation to main content
+        ui.addFadeInAnimation();
+        
+        // Show this page, then move between pages without reloading
+        router.startRouter();
+        
+        // Play offline, install the site as an app and pick up new versions
+        pwa.registerServiceWorker();
+        pwa.initializeOfflineIndicator();
+        pwa.initializeInstallButton();
+        
+        console.log('RevoFun application initialized successfully');
+    } catch (error) {
+        console.error('Error initializing RevoFun application:', error);
+        ui.showErrorMessage('Failed to initialize the application. Please refresh the page.');
+    }
+});
+
+/**
+ * Global error handler for unhandled errors
+ */
+window.addEventListener('error', function(event) {
+    console.error('Unhandled error:', event.error);
+    ui.showErrorMessage('An unexpected error occurred. Please refresh the page if problems persist.');
+});
+
+/**
+ * Global error handler for unhandled promise rejections
+ */
+window.addEventListener('unhandledrejection', function(event) {
+    console.error('Unhandled promise rejection:', event.reason);
+    ui.showErrorMessage('An unexpected error occurred. Please refresh the page if problems persist.');
+});
@@ -0,0 +1,76 @@
+/**
+ * Badges Page - JavaScript Implementation
+ * Lists every achievement and which ones the selected player has unlocked
+ */
+
+import * as utils from './utils.js';
+import * as ui from './ui.js';
+import * as achievements from './achievements.js';
+import * as router from './router.js';
+
+// DOM elements
+let profileSelect, badgesContainer, badgesSummary;
+
+router.registerPage('badges.html', {
+    init: initializeBadgesPage,
+    enter: showBadgesPage,
+    errorMessage: 'Failed to load badges. Please refresh the page.'
+});
+
+/**
+ * Initialize the badges page the first time it is shown
+ */
+function initializeBadgesPage() {
+    initializeElements();
+    profileSelect.addEventListener('change', renderBadges);
+
+    // Re-render once an asynchronous storage backend has loaded
+    document.addEventListener('revofun:storageready', showBadgesPage);
+}
+
+/**
+ * Show the badges with the latest profiles and unlocks
+ */
+function showBadgesPage() {
+    ui.fillProfileSelect(profileSelect);
+    renderBadges();
+}
+
+/**
+ * Initialize DOM elements
+ */
+function initializeElements() {
+    profileSelect = document.getElementById('badgesProfileSelect');
+    badgesContainer = document.getElementById('badgesContainer');
+    badgesSummary = document.getElementById('badgesSummary');
+
+    if (!profileSelect || !badgesContainer || !badgesSummary) {
+        throw new Error('Missing required DOM elements for the badges page');
+    }
+}
+
+/**
+ * Render every badge, locked or unlocked, for the selected player
+ */
+function renderBadges() {
+    const profileId = profileSelect.value;
+    const unlocked = profileId ? achievements.getUnlockedAchievements(profileId) : {};
+    const allAchievements = achievements.getAchievements();
+    const unlockedCount = allAchievements.filter(achievement => unlocked[achievement.id]).length;
+
+    badgesSummary.textContent = profileId
+        ? `${unlockedCount} of ${allAchievements.length} badges unlocked`
+        : 'No players yet. Play a game to start earning badges!';
+
+    badgesContainer.innerHTML = allAchievements.map(achievement => {
+        const unlockDate = unlocked[achievement.id];
+        return `
+            <div class="badge-card ${unlockDate ? 'unlocked' : 'locked'}">
+                <div class="badge-icon">${unlockDate ? achievement.icon : '🔒'}</div>
+                <h3>${utils.escapeHTML(achievement.title)}</h3>
+                <p>${utils.escapeHTML(achievement.description)}</p>
+                <div class="badge-date">${unlockDate ? `Unlocked ${new Date(unlockDate).toLocaleDateString()}` : 'Locked'}</div>
+            </div>
+        `;
+    }).join('');
+}
@@ -0,0 +1,205 @@
+/**
+ * Daily Challenge Page - JavaScript Implementation
+ * Today's challenges, the selected player's streaks and a month-by-month calendar of their results
+ */
+
+import * as utils from './utils.js';
+import * as ui from './ui.js';
+import * as daily from './daily.js';
+import * as router from './router.js';
+
+// Calendar weeks start on Monday, like the leaderboard's "This week"
+const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// First day of the month shown on the calendar
+let calendarMonth = null;
+
+// DOM elements
+let profileSelect, dailyToday, dailyStreaks, dailyCalendar, calendarTitle, prevMonthBtn, nextMonthBtn;
+
+router.registerPage('daily.html', {
+    init: initializeDailyPage,
+    enter: showDailyPage,
+    errorMessage: 'Failed to load the daily challenge. Please refresh the page.'
+});
+
+/**
+ * Initialize the daily challenge page the first time it is shown
+ */
+function initializeDailyPage() {
+    initializeElements();
+
+    const today = new Date();
+    calendarMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+
+    profileSelect.addEventListener('change', renderDailyPage);
+    prevMonthBtn.addEventListener('click', () => changeMonth(-1));
+    nextMonthBtn.addEventListener('click', () => changeMonth(1));
+
+    // Re-render once an asynchronous storage backend has loaded
+    document.addEventListener('revofun:storageready', showDailyPage);
+}
+
+/**
+ * Show the daily challenges with the latest profiles and results
+ */
+function showDailyPage() {
+    ui.fillProfileSelect(profileSelect);
+    renderDailyPage();
+}
+
+/**
+ * Initialize DOM elements
+ */
+function initializeElements() {
+    profileSelect = document.getElementById('dailyProfileSelect');
+    dailyToday = document.getElementById('dailyToday');
+    dailyStreaks = document.getElementById('dailyStreaks');
+    dailyCalendar = document.getElementById('dailyCalendar');
+    calendarTitle = document.getElementById('calendarTitle');
+    prevMonthBtn = document.getElementById('prevMonthBtn');
+    nextMonthBtn = document.getElementById('nextMonthBtn');
+
+    if (!profileSelect || !dailyToday || !dailyStreaks || !dailyCalendar || !calendarTitle || !prevMonthBtn || !nextMonthBtn) {
+        throw new Error('Missing required DOM elements for the daily challenge page');
+    }
+}
+
+/**
+ * Render today's challenges, streaks and the calendar for the selected player
+ */
+function renderDailyPage() {
+    const profileId = profileSelect.value;
+    const results = profileId ? daily.getDailyResults(profileId) : {};
+    const today = daily.getDailyKey();
+
+    renderToday(results[today] || {});
+    renderStreaks(profileId, results);
+    renderCalendar(results);
+}
+
+/**
+ * Show today's challenge for every game, with a link to play it or the player's result
+ * @param {Object} todayResults - The player's results for today, by game
+ */
+function renderToday(todayResults) {
+    dailyToday.innerHTML = `
+        <h2>Today's Challenges</h2>
+        <div class="daily-games">
+            ${daily.getDailyGames().map(game => {
+                const played = game.id in todayResults;
+                return `
+                    <div class="daily-game ${played ? 'played' : ''}">
+                        <div class="daily-game-icon">${game.icon}</div>
+                        <h3>${utils.escapeHTML(game.title)}</h3>
+                        <p>${utils.escapeHTML(played ? describeDailyOutcome(todayResults[game.id]) : 'Not played yet')}</p>
+                        ${played ? '' : `<a href="${game.page}?${daily.DAILY_URL_PARAM}" class="btn">Play</a>`}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Show the player's daily streaks
+ * @param {string} profileId - Selected profile id
+ * @param {Object} results - Results from getDailyResults()
+ */
+function renderStreaks(profileId, results) {
+    if (!profileId) {
+        dailyStreaks.innerHTML = '<p class="stats-empty">No players yet. Play a challenge to create your profile!</p>';
+        return;
+    }
+
+    const streaks = daily.getDailyStreaks(results);
+    const wins = Object.values(results)
+        .flatMap(day => Object.values(day))
+        .filter(entry => entry && entry.outcome === 'win').length;
+
+    dailyStreaks.innerHTML = `
+        <div class="game-stats stats-row">
+            ${[
+                ['Current Streak', `${streaks.current} day${streaks.current === 1 ? '' : 's'}`],
+                ['Best Streak', `${streaks.best} day${streaks.best === 1 ? '' : 's'}`],
+                ['Days Played', streaks.daysPlayed],
+                ['Challenges Won', wins]
+            ].map(([label, value]) => `
+                <div class="stat-item">
+                    <div class="label">${label}</div>
+                    <div class="value">${value}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the calendar month with the player's result for each day and game
+ * @param {Object} results - Results from getDailyResults()
+ */
+function renderCalendar(results) {
+    const today = daily.getDailyKey();
+    const year = calendarMonth.getFullYear();
+    const month = calendarMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = (calendarMonth.getDay() + 6) % 7;
+
+    calendarTitle.textContent = calendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+    // Future months have no results to show
+    nextMonthBtn.disabled = daily.getDailyKey(new Date(year, month + 1, 1)) > today;
+
+    const cells = [];
+    for (let i = 0; i < leadingBlanks; i++) {
+        cells.push('<div class="calendar-day empty"></div>');
+    }
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dayKey = daily.getDailyKey(new Date(year, month, day));
+        const dayResults = results[dayKey] || {};
+        const classes = ['calendar-day'];
+        if (dayKey === today) classes.push('today');
+        if (dayKey > today) classes.push('future');
+        if (Object.keys(dayResults).length > 0) classes.push('played');
+
+        cells.push(`
+            <div class="${classes.join(' ')}">
+                <span class="calendar-date">${day}</span>
+                <span class="calendar-results">
+                    ${daily.getDailyGames().filter(game => game.id in dayResults).map(game => {
+                        const entry = dayResults[game.id];
+                        const outcome = daily.DAILY_OUTCOMES[entry ? entry.outcome : 'unfinished'] || daily.DAILY_OUTCOMES.unfinished;
+                        return `<span title="${utils.escapeHTML(`${game.title}: ${describeDailyOutcome(entry)}`)}">${game.icon}${outcome.icon}</span>`;
+                    }).join('')}
+                </span>
+            </div>
+        `);
+    }
+
+    dailyCalendar.innerHTML = `
+        ${CALENDAR_WEEKDAYS.map(weekday => `<div class="calendar-weekday">${weekday}</div>`).join('')}
+        ${cells.join('')}
+    `;
+}
+
+/**
+ * Describe one daily challenge result
+ * @param {Object|null} entry - History entry, or null for an unfinished attempt
+ * @returns {string} E.g. "Won - 1,234 points"
+ */
+function describeDailyOutcome(entry) {
+    if (!entry) {
+        return daily.DAILY_OUTCOMES.unfinished.label;
+    }
+    const outcome = daily.DAILY_OUTCOMES[entry.outcome];
+    return `${outcome ? outcome.label : 'Finished'} - ${utils.formatNumber(entry.score)} points`;
+}
+
+/**
+ * Move the calendar to an earlier or later month
+ * @param {number} months - Months to move (negative for earlier)
+ */
+function changeMonth(months) {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + months, 1);
+    renderDailyPage();
+}
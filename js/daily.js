@@ -0,0 +1,243 @@
+/**
+ * RevoFun Gaming Company - Daily Challenge
+ * One fixed game per calendar day for every game, seeded from the date: a single
+ * attempt per player per day, a leaderboard for each day, and each player's results and streaks
+ */
+
+import * as storage from './storage.js';
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as games from './games.js';
+
+// Play mode saved with daily challenge scores, and the URL parameter that opens a game in it
+export const DAILY_MODE = 'daily';
+export const DAILY_URL_PARAM = 'daily';
+
+// How each result reads in messages and on the calendar
+export const DAILY_OUTCOMES = {
+    win: { icon: '✅', label: 'Won' },
+    draw: { icon: '➖', label: 'Drew' },
+    loss: { icon: '❌', label: 'Lost' },
+    unfinished: { icon: '⏳', label: 'Unfinished' }
+};
+
+/**
+ * Games with a daily challenge
+ * @returns {Array} Games from the registry (see games.js)
+ */
+export function getDailyGames() {
+    return games.getGames().filter(game => game.dailyChallenge);
+}
+
+/**
+ * Key of a calendar day in local time
+ * @param {Date} date - Day to get the key of (defaults to today)
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function getDailyKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Day key a number of days before or after another
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Days to move (negative for earlier)
+ * @returns {string} Day key
+ */
+export function shiftDailyKey(dayKey, days) {
+    const date = parseDailyKey(dayKey);
+    date.setDate(date.getDate() + days);
+    return getDailyKey(date);
+}
+
+/**
+ * Turn a day key back into a date
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {Date} Local midnight of that day
+ */
+export function parseDailyKey(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Readable date of a day key
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {string} E.g. "Oct 19, 2026"
+ */
+export function formatDailyDate(dayKey) {
+    return parseDailyKey(dayKey).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Seed of a game's daily challenge, the same for every player on that day. It is never
+ * shown, and ?seed= links in this form are ignored (see utils.getUrlSeed()).
+ * @param {string} gameName - Game id
+ * @param {string} dayKey - Day key (defaults to today)
+ * @returns {string} Seed for startSeededGame()
+ */
+export function getDailySeed(gameName, dayKey = getDailyKey()) {
+    return `${dayKey}:${gameName}`;
+}
+
+/**
+ * Whether the page was opened to play the daily challenge (?daily)
+ * @returns {boolean} True if the URL asks for the daily challenge
+ */
+export function isDailyRequested() {
+    return new URLSearchParams(window.location.search).has(DAILY_URL_PARAM);
+}
+
+/**
+ * Fields saved with a daily challenge score
+ * @param {string} dayKey - Day the challenge belongs to
+ * @returns {Object} Mode and day
+ */
+export function getDailyDetails(dayKey) {
+    return { mode: DAILY_MODE, daily: dayKey };
+}
+
+/**
+ * When a day's challenge closes: a game of it saved mid-way can't be resumed after that
+ * @param {string} dayKey - Day key
+ * @returns {Date} Local midnight at the end of that day
+ */
+export function getDailyExpiry(dayKey) {
+    return parseDailyKey(shiftDailyKey(dayKey, 1));
+}
+
+/**
+ * Whether a player has already had their attempt at a day's challenge
+ * @param {string} gameName - Game id
+ * @param {Object} profile - Player (defaults to the active profile)
+ * @param {string} dayKey - Day key (defaults to today)
+ * @returns {boolean} True once the attempt has started
+ */
+export function hasPlayedDaily(gameName, profile = user.currentUser, dayKey = getDailyKey()) {
+    if (!profile) {
+        return false;
+    }
+
+    const attempts = storage.readRecord(storage.STORAGE_KEYS.dailyAttempts)[profile.id] || {};
+    return Boolean(attempts[dayKey] && attempts[dayKey][gameName]) || Boolean(getDailyEntry(gameName, profile.id, dayKey));
+}
+
+/**
+ * Use up a player's attempt at a day's challenge. The attempt counts from the
+ * first move, so leaving mid-game doesn't give a second try.
+ * @param {string} gameName - Game id
+ * @param {Object} profile - Player (defaults to the active profile)
+ * @param {string} dayKey - Day key (defaults to today)
+ */
+export function startDailyAttempt(gameName, profile = user.currentUser, dayKey = getDailyKey()) {
+    if (!profile) {
+        throw new Error('Choose a player before starting the daily challenge');
+    }
+    if (hasPlayedDaily(gameName, profile, dayKey)) {
+        throw new Error('This player has already played the daily challenge');
+    }
+
+    const attempts = storage.readRecord(storage.STORAGE_KEYS.dailyAttempts);
+    const days = attempts[profile.id] || {};
+    days[dayKey] = { ...days[dayKey], [gameName]: new Date().toISOString() };
+    attempts[profile.id] = days;
+    storage.writeRecord(storage.STORAGE_KEYS.dailyAttempts, attempts);
+}
+
+/**
+ * A player's saved result for a day's challenge
+ * @param {string} gameName - Game id
+ * @param {string} profileId - Profile id
+ * @param {string} dayKey - Day key
+ * @returns {Object|null} History entry, or null if there is none
+ */
+export function getDailyEntry(gameName, profileId, dayKey) {
+    return scores.getScoreHistory({ game: gameName, playerId: profileId })
+        .find(entry => entry.mode === DAILY_MODE && entry.daily === dayKey) || null;
+}
+
+/**
+ * Describe a player's attempt at a day's challenge
+ * @param {string} gameName - Game id
+ * @param {Object} profile - Player (defaults to the active profile)
+ * @param {string} dayKey - Day key (defaults to today)
+ * @returns {string} Sentence for the game status
+ */
+export function describeDailyResult(gameName, profile = user.currentUser, dayKey = getDailyKey()) {
+    const entry = profile ? getDailyEntry(gameName, profile.id, dayKey) : null;
+    const result = entry
+        ? `${DAILY_OUTCOMES[entry.outcome] ? DAILY_OUTCOMES[entry.outcome].label : 'Finished'} with ${utils.formatNumber(entry.score)} points.`
+        : 'Your attempt was not finished.';
+    return `You've played today's challenge: ${result} A new challenge starts tomorrow!`;
+}
+
+/**
+ * Render the leaderboard of a day's challenge
+ * @param {string} gameName - Game id
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} options - Columns and sort keys (see createLeaderboard)
+ * @param {string} dayKey - Day key (defaults to today)
+ */
+export function createDailyLeaderboard(gameName, container, options = {}, dayKey = getDailyKey()) {
+    ui.createLeaderboard(gameName, container, {
+        ...options,
+        title: `Daily Challenge: ${formatDailyDate(dayKey)}`,
+        timeWindows: ['all'],
+        partition: getDailyDetails(dayKey)
+    });
+}
+
+/**
+ * A player's daily challenge results, by day and game
+ * @param {string} profileId - Profile id
+ * @returns {Object} { dayKey: { gameName: history entry, or null if the attempt wasn't finished } }
+ */
+export function getDailyResults(profileId) {
+    const results = {};
+    const attempts = storage.readRecord(storage.STORAGE_KEYS.dailyAttempts)[profileId] || {};
+
+    Object.keys(attempts).forEach(dayKey => {
+        results[dayKey] = {};
+        Object.keys(attempts[dayKey]).forEach(gameName => {
+            results[dayKey][gameName] = null;
+        });
+    });
+
+    scores.getScoreHistory({ playerId: profileId })
+        .filter(entry => entry.mode === DAILY_MODE && typeof entry.daily === 'string')
+        .forEach(entry => {
+            results[entry.daily] = results[entry.daily] || {};
+            results[entry.daily][entry.game] = entry;
+        });
+
+    return results;
+}
+
+/**
+ * Streaks of consecutive days with at least one daily challenge played
+ * @param {Object} results - Results from getDailyResults()
+ * @param {string} today - Day key of today
+ * @returns {Object} { current, best, daysPlayed }; the current streak survives until today is over
+ */
+export function getDailyStreaks(results, today = getDailyKey()) {
+    const days = Object.keys(results).filter(dayKey => Object.keys(results[dayKey]).length > 0).sort();
+
+    let best = 0;
+    let run = 0;
+    days.forEach((dayKey, index) => {
+        run = index > 0 && shiftDailyKey(days[index - 1], 1) === dayKey ? run + 1 : 1;
+        best = Math.max(best, run);
+    });
+
+    let current = 0;
+    let day = results[today] ? today : shiftDailyKey(today, -1);
+    while (results[day] && Object.keys(results[day]).length > 0) {
+        current++;
+        day = shiftDailyKey(day, -1);
+    }
+
+    return { current, best, daysPlayed: days.length };
+}
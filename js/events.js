@@ -0,0 +1,69 @@
+/**
+ * RevoFun Gaming Company - Game Events
+ * A small event bus for what happens in games, so shared features (scoring, player
+ * stats, achievements, the leaderboard) react to games instead of every game calling them
+ */
+
+/**
+ * Event types and their payloads:
+ *   game:start   - { game, details }: a game began (details.resumed is true for a saved game carried on)
+ *   game:move    - { game, move }: the player made a move (a guess, a pick, a card)
+ *   game:pause   - { game }: the game was paused
+ *   game:resume  - { game }: a paused game carried on
+ *   game:end     - { game, results }: a game finished; results is a list of
+ *                  { profile, score, details }, one per player whose result this tab saves
+ *   score:saved  - { game, entry }: a result was recorded in the score history
+ */
+export const GAME_EVENT_TYPES = ['game:start', 'game:move', 'game:pause', 'game:resume', 'game:end', 'score:saved'];
+
+// Subscribers, by event type
+const subscribers = new Map(GAME_EVENT_TYPES.map(type => [type, []]));
+
+/**
+ * Check that an event type is one of GAME_EVENT_TYPES
+ * @param {string} type - Event type
+ */
+function checkEventType(type) {
+    if (!subscribers.has(type)) {
+        throw new Error(`Unknown game event: ${type}`);
+    }
+}
+
+/**
+ * Subscribe to an event. Subscribers run in the order they subscribed; the shared
+ * modules subscribe as they load, so page code runs after scores have been saved.
+ * @param {string} type - Event type (see GAME_EVENT_TYPES)
+ * @param {Function} handler - Called with the event's payload
+ * @returns {Function} Call to unsubscribe
+ */
+export function on(type, handler) {
+    checkEventType(type);
+    subscribers.get(type).push(handler);
+    return () => off(type, handler);
+}
+
+/**
+ * Unsubscribe from an event
+ * @param {string} type - Event type
+ * @param {Function} handler - Handler passed to on()
+ */
+export function off(type, handler) {
+    checkEventType(type);
+    subscribers.set(type, subscribers.get(type).filter(subscriber => subscriber !== handler));
+}
+
+/**
+ * Send an event to its subscribers. One failing subscriber doesn't stop the others.
+ * @param {string} type - Event type (see GAME_EVENT_TYPES)
+ * @param {Object} payload - Event payload
+ */
+export function emit(type, payload) {
+    checkEventType(type);
+    subscribers.get(type).forEach(handler => {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`Error handling ${type}:`, error);
+        }
+    });
+}
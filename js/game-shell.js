@@ -0,0 +1,245 @@
+/**
+ * RevoFun Gaming Company - Game Shell
+ * The parts every game page shares, built from the game's declaration in games.js:
+ * start-up, the profile gate, the pause and switch player controls and the leaderboard.
+ * A game plugs into its page by mounting its lifecycle hooks with mountGame(); the router
+ * (see router.js) shows and leaves the page.
+ */
+
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as daily from './daily.js';
+import * as savedGames from './saved-games.js';
+import * as games from './games.js';
+import * as events from './events.js';
+import * as router from './router.js';
+
+// The game on the page shown last: its declaration, its hooks and the shared elements the shell looks after
+let mountedGame = null;
+
+/**
+ * Plug a game into its page; the shell starts it whenever the router shows the page
+ * @param {string} id - Game id (see games.js)
+ * @param {Object} hooks - The game's lifecycle:
+ *   init()          - Find the game's elements and set up its own controls
+ *   start(profile)  - A player came through the profile gate: begin a game (or offer to resume one)
+ *   pause()         - Stop the clock and put play on hold. Optional; games without it have no pause button.
+ *   resume()        - Carry on a paused game
+ *   end()           - Stop play before another player is chosen, e.g. leave a game with another tab
+ *   save()          - Snapshot the game in progress as the page closes. Optional.
+ *   leaderboard()   - The leaderboard to show: { title, partition }, or { daily: true } for today's challenge
+ * @returns {Object} The mounted game
+ */
+export function mountGame(id, hooks) {
+    const game = games.getGame(id);
+    if (!game) {
+        throw new Error(`No game is registered with the id "${id}"`);
+    }
+
+    const mounted = { game: game, hooks: hooks, elements: {}, paused: false };
+    router.registerPage(game.page, {
+        init: () => initializeGamePage(mounted),
+        enter: () => enterGamePage(mounted),
+        leave: () => leaveGamePage(mounted),
+        errorMessage: `Failed to initialize ${game.title}. Please refresh the page.`
+    });
+    return mounted;
+}
+
+/**
+ * Set up the page the first time it is shown: the game's own start-up, then the shared controls
+ * @param {Object} mounted - Mounted game
+ */
+function initializeGamePage(mounted) {
+    mountedGame = mounted;
+    initializeShellElements();
+    mounted.hooks.init();
+    setupShellControls();
+}
+
+/**
+ * Show the page: ask who is playing, and show the leaderboard
+ * @param {Object} mounted - Mounted game
+ */
+function enterGamePage(mounted) {
+    mountedGame = mounted;
+    showProfileGate();
+    openRequestedDaily();
+    renderLeaderboard();
+}
+
+/**
+ * Stop the game as the player moves to another page: snapshot it so it can be resumed,
+ * then stop play and its timers
+ * @param {Object} mounted - Mounted game
+ */
+function leaveGamePage(mounted) {
+    if (mounted.hooks.save) {
+        mounted.hooks.save();
+    }
+    mounted.hooks.end();
+}
+
+/**
+ * Check whether a game's page is the one being shown
+ * @param {Object} mounted - Mounted game
+ * @returns {boolean} True while the router shows the game's page
+ */
+function isGamePageShowing(mounted) {
+    return router.getCurrentPage() === mounted.game.page;
+}
+
+/**
+ * Find the elements every game page has
+ */
+function initializeShellElements() {
+    const ids = ['profileSection', 'resumePrompt', 'switchPlayerBtn', 'leaderboardContainer'];
+    if (mountedGame.hooks.pause) {
+        ids.push('pauseBtn');
+    }
+
+    const missing = ids.filter(id => {
+        mountedGame.elements[id] = document.getElementById(id);
+        return !mountedGame.elements[id];
+    });
+    if (missing.length > 0) {
+        throw new Error(`Missing required DOM elements: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Wire up the controls every game page shares
+ */
+function setupShellControls() {
+    const mounted = mountedGame;
+    const { hooks, elements } = mounted;
+
+    elements.switchPlayerBtn.addEventListener('click', function(e) {
+        try {
+            e.preventDefault();
+            showProfileGate();
+        } catch (error) {
+            console.error('Error switching player:', error);
+            ui.showErrorMessage('Failed to switch player. Please try again.');
+        }
+    });
+
+    if (hooks.pause) {
+        elements.pauseBtn.addEventListener('click', function() {
+            if (mounted.paused) {
+                hooks.resume();
+            } else {
+                hooks.pause();
+            }
+        });
+
+        // Stop the clock while the player is on another tab or window; they carry on with the Resume button
+        document.addEventListener('visibilitychange', function() {
+            if (document.hidden && isGamePageShowing(mounted)) {
+                hooks.pause();
+            }
+        });
+    }
+
+    // Snapshot the game once more on the way out, so the clock is saved up to the moment the page closed
+    if (hooks.save) {
+        window.addEventListener('pagehide', function() {
+            if (isGamePageShowing(mounted)) {
+                hooks.save();
+            }
+        });
+    }
+}
+
+// Show each finished game on the leaderboard as soon as its score is saved
+events.on('game:end', function(event) {
+    if (mountedGame && event.game === mountedGame.game.id) {
+        renderLeaderboard();
+    }
+});
+
+/**
+ * Ask who is playing, stopping any game until a profile is chosen
+ */
+export function showProfileGate() {
+    const { hooks, elements } = mountedGame;
+
+    hooks.end();
+    if (elements.pauseBtn) {
+        elements.pauseBtn.style.display = 'none';
+    }
+    savedGames.hideResumePrompt(elements.resumePrompt);
+
+    ui.showProfilePicker(elements.profileSection, profile => hooks.start(profile));
+}
+
+/**
+ * Check whether the game is waiting for a player to be chosen
+ * @returns {boolean} True while the profile picker is showing
+ */
+export function isProfileGateOpen() {
+    return mountedGame.elements.profileSection.style.display !== 'none';
+}
+
+/**
+ * Links from the daily challenge calendar open straight into today's challenge
+ */
+function openRequestedDaily() {
+    const playModeSelect = document.getElementById('playModeSelect');
+    if (!mountedGame.game.dailyChallenge || !playModeSelect || !daily.isDailyRequested()) {
+        return;
+    }
+
+    playModeSelect.value = daily.DAILY_MODE;
+    playModeSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Show or hide the pause button, and whether it pauses or resumes
+ * @param {boolean} available - True if the game in progress can be paused
+ * @param {boolean} paused - True if the game is paused
+ */
+export function updatePauseButton(available, paused) {
+    const pauseBtn = mountedGame.elements.pauseBtn;
+    mountedGame.paused = paused;
+    pauseBtn.style.display = available ? 'inline-block' : 'none';
+    pauseBtn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+}
+
+/**
+ * Leaderboard query for what the game is showing now
+ * @returns {Object} { view (from the leaderboard hook), options (see createLeaderboard) }
+ */
+function getLeaderboardQuery() {
+    const { game, hooks } = mountedGame;
+    const { columns, sortKeys, partitionDefaults } = game.scoreSchema;
+    const view = hooks.leaderboard();
+
+    if (view.daily) {
+        return { view: view, options: { columns, sortKeys, partition: daily.getDailyDetails(daily.getDailyKey()) } };
+    }
+    return { view: view, options: { columns, sortKeys, partitionDefaults, ...view } };
+}
+
+/**
+ * Render the game's leaderboard for what it is showing now
+ */
+export function renderLeaderboard() {
+    const { game, elements } = mountedGame;
+    const { view, options } = getLeaderboardQuery();
+
+    if (view.daily) {
+        daily.createDailyLeaderboard(game.id, elements.leaderboardContainer, { columns: options.columns, sortKeys: options.sortKeys });
+        return;
+    }
+    ui.createLeaderboard(game.id, elements.leaderboardContainer, options);
+}
+
+/**
+ * The entries of the leaderboard the game is showing now
+ * @returns {Array} Entries, best first (see getLeaderboard)
+ */
+export function getLeaderboardEntries() {
+    const { options } = getLeaderboardQuery();
+    return scores.getLeaderboard(mountedGame.game.id, { partition: options.partition, partitionDefaults: options.partitionDefaults });
+}
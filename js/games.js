@@ -0,0 +1,140 @@
+/**
+ * RevoFun Gaming Company - Game Registry
+ * Every game on the site, declared once: the home page grid, the daily challenge,
+ * stats and replay pages list games from here, and the game shell (game-shell.js)
+ * builds each game page's profile gate, leaderboard and controls from the game's
+ * declaration and the lifecycle hooks the game mounts with it
+ */
+
+import * as utils from './utils.js';
+
+// Registered games, in the order they are shown
+const registeredGames = new Map();
+
+// Fields every game declares
+const REQUIRED_GAME_FIELDS = ['id', 'title', 'icon', 'description', 'page', 'scoreSchema'];
+
+/**
+ * Add a game to the site
+ * @param {Object} definition - The game:
+ *   id              - Game id, saved with every score (e.g. 'memoryGame')
+ *   title           - Name shown to players
+ *   icon            - Emoji shown with the title
+ *   description     - Blurb for the home page card
+ *   page            - Page the game is played on
+ *   scoreSchema     - { columns, sortKeys } for its leaderboard (see createLeaderboard),
+ *                     partitionFields, the fields its leaderboards are split by (difficulty, board,
+ *                     mode, day...), and partitionDefaults for scores saved before the game had them
+ *   dailyChallenge  - True if the game has a daily challenge (see daily.js)
+ * @returns {Object} The registered game
+ */
+export function registerGame(definition) {
+    const missing = REQUIRED_GAME_FIELDS.filter(field => !definition || !definition[field]);
+    if (missing.length > 0) {
+        throw new Error(`Game is missing ${missing.join(', ')}`);
+    }
+    if (!Array.isArray(definition.scoreSchema.columns) || !Array.isArray(definition.scoreSchema.sortKeys)) {
+        throw new Error(`Game "${definition.id}" needs leaderboard columns and sort keys in its score schema`);
+    }
+    if (registeredGames.has(definition.id)) {
+        throw new Error(`A game with the id "${definition.id}" is already registered`);
+    }
+
+    const game = { dailyChallenge: false, ...definition };
+    registeredGames.set(game.id, game);
+    return game;
+}
+
+/**
+ * Look up a registered game
+ * @param {string} id - Game id
+ * @returns {Object|null} The game, or null if there is none with this id
+ */
+export function getGame(id) {
+    return registeredGames.get(id) || null;
+}
+
+/**
+ * Every registered game
+ * @returns {Array} Games, in the order they were registered
+ */
+export function getGames() {
+    return [...registeredGames.values()];
+}
+
+/**
+ * Get how many rounds a saved Rock, Paper, Scissors game was won (or lost) by
+ * @param {Object} entry - Saved score entry
+ * @returns {number} Player rounds minus computer rounds
+ */
+function getWinMargin(entry) {
+    return entry.playerScore - entry.computerScore;
+}
+
+registerGame({
+    id: 'numberGuessing',
+    title: 'Number Guessing',
+    icon: '🔢',
+    description: 'Test your intuition! Guess the secret number between 1-100 in 5 attempts, or switch to Easy, Hard or a custom range. Can you beat the odds?',
+    page: 'number-guessing.html',
+    dailyChallenge: true,
+    scoreSchema: {
+        columns: [
+            { key: 'score', label: 'Score', format: utils.formatNumber },
+            { key: 'attempts', label: 'Attempts' },
+            { key: 'time', label: 'Time', format: value => `${value}s` }
+        ],
+        sortKeys: [
+            { key: 'score', label: 'Highest score', direction: 'desc' },
+            { key: 'attempts', label: 'Fewest attempts', direction: 'asc' },
+            { key: 'time', label: 'Fastest time', direction: 'asc' }
+        ],
+        partitionFields: ['difficulty', 'range', 'maxAttempts', 'mode', 'daily'],
+        partitionDefaults: { difficulty: 'normal', mode: 'free' }
+    }
+});
+
+registerGame({
+    id: 'rockPaperScissors',
+    title: 'Rock, Paper, Scissors',
+    icon: '✂️',
+    description: 'The classic game of strategy and luck! Challenge the computer and see who comes out on top. Best of luck, champion!',
+    page: 'rock-paper-scissors.html',
+    dailyChallenge: true,
+    scoreSchema: {
+        columns: [
+            { key: 'score', label: 'Score', format: utils.formatNumber },
+            { key: 'result', label: 'Result', value: entry => `${entry.playerScore}-${entry.computerScore}` },
+            { key: 'margin', label: 'Margin', value: getWinMargin, format: value => (value > 0 ? `+${value}` : String(value)) }
+        ],
+        sortKeys: [
+            { key: 'score', label: 'Highest score', direction: 'desc' },
+            { key: 'margin', label: 'Best win margin', value: getWinMargin, direction: 'desc' }
+        ],
+        partitionFields: ['variant', 'mode', 'daily'],
+        partitionDefaults: { variant: 'classic', mode: 'computer' }
+    }
+});
+
+registerGame({
+    id: 'memoryGame',
+    title: 'Memory Card Game',
+    icon: '🧠',
+    description: 'Exercise your memory! Match pairs of cards in this challenging memory game. How quickly can you find all the matches?',
+    page: 'memory-game.html',
+    dailyChallenge: true,
+    scoreSchema: {
+        columns: [
+            { key: 'score', label: 'Score', format: utils.formatNumber },
+            { key: 'moves', label: 'Moves' },
+            { key: 'time', label: 'Time', format: utils.formatTime }
+        ],
+        sortKeys: [
+            { key: 'score', label: 'Highest score', direction: 'desc' },
+            { key: 'moves', label: 'Fewest moves', direction: 'asc' },
+            { key: 'time', label: 'Fastest time', direction: 'asc' }
+        ],
+        partitionFields: ['board', 'mode', 'daily'],
+        partitionDefaults: { board: '2x4', mode: 'solo' }
+    }
+});
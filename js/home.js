@@ -0,0 +1,69 @@
+/**
+ * Home Page - JavaScript Implementation
+ * Shows a card for every game in the registry (see games.js)
+ */
+
+import * as games from './games.js';
+import * as router from './router.js';
+
+// Seconds between the floating icons of neighbouring cards, so they don't bob in step
+const ICON_FLOAT_STAGGER = 0.5;
+
+router.registerPage('index.html', {
+    init: initializeHomePage,
+    errorMessage: 'Failed to load the games. Please refresh the page.'
+});
+
+/**
+ * Initialize the home page the first time it is shown
+ */
+function initializeHomePage() {
+    renderGameGrid(document.getElementById('gamesGrid'));
+}
+
+/**
+ * Render a card for every registered game
+ * @param {HTMLElement} container - Grid to render into
+ */
+function renderGameGrid(container) {
+    if (!container) {
+        throw new Error('Missing required DOM element: gamesGrid');
+    }
+
+    container.innerHTML = '';
+    games.getGames().forEach((game, index) => {
+        container.appendChild(createGameCard(game, index));
+    });
+}
+
+/**
+ * Create the card for one game
+ * @param {Object} game - Game from the registry
+ * @param {number} index - Position in the grid
+ * @returns {HTMLElement} Card element
+ */
+function createGameCard(game, index) {
+    const card = document.createElement('div');
+    card.className = 'game-card fade-in';
+
+    const icon = document.createElement('span');
+    icon.className = 'game-icon float';
+    icon.style.animationDelay = `${index * ICON_FLOAT_STAGGER}s`;
+    icon.textContent = game.icon;
+    icon.setAttribute('aria-hidden', 'true');
+
+    const title = document.createElement('h3');
+    title.textContent = game.title;
+
+    const description = document.createElement('p');
+    description.textContent = game.description;
+
+    const link = document.createElement('a');
+    link.href = game.page;
+    link.className = 'btn';
+    link.textContent = 'Play Now';
+    link.setAttribute('aria-label', `Play ${game.title}`);
+
+    card.append(icon, title, description, link);
+    return card;
+}
@@ -0,0 +1,146 @@
+/**
+ * RevoFun Gaming Company - Game Lifecycle
+ * The state every game moves through - idle → ready → playing → paused → ended - with
+ * the game events (see events.js) sent as it goes. Saving the score, counting the
+ * game towards the player's stats and checking achievements all follow from endGame().
+ */
+
+import * as events from './events.js';
+
+// Where a game can go from each state. Moving to the state it is already in is always allowed.
+const GAME_TRANSITIONS = {
+    idle: ['ready', 'playing', 'ended'],
+    ready: ['idle', 'playing', 'ended'],
+    playing: ['idle', 'ready', 'paused', 'ended'],
+    paused: ['idle', 'ready', 'playing', 'ended'],
+    ended: ['idle', 'ready', 'playing']
+};
+
+/**
+ * Create the lifecycle of a game on the page
+ * @param {string} gameName - Game id
+ * @returns {Object} Lifecycle for the other functions here ({ game, state })
+ */
+export function createGameLifecycle(gameName) {
+    return { game: gameName, state: 'idle' };
+}
+
+/**
+ * Move a game to another state
+ * @param {Object} lifecycle - Lifecycle from createGameLifecycle()
+ * @param {string} state - New state
+ */
+function setGameState(lifecycle, state) {
+    if (lifecycle.state !== state && !GAME_TRANSITIONS[lifecycle.state].includes(state)) {
+        throw new Error(`A ${lifecycle.game} game can't go from ${lifecycle.state} to ${state}`);
+    }
+    lifecycle.state = state;
+}
+
+/**
+ * Put the game back to idle, e.g. while nobody has been chosen to play
+ * @param {Object} lifecycle - Lifecycle
+ */
+export function resetGame(lifecycle) {
+    setGameState(lifecycle, 'idle');
+}
+
+/**
+ * Set up a game that is waiting for the player to start it
+ * @param {Object} lifecycle - Lifecycle
+ */
+export function prepareGame(lifecycle) {
+    setGameState(lifecycle, 'ready');
+}
+
+/**
+ * Start (or restart) a game
+ * @param {Object} lifecycle - Lifecycle
+ * @param {Object} details - Sent with game:start, e.g. the play mode, and resumed: true for a saved game
+ */
+export function startGame(lifecycle, details = {}) {
+    setGameState(lifecycle, 'playing');
+    events.emit('game:start', { game: lifecycle.game, details: details });
+}
+
+/**
+ * Report a move in the game in progress
+ * @param {Object} lifecycle - Lifecycle
+ * @param {*} move - The move, e.g. a guess, the round's picks or a card index
+ */
+export function recordMove(lifecycle, move) {
+    if (lifecycle.state === 'playing') {
+        events.emit('game:move', { game: lifecycle.game, move: move });
+    }
+}
+
+/**
+ * Pause the game in progress
+ * @param {Object} lifecycle - Lifecycle
+ */
+export function pauseGame(lifecycle) {
+    setGameState(lifecycle, 'paused');
+    events.emit('game:pause', { game: lifecycle.game });
+}
+
+/**
+ * Carry on a paused game
+ * @param {Object} lifecycle - Lifecycle
+ */
+export function resumeGame(lifecycle) {
+    setGameState(lifecycle, 'playing');
+    events.emit('game:resume', { game: lifecycle.game });
+}
+
+/**
+ * End the game. The results of a game that was played are sent with game:end, which
+ * saves them; a game that ends before it was played (e.g. a daily challenge already
+ * taken) ends quietly.
+ * @param {Object} lifecycle - Lifecycle
+ * @param {Array|Object} results - { profile, score, details } per player (see events.js).
+ *   Leave out when the result is reported later with reportGameResults().
+ */
+export function endGame(lifecycle, results = null) {
+    const played = isInProgress(lifecycle);
+    setGameState(lifecycle, 'ended');
+    if (played && results) {
+        reportGameResults(lifecycle, results);
+    }
+}
+
+/**
+ * Report the results of an ended game, for games whose results are worked out after
+ * play stops (e.g. against another tab, once both tabs are ready to save)
+ * @param {Object} lifecycle - Lifecycle
+ * @param {Array|Object} results - { profile, score, details } per player
+ */
+export function reportGameResults(lifecycle, results) {
+    events.emit('game:end', { game: lifecycle.game, results: [].concat(results) });
+}
+
+/**
+ * Check whether a game is being played (including while paused)
+ * @param {Object} lifecycle - Lifecycle
+ * @returns {boolean} True if playing or paused
+ */
+export function isInProgress(lifecycle) {
+    return lifecycle.state === 'playing' || lifecycle.state === 'paused';
+}
+
+/**
+ * Check whether the game has got past setting up: it is in progress or has ended
+ * @param {Object} lifecycle - Lifecycle
+ * @returns {boolean} True if playing, paused or ended
+ */
+export function hasStarted(lifecycle) {
+    return isInProgress(lifecycle) || lifecycle.state === 'ended';
+}
+
+/**
+ * Check whether the game has ended
+ * @param {Object} lifecycle - Lifecycle
+ * @returns {boolean} True if ended
+ */
+export function hasEnded(lifecycle) {
+    return lifecycle.state === 'ended';
+}
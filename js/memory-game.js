@@ -1,55 +1,119 @@
 /**
  * Memory Card Game - JavaScript Implementation
- * A game where players match pairs of cards by memory
+ * A game where players match pairs of cards by memory, alone, taking turns
+ * with up to three friends on one device, or against another tab (see session.js)
  */
 
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as ui from './ui.js';
+import * as sessions from './session.js';
+import * as daily from './daily.js';
+import * as replays from './replay.js';
+import * as savedGames from './saved-games.js';
+import * as shell from './game-shell.js';
+import * as lifecycle from './lifecycle.js';
+
 // Game state variables
 let cards = [];
 let flippedCards = [];
 let matchedPairs = 0;
 let moveCount = 0;
-let gameStarted = false;
-let gameEnded = false;
+let gameLifecycle = lifecycle.createGameLifecycle('memoryGame');
 let startTime = 0;
 let timerInterval = null;
+let pausedAt = null;
+let matchCheckTimeout = null;
 
 // Game configuration
-const TOTAL_PAIRS = 4;
-const CARD_SYMBOLS = ['🎯', '🌟', '🎨', '🎪', '🎭', '🎪', '🎨', '🌟', '🎯', '🎪', '🎨', '🌟', '🎯', '🎪', '🎨', '🌟'];
+const BOARD_SIZES = {
+    '4x4': { rows: 4, columns: 4 },
+    '4x5': { rows: 4, columns: 5 },
+    '6x6': { rows: 6, columns: 6 }
+};
+const DEFAULT_BOARD_SIZE = '4x4';
+
+// Board everyone plays in the daily challenge (see daily.js)
+const DAILY_BOARD_SIZE = '4x4';
+
+// Bounds for custom boards (an 8 x 8 board needs 32 symbols)
+const CUSTOM_BOARD_LIMITS = { minSide: 2, maxSide: 8 };
+
+// Every symbol appears once; each game deals a random selection of them
+const CARD_SYMBOLS = [
+    '🎯', '🌟', '🎨', '🎪', '🎭', '🎸', '🎲', '🚀', '🌈', '🍕',
+    '🍩', '🍉', '🐶', '🐱', '🦊', '🐼', '🦁', '🐸', '🐙', '🦋',
+    '🌵', '🌻', '🍄', '⚽', '🏀', '🎾', '🎳', '🎹', '🎺', '🎧',
+    '📚', '💎', '🔑', '⏰', '🧩', '🛸', '🌙', '🔥', '🍀', '🎁'
+];
+
+// Pairs on the reference board that calculateFinalScore's point values were tuned for
+const SCORE_REFERENCE_PAIRS = 4;
+
+// Base points for the result of a game against another player, per reference board
+const VERSUS_OUTCOME_POINTS = { win: 1000, draw: 500, loss: 100 };
+
+// Current board
+let boardSize = { key: DEFAULT_BOARD_SIZE, ...BOARD_SIZES[DEFAULT_BOARD_SIZE] };
+let totalPairs = (boardSize.rows * boardSize.columns) / 2;
+
+// Play mode ('solo', 'local', 'daily' or 'online'), the day of a daily challenge and the game with another tab
+let playMode = 'solo';
+let dailyKey = null;
+let onlineSession = null;
+let onlinePairs = { host: 0, guest: 0 };
+
+// Players taking turns on this device: the active profile plus the ones added to the game
+const MAX_LOCAL_PLAYERS = 4;
+let extraPlayers = [];
+
+// Each local player's progress this game ({ profile, pairs, moves }) and whose turn it is
+let players = [];
+let currentPlayerIndex = 0;
+
+// The dealt board and every card flipped, saved with the score as a replay (see replay.js)
+let replay = null;
+
+// Leaderboard title suffix for each play mode
+const PLAY_MODE_TITLES = {
+    solo: '',
+    local: ' (Multiplayer)',
+    online: ' (Two Tabs)'
+};
 
 // DOM elements
 let memoryGrid, gameStatus, moveCountDisplay, timerDisplay, matchCountDisplay;
-let gameControls, startGameBtn, newGameBtn, backToHomeBtn;
+let gameControls, startGameBtn, newGameBtn;
 let gameComplete, finalScoreDisplay;
-let userNameSection, setNameBtn, playerNameInput;
-let leaderboardContainer;
+let boardSizeSelect, customBoard, customRowsInput, customColumnsInput, applyBoardBtn;
+let playModeSelect, sessionContainer, playerScores, gameCompleteTitle, gameCompleteText;
+let localPlayersPanel, localPlayersList, addPlayerBtn, playerPickerSection;
+let seedDisplay, resumePrompt;
+
+// Plug the game into the page's game shell, which asks who is playing and shows the leaderboard
+shell.mountGame('memoryGame', {
+    init: initializeGame,
+    start: handleProfileSelected,
+    pause: pauseGame,
+    resume: continueGame,
+    end: leaveGame,
+    save: saveProgress,
+    leaderboard: getLeaderboardView
+});
 
 /**
- * Initialize the game when DOM is loaded
+ * Initialize the game once the page has loaded
  */
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        // Get DOM elements
-        initializeElements();
-        
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Check if user is already set
-        checkUserStatus();
-        
-        // Create leaderboard
-        createLeaderboard();
-        
-        // Initialize game grid
-        initializeGameGrid();
-        
-        console.log('Memory Card Game initialized successfully');
-    } catch (error) {
-        console.error('Error initializing Memory Card Game:', error);
-        showErrorMessage('Failed to initialize the Memory Card Game. Please refresh the page.');
-    }
-});
+function initializeGame() {
+    // Get DOM elements
+    initializeElements();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Initialize game grid
+    initializeGameGrid();
+}
 
 /**
  * Initialize DOM elements
@@ -63,13 +127,24 @@ function initializeElements() {
     gameControls = document.getElementById('gameControls');
     startGameBtn = document.getElementById('startGameBtn');
     newGameBtn = document.getElementById('newGameBtn');
-    backToHomeBtn = document.getElementById('backToHomeBtn');
     gameComplete = document.getElementById('gameComplete');
     finalScoreDisplay = document.getElementById('finalScore');
-    userNameSection = document.getElementById('userNameSection');
-    setNameBtn = document.getElementById('setNameBtn');
-    playerNameInput = document.getElementById('playerName');
-    leaderboardContainer = document.getElementById('leaderboardContainer');
+    boardSizeSelect = document.getElementById('boardSizeSelect');
+    customBoard = document.getElementById('customBoard');
+    customRowsInput = document.getElementById('customRows');
+    customColumnsInput = document.getElementById('customColumns');
+    applyBoardBtn = document.getElementById('applyBoardBtn');
+    playModeSelect = document.getElementById('playModeSelect');
+    sessionContainer = document.getElementById('sessionContainer');
+    playerScores = document.getElementById('playerScores');
+    gameCompleteTitle = document.getElementById('gameCompleteTitle');
+    gameCompleteText = document.getElementById('gameCompleteText');
+    localPlayersPanel = document.getElementById('localPlayersPanel');
+    localPlayersList = document.getElementById('localPlayersList');
+    addPlayerBtn = document.getElementById('addPlayerBtn');
+    playerPickerSection = document.getElementById('playerPickerSection');
+    seedDisplay = document.getElementById('seedDisplay');
+    resumePrompt = document.getElementById('resumePrompt');
 }
 
 /**
@@ -79,85 +154,231 @@ function setupEventListeners() {
     // Start game button
     startGameBtn.addEventListener('click', startGame);
     
-    // New game button
-    newGameBtn.addEventListener('click', startNewGame);
-    
-    // Back to home button
-    backToHomeBtn.addEventListener('click', function() {
-        window.location.href = 'index.html';
+    // New game button (a rematch against another tab)
+    newGameBtn.addEventListener('click', function() {
+        if (sessions.isSessionConnected(onlineSession)) {
+            newGameBtn.disabled = true;
+            updateGameStatus('Waiting for the other player to accept the rematch...');
+            sessions.requestRematch(onlineSession);
+        } else {
+            startNewGame();
+        }
     });
     
-    // Set name button
-    setNameBtn.addEventListener('click', handleSetName);
+    // Play mode selector
+    playModeSelect.addEventListener('change', handlePlayModeChange);
     
-    // Enter key in name input
-    playerNameInput.addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
-            handleSetName();
+    // Local multiplayer: add players, or remove them from the list
+    addPlayerBtn.addEventListener('click', addLocalPlayer);
+    localPlayersList.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-remove-player]');
+        if (button && !button.disabled) {
+            extraPlayers = extraPlayers.filter(profile => profile.id !== button.dataset.removePlayer);
+            renderLocalPlayers();
         }
     });
+    
+    // Keyboard play on the board
+    memoryGrid.addEventListener('keydown', handleGridKey);
+    
+    // Board size selector
+    boardSizeSelect.addEventListener('change', handleBoardSizeChange);
+    
+    // Custom board button
+    applyBoardBtn.addEventListener('click', applyCustomBoardSize);
 }
 
 /**
- * Check if user is already set
+ * Stop play while the game shell asks who is playing
  */
-function checkUserStatus() {
-    const currentUser = getCurrentUser();
-    if (currentUser) {
-        // User already exists, show start button
-        startGameBtn.style.display = 'inline-block';
-    } else {
-        // Show name input
-        userNameSection.style.display = 'block';
+function leaveGame() {
+    // The other tab is playing against this profile, so switching ends that game
+    if (onlineSession) {
+        sessions.leaveSession(onlineSession);
+    }
+    if (lifecycle.hasStarted(gameLifecycle)) {
+        startNewGame();
     }
+    lifecycle.resetGame(gameLifecycle);
+    startGameBtn.style.display = 'none';
 }
 
 /**
- * Handle setting user name
+ * Handle a profile being chosen in the picker
+ * @param {Object} profile - Chosen profile
  */
-function handleSetName() {
-    const name = playerNameInput.value.trim();
-    
-    if (name.length === 0) {
-        showMessage('Please enter your name or click "Skip" to play as Anonymous', 'error');
+function handleProfileSelected(profile) {
+    ui.showMessage(`Good luck, ${profile.name}!`, 'info');
+    renderLocalPlayers();
+    if (playMode !== 'online' && offerSavedGame()) {
+        startGameBtn.style.display = 'none';
         return;
     }
+    startGameBtn.style.display = playMode === 'online' ? 'none' : 'inline-block';
+    checkDailyPlayed();
+}
+
+/**
+ * Offer to carry on the player's unfinished game, if they left one
+ * @returns {boolean} True if the player was asked
+ */
+function offerSavedGame() {
+    const save = savedGames.loadGameProgress('memoryGame');
+    if (!save) {
+        return false;
+    }
     
-    if (name.length > 20) {
-        showMessage('Name must be 20 characters or less', 'error');
+    const state = save.state;
+    const pairs = state.layout.length / 2;
+    updateGameStatus('Pick up where you left off, or start a new game.');
+    savedGames.showResumePrompt(resumePrompt, save, `${state.matchedPairs} of ${pairs} pairs found in ${state.moveCount} moves`, resumeGame, () => {
+        savedGames.clearGameProgress('memoryGame');
+        handleProfileSelected(user.currentUser);
+    });
+    return true;
+}
+
+/**
+ * Carry on a saved game
+ * @param {Object} state - State from saveProgress()
+ */
+function resumeGame(state) {
+    try {
+        const savedPlayers = state.players.map(player => ({ ...player, profile: user.getProfile(player.id) }));
+        if (savedPlayers.some(player => !player.profile)) {
+            throw new Error('A player of the saved game no longer exists');
+        }
+        
+        // Mode, board and players the game was played with
+        playMode = state.playMode;
+        playModeSelect.value = playMode;
+        sessionContainer.style.display = 'none';
+        localPlayersPanel.style.display = playMode === 'local' ? '' : 'none';
+        boardSize = { ...state.boardSize };
+        totalPairs = state.layout.length / 2;
+        boardSizeSelect.value = BOARD_SIZES[boardSize.key] ? boardSize.key : 'custom';
+        customBoard.style.display = 'none';
+        players = savedPlayers.map(({ profile, pairs, moves }) => ({ profile, pairs, moves }));
+        extraPlayers = players.map(player => player.profile).filter(profile => profile.id !== user.currentUser.id);
+        currentPlayerIndex = state.currentPlayerIndex;
+        
+        // The dealt board, with the pairs found and any cards left face up
+        initializeGameGrid(state.layout, state.seed);
+        const cardElements = memoryGrid.querySelectorAll('.memory-card');
+        state.matched.forEach(index => {
+            cards[index].matched = true;
+            cardElements[index].classList.add('flipped', 'matched');
+            updateCardLabel(cardElements[index]);
+        });
+        flippedCards = state.flipped.map(index => {
+            cardElements[index].classList.add('flipped');
+            updateCardLabel(cardElements[index]);
+            return { element: cardElements[index], card: cards[index] };
+        });
+        matchedPairs = state.matchedPairs;
+        moveCount = state.moveCount;
+        onlinePairs = { host: 0, guest: 0 };
+        lifecycle.startGame(gameLifecycle, { resumed: true, mode: playMode });
+        replay = replays.resumeReplay(state.replay);
+        
+        // Time spent away doesn't count
+        startTime = Date.now() - state.elapsed;
+        pausedAt = null;
+        timerDisplay.textContent = utils.formatTime(Math.round(state.elapsed / 1000));
+        startTimer();
+        
+        startGameBtn.style.display = 'none';
+        newGameBtn.style.display = 'inline-block';
+        newGameBtn.disabled = false;
+        newGameBtn.textContent = 'New Game';
+        gameComplete.style.display = 'none';
+        renderLocalPlayers();
+        setBoardSizeLocked(true);
+        updatePauseControls();
+        shell.renderLeaderboard();
+        updateGameStats();
+        if (isTurnBased()) {
+            updateTurnStatus('Welcome back!');
+        } else {
+            updateGameStatus('Welcome back! Carry on finding the matching pairs.');
+        }
+        
+        // A pair was turned over just before the game was left: check it now
+        if (flippedCards.length === 2) {
+            disableAllCards();
+            scheduleMatchCheck();
+        }
+    } catch (error) {
+        console.error('Error resuming game:', error);
+        ui.showErrorMessage('The saved game could not be resumed. Starting a new one.');
+        savedGames.clearGameProgress('memoryGame');
+        startNewGame();
+    }
+}
+
+/**
+ * Snapshot the game in progress so it can be resumed (see saved-games.js).
+ * Games against another tab can't be resumed, so they aren't saved.
+ */
+function saveProgress() {
+    if (!lifecycle.isInProgress(gameLifecycle) || playMode === 'online') {
         return;
     }
     
-    // Set the user
-    setCurrentUser(name);
-    
-    // Hide name section and show start button
-    userNameSection.style.display = 'none';
-    startGameBtn.style.display = 'inline-block';
+    savedGames.saveGameProgress('memoryGame', {
+        playMode: playMode,
+        dailyKey: dailyKey,
+        boardSize: boardSize,
+        layout: cards.map(card => card.symbol),
+        matched: cards.map((card, index) => card.matched ? index : -1).filter(index => index >= 0),
+        flipped: flippedCards.map(item => Number(item.element.dataset.index)),
+        matchedPairs: matchedPairs,
+        moveCount: moveCount,
+        players: players.map(player => ({ id: player.profile.id, pairs: player.pairs, moves: player.moves })),
+        currentPlayerIndex: currentPlayerIndex,
+        elapsed: getElapsedTime(),
+        seed: utils.getGameSeed(),
+        replay: replays.suspendReplay(replay)
+    }, dailyKey ? daily.getDailyExpiry(dailyKey) : null);
 }
 
 /**
  * Initialize the game grid with cards
+ * @param {Array} layout - Optional symbols in board order (a board dealt by another tab)
+ * @param {string} seed - Optional seed of the dealt board
  */
-function initializeGameGrid() {
+function initializeGameGrid(layout = null, seed = undefined) {
     // Clear existing cards
     memoryGrid.innerHTML = '';
+    memoryGrid.style.setProperty('--memory-columns', boardSize.columns);
     
-    // Create card data (pairs of symbols)
-    const cardData = [];
-    for (let i = 0; i < TOTAL_PAIRS; i++) {
-        const symbol = CARD_SYMBOLS[i];
-        cardData.push({ id: i * 2, symbol: symbol, matched: false });
-        cardData.push({ id: i * 2 + 1, symbol: symbol, matched: false });
-    }
+    // Each deal starts a new seed; a dealt board keeps the dealer's, and the daily challenge uses
+    // the day's, which isn't shown so its link can't deal the day's board outside the challenge
+    dailyKey = playMode === daily.DAILY_MODE ? daily.getDailyKey() : null;
+    utils.startSeededGame(dailyKey ? daily.getDailySeed('memoryGame', dailyKey) : seed);
+    ui.renderSeedDisplay(seedDisplay, dailyKey ? null : utils.getGameSeed());
     
-    // Shuffle the cards
-    cards = shuffleArray(cardData);
+    if (layout) {
+        cards = layout.map((symbol, index) => ({ id: index, symbol: symbol, matched: false }));
+    } else {
+        // Create card data (pairs of symbols)
+        const cardData = [];
+        const symbols = utils.shuffleArray([...CARD_SYMBOLS]).slice(0, totalPairs);
+        for (let i = 0; i < totalPairs; i++) {
+            const symbol = symbols[i];
+            cardData.push({ id: i * 2, symbol: symbol, matched: false });
+            cardData.push({ id: i * 2 + 1, symbol: symbol, matched: false });
+        }
+        
+        // Shuffle the cards
+        cards = utils.shuffleArray(cardData);
+    }
     
     // Create card elements
     cards.forEach((card, index) => {
         const cardElement = createCardElement(card, index);
         memoryGrid.appendChild(cardElement);
+        updateCardLabel(cardElement);
     });
 }
 
@@ -173,22 +394,28 @@ function createCardElement(card, index) {
     cardDiv.dataset.cardId = card.id;
     cardDiv.dataset.index = index;
     
+    // A button to assistive technology; only the first card is in the tab order (see focusCard)
+    cardDiv.setAttribute('role', 'button');
+    cardDiv.tabIndex = index === 0 ? 0 : -1;
+    
     // Card back
     const cardBack = document.createElement('div');
     cardBack.className = 'card-face card-back';
     cardBack.textContent = '?';
+    cardBack.setAttribute('aria-hidden', 'true');
     
     // Card front
     const cardFront = document.createElement('div');
     cardFront.className = 'card-face card-front';
     cardFront.textContent = card.symbol;
+    cardFront.setAttribute('aria-hidden', 'true');
     
     cardDiv.appendChild(cardBack);
     cardDiv.appendChild(cardFront);
     
     // Add click event
     cardDiv.addEventListener('click', function() {
-        if (gameStarted && !gameEnded) {
+        if (lifecycle.isInProgress(gameLifecycle)) {
             handleCardClick(this);
         }
     });
@@ -200,13 +427,26 @@ function createCardElement(card, index) {
  * Start the game
  */
 function startGame() {
+    if (playMode === 'local' && getLocalPlayers().length < 2) {
+        ui.showMessage('Add at least one more player to play together', 'error');
+        return;
+    }
+    
+    // Each player gets one attempt at the daily challenge, used up when the game starts
+    if (checkDailyPlayed()) {
+        return;
+    }
+    if (dailyKey) {
+        daily.startDailyAttempt('memoryGame', user.currentUser, dailyKey);
+    }
+    
     // Reset game state
     flippedCards = [];
     matchedPairs = 0;
     moveCount = 0;
-    gameStarted = true;
-    gameEnded = false;
+    lifecycle.startGame(gameLifecycle, { mode: playMode });
     startTime = Date.now();
+    pausedAt = null;
     
     // Reset all cards
     cards.forEach(card => {
@@ -217,28 +457,51 @@ function startGame() {
     const cardElements = document.querySelectorAll('.memory-card');
     cardElements.forEach(cardEl => {
         cardEl.classList.remove('flipped', 'matched', 'disabled');
+        updateCardLabel(cardEl);
+    });
+    
+    onlinePairs = { host: 0, guest: 0 };
+    players = playMode === 'local' ? getLocalPlayers().map(profile => ({ profile, pairs: 0, moves: 0 })) : [];
+    currentPlayerIndex = 0;
+    replay = replays.startReplay({
+        columns: boardSize.columns,
+        layout: cards.map(card => card.symbol),
+        players: getReplayPlayers()
     });
     
     // Update UI
     updateGameStats();
-    updateGameStatus('Find all the matching pairs! Click on two cards to flip them.');
+    if (isTurnBased()) {
+        updateTurnStatus();
+    } else {
+        updateGameStatus('Find all the matching pairs! Click on two cards to flip them.');
+    }
     
-    // Hide start button, show new game button
+    // Hide start button, show new game button (a game against another tab ends with a rematch instead)
     startGameBtn.style.display = 'none';
-    newGameBtn.style.display = 'inline-block';
+    newGameBtn.style.display = playMode === 'online' ? 'none' : 'inline-block';
+    newGameBtn.disabled = false;
+    newGameBtn.textContent = 'New Game';
     
     // Start timer
     startTimer();
     
     // Hide game complete message
     gameComplete.style.display = 'none';
+    
+    // The board can't change mid-game
+    setBoardSizeLocked(true);
+    updatePauseControls();
+    savedGames.hideResumePrompt(resumePrompt);
+    saveProgress();
 }
 
 /**
  * Handle card click
  * @param {HTMLElement} cardElement - Clicked card element
+ * @param {boolean} fromPeer - True for a flip made in the other tab
  */
-function handleCardClick(cardElement) {
+function handleCardClick(cardElement, fromPeer = false) {
     try {
         // Validate card element
         if (!cardElement) {
@@ -247,10 +510,15 @@ function handleCardClick(cardElement) {
         }
 
         // Validate game state
-        if (!gameStarted || gameEnded) {
+        if (!lifecycle.isInProgress(gameLifecycle)) {
             console.warn('Attempted to click card when game is not active');
             return;
         }
+        
+        // The board is hidden while the game is paused
+        if (pausedAt) {
+            return;
+        }
 
         // Don't allow clicking if card is already flipped or matched
         if (cardElement.classList.contains('flipped') || 
@@ -268,18 +536,29 @@ function handleCardClick(cardElement) {
         const cardIndex = parseInt(cardElement.dataset.index);
         if (isNaN(cardIndex) || cardIndex < 0 || cardIndex >= cards.length) {
             console.error('Invalid card index:', cardIndex);
-            showErrorMessage('Invalid card data. Please refresh the game.');
+            ui.showErrorMessage('Invalid card data. Please refresh the game.');
             return;
         }
 
         if (!cards[cardIndex]) {
             console.error('Card data not found for index:', cardIndex);
-            showErrorMessage('Card data corrupted. Please refresh the game.');
+            ui.showErrorMessage('Card data corrupted. Please refresh the game.');
             return;
         }
         
+        // Against another tab only the player whose turn it is flips, and the flip is mirrored there
+        if (sessions.isSessionConnected(onlineSession) && !fromPeer) {
+            if (!sessions.isMyTurn(onlineSession)) {
+                updateGameStatus(`Wait for ${onlineSession.peer.name} to finish their turn.`);
+                return;
+            }
+            sessions.sendSessionAction(onlineSession, { type: 'flip', index: cardIndex }, true);
+        }
+        
         // Flip the card
         flipCard(cardElement);
+        replays.recordReplayEvent(replay, cardIndex);
+        lifecycle.recordMove(gameLifecycle, cardIndex);
         
         // Add to flipped cards
         flippedCards.push({
@@ -291,24 +570,22 @@ function handleCardClick(cardElement) {
         if (flippedCards.length === 2) {
             // Increment move count
             moveCount++;
+            if (playMode === 'local') {
+                players[currentPlayerIndex].moves++;
+            }
             updateGameStats();
             
             // Disable all cards temporarily
             disableAllCards();
             
             // Check for match after a short delay
-            setTimeout(() => {
-                try {
-                    checkForMatch();
-                } catch (error) {
-                    console.error('Error checking for match:', error);
-                    showErrorMessage('Error processing card match. Please try again.');
-                }
-            }, 1000);
+            scheduleMatchCheck();
         }
+        
+        saveProgress();
     } catch (error) {
         console.error('Error handling card click:', error);
-        showErrorMessage('An error occurred while processing your card selection. Please try again.');
+        ui.showErrorMessage('An error occurred while processing your card selection. Please try again.');
     }
 }
 
@@ -318,6 +595,75 @@ function handleCardClick(cardElement) {
  */
 function flipCard(cardElement) {
     cardElement.classList.add('flipped');
+    updateCardLabel(cardElement);
+}
+
+/**
+ * Describe a card to screen readers: where it is, and its symbol once turned over
+ * @param {HTMLElement} cardElement - Card element
+ */
+function updateCardLabel(cardElement) {
+    const index = Number(cardElement.dataset.index);
+    const position = `Row ${Math.floor(index / boardSize.columns) + 1}, column ${index % boardSize.columns + 1}`;
+    let state = 'face down';
+    if (cardElement.classList.contains('matched')) {
+        state = `${cards[index].symbol}, matched`;
+    } else if (cardElement.classList.contains('flipped')) {
+        state = cards[index].symbol;
+    }
+    
+    cardElement.setAttribute('aria-label', `${position}: ${state}`);
+    cardElement.setAttribute('aria-disabled', String(cardElement.classList.contains('disabled') || cardElement.classList.contains('matched')));
+}
+
+/**
+ * Move around the board with the arrow keys (Home and End jump along the row) and flip a card with Enter or Space
+ * @param {KeyboardEvent} e - Key press on the board
+ */
+function handleGridKey(e) {
+    const cardElement = e.target.closest && e.target.closest('.memory-card');
+    if (!cardElement || e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+    }
+    
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        cardElement.click();
+        return;
+    }
+    
+    const index = Number(cardElement.dataset.index);
+    const columns = boardSize.columns;
+    const rowStart = index - index % columns;
+    const targets = {
+        ArrowLeft: index - 1,
+        ArrowRight: index + 1,
+        ArrowUp: index - columns,
+        ArrowDown: index + columns,
+        Home: rowStart,
+        End: Math.min(rowStart + columns, cards.length) - 1
+    };
+    if (!(e.key in targets)) {
+        return;
+    }
+    
+    e.preventDefault();
+    if (targets[e.key] >= 0 && targets[e.key] < cards.length) {
+        focusCard(targets[e.key]);
+    }
+}
+
+/**
+ * Move keyboard focus to a card. Only the focused card is in the tab order, so Tab moves past the board.
+ * @param {number} index - Card index
+ */
+function focusCard(index) {
+    memoryGrid.querySelectorAll('.memory-card').forEach((cardEl, cardIndex) => {
+        cardEl.tabIndex = cardIndex === index ? 0 : -1;
+        if (cardIndex === index) {
+            cardEl.focus();
+        }
+    });
 }
 
 /**
@@ -328,6 +674,7 @@ function disableAllCards() {
     cardElements.forEach(cardEl => {
         if (!cardEl.classList.contains('flipped') && !cardEl.classList.contains('matched')) {
             cardEl.classList.add('disabled');
+            updateCardLabel(cardEl);
         }
     });
 }
@@ -340,10 +687,26 @@ function enableAllCards() {
     cardElements.forEach(cardEl => {
         if (!cardEl.classList.contains('matched')) {
             cardEl.classList.remove('disabled');
+            updateCardLabel(cardEl);
         }
     });
 }
 
+/**
+ * Check the two flipped cards after a short delay, so the player sees them
+ */
+function scheduleMatchCheck() {
+    matchCheckTimeout = setTimeout(() => {
+        matchCheckTimeout = null;
+        try {
+            checkForMatch();
+        } catch (error) {
+            console.error('Error checking for match:', error);
+            ui.showErrorMessage('Error processing card match. Please try again.');
+        }
+    }, 1000);
+}
+
 /**
  * Check if the two flipped cards match
  */
@@ -360,6 +723,7 @@ function checkForMatch() {
     
     // Clear flipped cards
     flippedCards = [];
+    saveProgress();
 }
 
 /**
@@ -371,20 +735,32 @@ function handleMatch(card1, card2) {
     // Mark cards as matched
     card1.element.classList.add('matched');
     card2.element.classList.add('matched');
+    updateCardLabel(card1.element);
+    updateCardLabel(card2.element);
     card1.card.matched = true;
     card2.card.matched = true;
     
-    // Increment matched pairs
+    // Increment matched pairs (the player who found it keeps the turn)
     matchedPairs++;
+    if (sessions.isSessionConnected(onlineSession)) {
+        onlinePairs[onlineSession.turn]++;
+    } else if (playMode === 'local') {
+        players[currentPlayerIndex].pairs++;
+    }
     updateGameStats();
     
     // Check if game is complete
-    if (matchedPairs === TOTAL_PAIRS) {
+    if (matchedPairs === totalPairs) {
         endGame();
     } else {
         // Enable remaining cards
         enableAllCards();
-        updateGameStatus(`Great match! ${TOTAL_PAIRS - matchedPairs} pairs remaining.`);
+        const pairsLeft = totalPairs - matchedPairs;
+        if (isTurnBased()) {
+            updateTurnStatus(`Match! ${pairsLeft} pair${pairsLeft === 1 ? '' : 's'} remaining.`);
+        } else {
+            updateGameStatus(`Great match! ${pairsLeft} pair${pairsLeft === 1 ? '' : 's'} remaining.`);
+        }
     }
 }
 
@@ -397,10 +773,28 @@ function handleNoMatch(card1, card2) {
     // Flip cards back
     card1.element.classList.remove('flipped');
     card2.element.classList.remove('flipped');
+    updateCardLabel(card1.element);
+    updateCardLabel(card2.element);
     
     // Enable all cards
     enableAllCards();
     
+    // Against another tab a miss ends the turn; the player who missed hands it over
+    if (sessions.isSessionConnected(onlineSession)) {
+        if (sessions.isMyTurn(onlineSession)) {
+            sessions.passTurn(onlineSession);
+        }
+        updateTurnStatus('No match!');
+        return;
+    }
+    
+    // A miss passes the turn to the next player on this device
+    if (playMode === 'local') {
+        currentPlayerIndex = (currentPlayerIndex + 1) % players.length;
+        updateTurnStatus('No match!');
+        return;
+    }
+    
     updateGameStatus('No match! Try again.');
 }
 
@@ -408,60 +802,214 @@ function handleNoMatch(card1, card2) {
  * End the game
  */
 function endGame() {
-    gameEnded = true;
-    const endTime = Date.now();
-    const timeTaken = Math.round((endTime - startTime) / 1000);
+    // Results are reported once they are known: below, or when the other tab is ready to save
+    lifecycle.endGame(gameLifecycle);
+    const timeTaken = Math.round(getElapsedTime() / 1000);
     
     // Stop timer
     stopTimer();
+    pausedAt = null;
+    setBoardSizeLocked(false);
+    updatePauseControls();
+    
+    if (sessions.isSessionConnected(onlineSession)) {
+        endOnlineGame(timeTaken);
+        return;
+    }
+    
+    savedGames.clearGameProgress('memoryGame');
+    
+    if (playMode === 'local') {
+        endLocalGame(timeTaken);
+        return;
+    }
     
     // Calculate final score
     const finalScore = calculateFinalScore(timeTaken);
     
     // Show completion message
     gameComplete.style.display = 'block';
+    gameCompleteTitle.textContent = '🎉 Congratulations!';
+    gameCompleteText.textContent = 'You completed the memory game!';
     finalScoreDisplay.innerHTML = `
-        <div>Final Score: <strong>${formatNumber(finalScore)}</strong></div>
+        <div>Final Score: <strong>${utils.formatNumber(finalScore)}</strong></div>
         <div>Moves: ${moveCount}</div>
-        <div>Time: ${formatTime(timeTaken)}</div>
+        <div>Time: ${utils.formatTime(timeTaken)}</div>
     `;
     
-    // Save score
-    saveGameScore('memoryGame', finalScore, {
-        moves: moveCount,
-        time: timeTaken,
-        pairs: TOTAL_PAIRS
+    // Report the result; the score is saved and the leaderboard updated from the game:end event
+    lifecycle.reportGameResults(gameLifecycle, {
+        score: finalScore,
+        details: {
+            outcome: 'win',
+            moves: moveCount,
+            time: timeTaken,
+            pairs: totalPairs,
+            board: boardSize.key,
+            seed: utils.getGameSeed(),
+            replay: replays.finishReplay(replay),
+            ...(dailyKey ? daily.getDailyDetails(dailyKey) : {})
+        }
+    });
+    
+    ui.showMessage('Congratulations! You completed the memory game!', 'success');
+}
+
+/**
+ * End a local multiplayer game: show the winner (or tie) and save every player's result to their own profile
+ * @param {number} timeTaken - Time taken in seconds
+ */
+function endLocalGame(timeTaken) {
+    const bestPairs = Math.max(...players.map(player => player.pairs));
+    const winners = players.filter(player => player.pairs === bestPairs);
+    const winnerNames = winners.map(player => player.profile.name);
+    const tied = winners.length > 1;
+    
+    const results = players.map(player => {
+        const outcome = player.pairs < bestPairs ? 'loss' : tied ? 'draw' : 'win';
+        return { ...player, outcome, score: calculateVersusScore(outcome, player.pairs) };
     });
     
-    // Update leaderboard
-    createLeaderboard();
+    gameComplete.style.display = 'block';
+    gameCompleteTitle.textContent = tied
+        ? `🤝 It's a tie between ${formatNameList(winnerNames)}!`
+        : `🏆 ${winnerNames[0]} wins!`;
+    gameCompleteText.textContent = `Board cleared in ${moveCount} moves.`;
+    finalScoreDisplay.innerHTML = `
+        <ol class="final-standings">
+            ${[...results].sort((a, b) => b.pairs - a.pairs).map(result => `
+                <li>
+                    <span>${utils.escapeHTML(result.profile.avatar || '')} ${utils.escapeHTML(result.profile.name)}</span>
+                    <span>${result.pairs} pair${result.pairs === 1 ? '' : 's'}</span>
+                    <strong>${utils.formatNumber(result.score)}</strong>
+                </li>
+            `).join('')}
+        </ol>
+        <div>Time: ${utils.formatTime(timeTaken)}</div>
+    `;
+    updateGameStatus(gameCompleteTitle.textContent);
     
-    // Increment games played
-    incrementGamesPlayed();
+    const gameReplay = replays.finishReplay(replay);
+    lifecycle.reportGameResults(gameLifecycle, results.map(result => {
+        const opponents = results.filter(other => other !== result).map(other => other.profile);
+        return {
+            profile: result.profile,
+            score: result.score,
+            details: {
+                outcome: result.outcome,
+                moves: moveCount,
+                playerMoves: result.moves,
+                time: timeTaken,
+                pairs: totalPairs,
+                board: boardSize.key,
+                seed: utils.getGameSeed(),
+                replay: gameReplay,
+                mode: 'local',
+                players: results.length,
+                pairsFound: result.pairs,
+                opponentIds: opponents.map(profile => profile.id),
+                opponentNames: opponents.map(profile => profile.name)
+            }
+        };
+    }));
     
-    showMessage('Congratulations! You completed the memory game!', 'success');
+    ui.showMessage(gameCompleteTitle.textContent, 'success');
 }
 
 /**
- * Calculate final score
+ * Join names into a readable list, e.g. "Ann, Bob and Cy"
+ * @param {Array} names - Names
+ * @returns {string} Joined names
+ */
+function formatNameList(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * End a game against another tab: the player with more pairs wins, and each tab
+ * saves its own player's result
+ * @param {number} timeTaken - Time taken in seconds
+ */
+function endOnlineGame(timeTaken) {
+    const session = onlineSession;
+    const ownPairs = onlinePairs[session.role];
+    const opponentPairs = onlinePairs[sessions.getPeerRole(session)];
+    const outcome = ownPairs > opponentPairs ? 'win' : ownPairs < opponentPairs ? 'loss' : 'draw';
+    const finalScore = calculateVersusScore(outcome, ownPairs);
+    
+    const titles = {
+        win: '🎉 You win!',
+        draw: '🤝 It\'s a draw!',
+        loss: `😔 ${session.peer.name} wins!`
+    };
+    gameComplete.style.display = 'block';
+    gameCompleteTitle.textContent = titles[outcome];
+    gameCompleteText.textContent = 'Ask for a rematch to play again.';
+    finalScoreDisplay.innerHTML = `
+        <div>Final Score: <strong>${utils.formatNumber(finalScore)}</strong></div>
+        <div>Pairs: ${ownPairs} - ${opponentPairs} (${utils.escapeHTML(session.peer.name)})</div>
+        <div>Time: ${utils.formatTime(timeTaken)}</div>
+    `;
+    
+    newGameBtn.style.display = 'inline-block';
+    newGameBtn.disabled = false;
+    newGameBtn.textContent = 'Rematch';
+    updateGameStatus(titles[outcome]);
+    
+    sessions.saveSessionResult(session, () => {
+        lifecycle.reportGameResults(gameLifecycle, {
+            score: finalScore,
+            details: {
+                outcome: outcome,
+                moves: moveCount,
+                time: timeTaken,
+                pairs: totalPairs,
+                board: boardSize.key,
+                seed: utils.getGameSeed(),
+                replay: replays.finishReplay(replay),
+                mode: 'online',
+                pairsFound: ownPairs,
+                opponentPairs: opponentPairs,
+                opponentId: session.peer.id,
+                opponentName: session.peer.name
+            }
+        });
+    });
+}
+
+/**
+ * Score a game against another player, scaled to the board like calculateFinalScore
+ * @param {string} outcome - 'win', 'draw' or 'loss'
+ * @param {number} ownPairs - Pairs the player found
+ * @returns {number} Final score
+ */
+function calculateVersusScore(outcome, ownPairs) {
+    const scale = totalPairs / SCORE_REFERENCE_PAIRS;
+    return Math.round(VERSUS_OUTCOME_POINTS[outcome] * scale + ownPairs * 100);
+}
+
+/**
+ * Calculate final score. Point values grow with the number of pairs, so a
+ * bigger board is worth more and allows more time before the time bonus runs out.
  * @param {number} timeTaken - Time taken in seconds
  * @returns {number} Final score
  */
 function calculateFinalScore(timeTaken) {
-    let score = 1000; // Base score
+    const scale = totalPairs / SCORE_REFERENCE_PAIRS;
+    let score = 1000 * scale; // Base score
     
-    // Bonus for fewer moves (max 500 points)
-    const moveBonus = Math.max(0, 500 - (moveCount - TOTAL_PAIRS) * 25);
+    // Bonus for fewer moves (max 500 points per reference board)
+    const moveBonus = Math.max(0, 500 * scale - (moveCount - totalPairs) * 25);
     
-    // Bonus for faster completion (max 500 points)
-    const timeBonus = Math.max(0, 500 - timeTaken * 5);
+    // Bonus for faster completion (max 500 points per reference board)
+    const timeBonus = Math.max(0, 500 * scale - timeTaken * 5);
     
     // Perfect game bonus
-    if (moveCount === TOTAL_PAIRS) {
-        score += 1000; // Perfect score bonus
+    if (moveCount === totalPairs) {
+        score += 1000 * scale; // Perfect score bonus
     }
     
-    return score + moveBonus + timeBonus;
+    return Math.round(score + moveBonus + timeBonus);
 }
 
 /**
@@ -469,9 +1017,8 @@ function calculateFinalScore(timeTaken) {
  */
 function startTimer() {
     timerInterval = setInterval(() => {
-        const currentTime = Date.now();
-        const elapsed = Math.round((currentTime - startTime) / 1000);
-        timerDisplay.textContent = formatTime(elapsed);
+        const elapsed = Math.round(getElapsedTime() / 1000);
+        timerDisplay.textContent = utils.formatTime(elapsed);
     }, 1000);
 }
 
@@ -486,14 +1033,64 @@ function stopTimer() {
 }
 
 /**
- * Format time in MM:SS format
- * @param {number} seconds - Time in seconds
- * @returns {string} Formatted time
+ * Time played so far, not counting the time the game is paused
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getElapsedTime() {
+    return (pausedAt || Date.now()) - startTime;
+}
+
+/**
+ * Pause the game: stop the clock and hide the board so it can't be studied.
+ * Games against another tab share one clock, so they can't be paused.
+ */
+function pauseGame() {
+    if (gameLifecycle.state !== 'playing' || playMode === 'online') {
+        return;
+    }
+    
+    lifecycle.pauseGame(gameLifecycle);
+    pausedAt = Date.now();
+    stopTimer();
+    
+    // A pair turned over just before pausing is checked once the game carries on
+    clearTimeout(matchCheckTimeout);
+    matchCheckTimeout = null;
+    updatePauseControls();
+    updateGameStatus('⏸️ Paused. Click "Resume" to carry on.');
+    saveProgress();
+}
+
+/**
+ * Carry on a paused game; the time it was paused doesn't count
+ */
+function continueGame() {
+    if (gameLifecycle.state !== 'paused') {
+        return;
+    }
+    
+    lifecycle.resumeGame(gameLifecycle);
+    startTime += Date.now() - pausedAt;
+    pausedAt = null;
+    startTimer();
+    updatePauseControls();
+    if (isTurnBased()) {
+        updateTurnStatus();
+    } else {
+        updateGameStatus('Carry on finding the matching pairs!');
+    }
+    if (flippedCards.length === 2) {
+        scheduleMatchCheck();
+    }
+}
+
+/**
+ * Show the pause button during a game, and the board only while it isn't paused
  */
-function formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+function updatePauseControls() {
+    const paused = pausedAt !== null;
+    shell.updatePauseButton(lifecycle.isInProgress(gameLifecycle) && playMode !== 'online', paused);
+    memoryGrid.classList.toggle('paused', paused);
 }
 
 /**
@@ -501,7 +1098,87 @@ function formatTime(seconds) {
  */
 function updateGameStats() {
     moveCountDisplay.textContent = moveCount;
-    matchCountDisplay.textContent = `${matchedPairs}/${TOTAL_PAIRS}`;
+    matchCountDisplay.textContent = `${matchedPairs}/${totalPairs}`;
+    updatePlayerScores();
+}
+
+/**
+ * Check whether players are taking turns (on this device or against another tab)
+ * @returns {boolean} True in multiplayer games
+ */
+function isTurnBased() {
+    return sessions.isSessionConnected(onlineSession) || (playMode === 'local' && players.length > 0);
+}
+
+/**
+ * Get the players shown beside the grid
+ * @returns {Array} { name, avatar, color, pairs, active } per player
+ */
+function getScoreboardPlayers() {
+    if (sessions.isSessionConnected(onlineSession)) {
+        const session = onlineSession;
+        return [
+            { name: 'You', role: session.role },
+            { name: session.peer.name, role: sessions.getPeerRole(session) }
+        ].map(player => ({ ...player, pairs: onlinePairs[player.role], active: session.turn === player.role }));
+    }
+    
+    return players.map((player, index) => ({
+        name: player.profile.name,
+        avatar: player.profile.avatar,
+        color: player.profile.color,
+        pairs: player.pairs,
+        active: index === currentPlayerIndex
+    }));
+}
+
+/**
+ * Names of the players of a turn-based game in turn order, for its replay
+ * @returns {Array} Names, starting with whoever flips first (empty for a solo game)
+ */
+function getReplayPlayers() {
+    if (sessions.isSessionConnected(onlineSession)) {
+        const session = onlineSession;
+        const names = { [session.role]: user.currentUser.name, [sessions.getPeerRole(session)]: session.peer.name };
+        return [session.turn, session.turn === 'host' ? 'guest' : 'host'].map(role => names[role]);
+    }
+    
+    return players.map(player => player.profile.name);
+}
+
+/**
+ * Show each player's pairs and whose turn it is in a multiplayer game
+ */
+function updatePlayerScores() {
+    if (!isTurnBased()) {
+        playerScores.style.display = 'none';
+        return;
+    }
+    
+    playerScores.innerHTML = getScoreboardPlayers().map(player => `
+        <div class="player-score ${player.active ? 'active' : ''}" ${player.color ? `style="--profile-color: ${utils.escapeHTML(player.color)}"` : ''}>
+            <span class="player-score-name">${utils.escapeHTML(player.avatar || '')} ${utils.escapeHTML(player.name)}</span>
+            <span class="player-score-pairs">${player.pairs}</span>
+        </div>
+    `).join('');
+    playerScores.style.display = '';
+}
+
+/**
+ * Say whose turn it is in a multiplayer game
+ * @param {string} prefix - Optional message to show first
+ */
+function updateTurnStatus(prefix = '') {
+    let turn;
+    if (sessions.isSessionConnected(onlineSession)) {
+        turn = sessions.isMyTurn(onlineSession) ? 'Your turn!' : `${onlineSession.peer.name}'s turn.`;
+        memoryGrid.classList.toggle('waiting', !sessions.isMyTurn(onlineSession));
+    } else {
+        turn = `${players[currentPlayerIndex].profile.name}'s turn!`;
+    }
+    
+    updateGameStatus(prefix ? `${prefix} ${turn}` : turn);
+    updatePlayerScores();
 }
 
 /**
@@ -510,13 +1187,112 @@ function updateGameStats() {
  */
 function updateGameStatus(message) {
     gameStatus.textContent = message;
+    ui.announce(message);
 }
 
 /**
- * Create leaderboard display
+ * The leaderboard for the current board and play mode, or today's in the daily challenge
+ * @returns {Object} Leaderboard view (see mountGame)
  */
-function createLeaderboard() {
-    createLeaderboard('memoryGame', leaderboardContainer);
+function getLeaderboardView() {
+    if (playMode === daily.DAILY_MODE) {
+        return { daily: true };
+    }
+    
+    return {
+        title: `High Scores: ${boardSize.rows} × ${boardSize.columns}${PLAY_MODE_TITLES[playMode]}`,
+        partition: { board: boardSize.key, mode: playMode }
+    };
+}
+
+/**
+ * Handle a new choice in the board size selector
+ */
+function handleBoardSizeChange() {
+    const key = boardSizeSelect.value;
+    customBoard.style.display = key === 'custom' ? 'flex' : 'none';
+    
+    // Custom boards only take effect once applied
+    if (key !== 'custom') {
+        setBoardSize(BOARD_SIZES[key].rows, BOARD_SIZES[key].columns);
+    }
+}
+
+/**
+ * Validate the custom board inputs and switch to them
+ */
+function applyCustomBoardSize() {
+    const rows = Number(customRowsInput.value);
+    const columns = Number(customColumnsInput.value);
+    const error = getBoardSizeError(rows, columns);
+    
+    if (error) {
+        ui.showMessage(error, 'error');
+        return;
+    }
+    
+    setBoardSize(rows, columns);
+    ui.showMessage(`Custom board set: ${rows} × ${columns}`, 'info');
+}
+
+/**
+ * Check a board size against the custom board limits
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @returns {string|null} What is wrong with the size, or null if it can be played
+ */
+function getBoardSizeError(rows, columns) {
+    const { minSide, maxSide } = CUSTOM_BOARD_LIMITS;
+    
+    if (![rows, columns].every(side => Number.isInteger(side) && side >= minSide && side <= maxSide)) {
+        return `Rows and columns must be whole numbers from ${minSide} to ${maxSide}`;
+    }
+    if ((rows * columns) % 2 !== 0) {
+        return 'The board needs an even number of cards';
+    }
+    return null;
+}
+
+/**
+ * Switch to a board size and deal a fresh board
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ */
+function setBoardSize(rows, columns) {
+    // Boards with the same dimensions share a key, so a custom 4 x 4 joins the 4 x 4 leaderboard
+    boardSize = { key: `${rows}x${columns}`, rows, columns };
+    totalPairs = (rows * columns) / 2;
+    
+    if (lifecycle.hasEnded(gameLifecycle)) {
+        startNewGame();
+    } else {
+        initializeGameGrid();
+        updateGameStats();
+    }
+    
+    shell.renderLeaderboard();
+}
+
+/**
+ * Enable or disable the board size controls
+ * @param {boolean} locked - True while a game is in progress
+ */
+function setBoardSizeLocked(locked) {
+    // The board can't change while this tab is hosting or playing another tab either
+    const sessionBusy = Boolean(onlineSession) && ['waiting', 'joining', 'connected'].includes(onlineSession.state);
+    locked = locked || sessionBusy;
+    
+    // The daily challenge always uses the same board
+    [boardSizeSelect, customRowsInput, customColumnsInput, applyBoardBtn].forEach(control => {
+        control.disabled = locked || playMode === daily.DAILY_MODE;
+    });
+    playModeSelect.disabled = locked;
+    
+    // Players can't join or leave mid-game
+    addPlayerBtn.disabled = locked || getLocalPlayers().length >= MAX_LOCAL_PLAYERS;
+    localPlayersList.querySelectorAll('[data-remove-player]').forEach(button => {
+        button.disabled = locked;
+    });
 }
 
 /**
@@ -524,16 +1300,22 @@ function createLeaderboard() {
  */
 function startNewGame() {
     // Reset game state
-    gameStarted = false;
-    gameEnded = false;
+    lifecycle.prepareGame(gameLifecycle);
     
-    // Stop timer
+    // Stop timer, and the check of a pair turned over just before
     stopTimer();
+    clearTimeout(matchCheckTimeout);
+    matchCheckTimeout = null;
+    pausedAt = null;
+    setBoardSizeLocked(false);
+    updatePauseControls();
     
     // Reset UI
     gameComplete.style.display = 'none';
     newGameBtn.style.display = 'none';
-    startGameBtn.style.display = 'inline-block';
+    startGameBtn.style.display = playMode === 'online' ? 'none' : 'inline-block';
+    memoryGrid.classList.remove('waiting');
+    players = [];
     
     // Reset game grid
     initializeGameGrid();
@@ -545,20 +1327,218 @@ function startNewGame() {
     timerDisplay.textContent = '00:00';
     
     // Reset status
-    updateGameStatus('Click "Start Game" to begin!');
+    updateGameStatus(playMode === 'online' ? 'Host a game, or join one from another tab!' : 'Click "Start Game" to begin!');
+    checkDailyPlayed();
+}
+
+/**
+ * In the daily challenge, tell a player who has already had their attempt and hide the start button
+ * @returns {boolean} True if the player has already played today's challenge
+ */
+function checkDailyPlayed() {
+    const played = Boolean(dailyKey) && daily.hasPlayedDaily('memoryGame', user.currentUser, dailyKey);
+    if (played) {
+        startGameBtn.style.display = 'none';
+        updateGameStatus(daily.describeDailyResult('memoryGame', user.currentUser, dailyKey));
+    }
+    return played;
+}
+
+/**
+ * Switch between solo play, the daily challenge, players taking turns on this device and playing another tab
+ */
+function handlePlayModeChange() {
+    playMode = playModeSelect.value;
+    if (playMode === daily.DAILY_MODE) {
+        const { rows, columns } = BOARD_SIZES[DAILY_BOARD_SIZE];
+        boardSize = { key: DAILY_BOARD_SIZE, rows, columns };
+        totalPairs = (rows * columns) / 2;
+        boardSizeSelect.value = DAILY_BOARD_SIZE;
+        customBoard.style.display = 'none';
+    }
+    
+    sessionContainer.style.display = playMode === 'online' ? '' : 'none';
+    localPlayersPanel.style.display = playMode === 'local' ? '' : 'none';
+    renderLocalPlayers();
+    
+    if (playMode === 'online') {
+        showOnlineLobby();
+    } else if (onlineSession) {
+        sessions.leaveSession(onlineSession);
+    }
+    
+    startNewGame();
+    shell.renderLeaderboard();
+}
+
+/**
+ * Get the players of a local multiplayer game, in turn order
+ * @returns {Array} Profiles: the active profile first, then the added players
+ */
+function getLocalPlayers() {
+    if (!user.currentUser) {
+        return [...extraPlayers];
+    }
+    return [user.currentUser, ...extraPlayers.filter(profile => profile.id !== user.currentUser.id)];
+}
+
+/**
+ * Pick another profile to join the local game
+ */
+function addLocalPlayer() {
+    const current = getLocalPlayers();
+    if (current.length >= MAX_LOCAL_PLAYERS) {
+        ui.showMessage(`Up to ${MAX_LOCAL_PLAYERS} players can share a board`, 'error');
+        return;
+    }
+    
+    ui.showProfilePicker(playerPickerSection, profile => {
+        extraPlayers.push(profile);
+        renderLocalPlayers();
+    }, {
+        title: `Who's player ${current.length + 1}?`,
+        activate: false,
+        excludeIds: current.map(profile => profile.id)
+    });
+}
+
+/**
+ * Show who is playing in local multiplayer mode
+ */
+function renderLocalPlayers() {
+    const current = getLocalPlayers();
+    
+    localPlayersList.innerHTML = current.map((profile, index) => `
+        <li>
+            <span>${index + 1}. ${utils.escapeHTML(profile.avatar || '')} ${utils.escapeHTML(profile.name)}</span>
+            ${profile === user.currentUser ? '' : `<button type="button" class="btn btn-secondary" data-remove-player="${utils.escapeHTML(profile.id)}">Remove</button>`}
+        </li>
+    `).join('');
+    
+    setBoardSizeLocked(lifecycle.isInProgress(gameLifecycle));
 }
 
 /**
- * Show message to user
- * @param {string} message - Message to show
- * @param {string} type - Type of message
+ * Show the lobby for playing against another tab
  */
-function showMessage(message, type = 'info') {
-    // Use the main.js showMessage function
-    if (typeof showMessage === 'function') {
-        showMessage(message, type);
+function showOnlineLobby() {
+    if (!onlineSession) {
+        onlineSession = sessions.openSession('memoryGame', {
+            onConnect: handleSessionConnect,
+            onDisconnect: (session, reason) => ui.showMessage(sessions.describeDisconnect(session), 'error'),
+            onAction: handleSessionAction,
+            onRematchRequested: session => ui.showMessage(`${session.peer.name} wants a rematch!`, 'info'),
+            onRematch: session => {
+                if (session.role === 'host') dealOnlineBoard();
+            },
+            onError: (session, message) => ui.showErrorMessage(message)
+        });
+        sessions.onSessionChange(onlineSession, handleSessionChange);
+    }
+    renderSessionPanel();
+}
+
+/**
+ * Render the other-tab lobby
+ */
+function renderSessionPanel() {
+    sessions.createSessionPanel(sessionContainer, onlineSession, {
+        getSettings: () => ({ rows: boardSize.rows, columns: boardSize.columns }),
+        describeSettings: settings => `${settings.rows} × ${settings.columns} board`
+    });
+}
+
+/**
+ * Keep the page in step with the other-tab session
+ * @param {Object} session - Session
+ */
+function handleSessionChange(session) {
+    if (playMode !== 'online') return;
+    
+    renderSessionPanel();
+    
+    // The other tab left or went quiet: this game can't be finished
+    if (!sessions.isSessionConnected(session) && lifecycle.hasStarted(gameLifecycle)) {
+        startNewGame();
+    }
+    
+    setBoardSizeLocked(lifecycle.isInProgress(gameLifecycle));
+    if (sessions.isSessionConnected(session) && lifecycle.isInProgress(gameLifecycle)) {
+        updateTurnStatus();
+    }
+}
+
+/**
+ * Once two tabs are connected, the host deals the board for both
+ * @param {Object} session - Session
+ */
+function handleSessionConnect(session) {
+    ui.showMessage(`Connected! You're playing ${session.peer.name}.`, 'success');
+    
+    if (session.role === 'host') {
+        dealOnlineBoard();
     } else {
-        // Fallback if main.js not loaded
-        alert(message);
+        updateGameStatus(`Waiting for ${session.peer.name} to deal the cards...`);
     }
 }
+
+/**
+ * Deal a fresh board and send it to the other tab (host only)
+ */
+function dealOnlineBoard() {
+    initializeGameGrid();
+    sessions.sendSessionAction(onlineSession, {
+        type: 'deal',
+        rows: boardSize.rows,
+        columns: boardSize.columns,
+        layout: cards.map(card => card.symbol),
+        seed: utils.getGameSeed()
+    });
+    startGame();
+}
+
+/**
+ * Apply a game action from the other tab
+ * @param {Object} session - Session
+ * @param {Object} action - { type: 'deal', rows, columns, layout, seed } or { type: 'flip', index }
+ */
+function handleSessionAction(session, action) {
+    if (action.type === 'deal') {
+        if (!isValidDeal(action)) {
+            ui.showErrorMessage('The other tab dealt a board that isn\'t in this game.');
+            sessions.leaveSession(session);
+            return;
+        }
+        
+        boardSize = { key: `${action.rows}x${action.columns}`, rows: action.rows, columns: action.columns };
+        totalPairs = (action.rows * action.columns) / 2;
+        boardSizeSelect.value = BOARD_SIZES[boardSize.key] ? boardSize.key : 'custom';
+        initializeGameGrid(action.layout, action.seed);
+        shell.renderLeaderboard();
+        startGame();
+    } else if (action.type === 'flip') {
+        const cardElement = memoryGrid.querySelector(`[data-index="${Number(action.index)}"]`);
+        if (cardElement && lifecycle.isInProgress(gameLifecycle)) {
+            handleCardClick(cardElement, true);
+        }
+    }
+}
+
+/**
+ * Check a board dealt by the other tab: a playable size, one card per square and
+ * every symbol one of the game's, dealt exactly twice
+ * @param {Object} action - { type: 'deal', rows, columns, layout, seed }
+ * @returns {boolean} True if the board can be played
+ */
+function isValidDeal(action) {
+    if (getBoardSizeError(action.rows, action.columns)) return false;
+    if (!Array.isArray(action.layout) || action.layout.length !== action.rows * action.columns) return false;
+    
+    const counts = new Map();
+    action.layout.forEach(symbol => {
+        counts.set(symbol, (counts.get(symbol) || 0) + 1);
+    });
+    return [...counts].every(([symbol, count]) => CARD_SYMBOLS.includes(symbol) && count === 2);
+}
+
+// showMessage function is available from ui.js
\ No newline at end of file
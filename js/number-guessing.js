@@ -1,47 +1,87 @@
 /**
  * Number Guessing Game - JavaScript Implementation
- * A game where players guess a number between 1-100 with 5 attempts
+ * A game where players guess a secret number within a limited number of attempts,
+ * on a range and attempt count set by the chosen difficulty
  */
 
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as ui from './ui.js';
+import * as daily from './daily.js';
+import * as replays from './replay.js';
+import * as savedGames from './saved-games.js';
+import * as shell from './game-shell.js';
+import * as lifecycle from './lifecycle.js';
+
+// Preset difficulty levels, with the score multiplier for each
+const DIFFICULTIES = {
+    easy: { label: 'Easy', min: 1, max: 50, attempts: 8, multiplier: 0.5 },
+    normal: { label: 'Normal', min: 1, max: 100, attempts: 5, multiplier: 1 },
+    hard: { label: 'Hard', min: 1, max: 500, attempts: 7, multiplier: 1.5 }
+};
+
+// Highest score multiplier for a custom difficulty harder than Hard
+const MAX_DIFFICULTY_MULTIPLIER = 3;
+
+// Difficulty assumed for scores saved before difficulty levels existed
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Play modes: free play, or the daily challenge (see daily.js) on a fixed difficulty
+const FREE_PLAY_MODE = 'free';
+const DAILY_DIFFICULTY = 'normal';
+
+// Bounds for the custom difficulty
+const CUSTOM_DIFFICULTY_LIMITS = {
+    lowest: 1,
+    highest: 100000,
+    minRangeSize: 10,
+    maxAttempts: 20
+};
+
 // Game state variables
+let difficulty = { key: DEFAULT_DIFFICULTY, ...DIFFICULTIES[DEFAULT_DIFFICULTY] };
 let secretNumber = 0;
-let attemptsLeft = 5;
-let gameStarted = false;
-let gameEnded = false;
+let attemptsLeft = difficulty.attempts;
+let gameLifecycle = lifecycle.createGameLifecycle('numberGuessing');
 let startTime = 0;
+let pausedAt = null;
+let playMode = FREE_PLAY_MODE;
+let dailyKey = null;
+
+// Every guess this game, saved with the score as a replay (see replay.js)
+let replay = null;
 
 // DOM elements
 let guessInput, submitBtn, hintDisplay, attemptsDisplay, bestScoreDisplay;
-let userNameSection, setNameBtn, playerNameInput;
-let gameControls, newGameBtn, backToHomeBtn;
-let leaderboardContainer;
+let gameControls, newGameBtn;
+let difficultySelect, customDifficulty, customMinInput, customMaxInput, customAttemptsInput, applyCustomBtn;
+let rangeText, attemptsText, guessRangeLabel;
+let playModeSelect, seedDisplay, resumePrompt;
+
+// Plug the game into the page's game shell, which asks who is playing and shows the leaderboard
+shell.mountGame('numberGuessing', {
+    init: initializeGame,
+    start: handleProfileSelected,
+    pause: pauseGame,
+    resume: continueGame,
+    end: leaveGame,
+    save: saveProgress,
+    leaderboard: getLeaderboardView
+});
 
 /**
- * Initialize the game when DOM is loaded
+ * Initialize the game once the page has loaded
  */
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        // Get DOM elements
-        initializeElements();
-        
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Check if user is already set
-        checkUserStatus();
-        
-        // Load best score
-        loadBestScore();
-        
-        // Create leaderboard
-        createLeaderboard();
-        
-        console.log('Number Guessing Game initialized successfully');
-    } catch (error) {
-        console.error('Error initializing Number Guessing Game:', error);
-        showErrorMessage('Failed to initialize the Number Guessing Game. Please refresh the page.');
-    }
-});
+function initializeGame() {
+    // Get DOM elements
+    initializeElements();
+    
+    // Set up event listeners
+    setupEventListeners();
+    
+    // Load best score
+    loadBestScore();
+}
 
 /**
  * Initialize DOM elements
@@ -50,9 +90,10 @@ function initializeElements() {
     try {
         // Required elements
         const requiredElements = [
-            'guessInput', 'submitGuess', 'hintDisplay', 'attemptsLeft', 
-            'bestScore', 'userNameSection', 'setNameBtn', 'playerName', 
-            'gameControls', 'newGameBtn', 'backToHomeBtn', 'leaderboardContainer'
+            'guessInput', 'submitGuess', 'hintDisplay', 'attemptsLeft', 'bestScore',
+            'gameControls', 'newGameBtn',
+            'difficultySelect', 'customDifficulty', 'customMin', 'customMax', 'customAttempts',
+            'applyCustomBtn', 'rangeText', 'attemptsText', 'guessRangeLabel', 'playModeSelect', 'resumePrompt'
         ];
 
         const missingElements = [];
@@ -63,13 +104,20 @@ function initializeElements() {
         hintDisplay = document.getElementById('hintDisplay');
         attemptsDisplay = document.getElementById('attemptsLeft');
         bestScoreDisplay = document.getElementById('bestScore');
-        userNameSection = document.getElementById('userNameSection');
-        setNameBtn = document.getElementById('setNameBtn');
-        playerNameInput = document.getElementById('playerName');
         gameControls = document.getElementById('gameControls');
         newGameBtn = document.getElementById('newGameBtn');
-        backToHomeBtn = document.getElementById('backToHomeBtn');
-        leaderboardContainer = document.getElementById('leaderboardContainer');
+        difficultySelect = document.getElementById('difficultySelect');
+        customDifficulty = document.getElementById('customDifficulty');
+        customMinInput = document.getElementById('customMin');
+        customMaxInput = document.getElementById('customMax');
+        customAttemptsInput = document.getElementById('customAttempts');
+        applyCustomBtn = document.getElementById('applyCustomBtn');
+        rangeText = document.getElementById('rangeText');
+        attemptsText = document.getElementById('attemptsText');
+        guessRangeLabel = document.getElementById('guessRangeLabel');
+        playModeSelect = document.getElementById('playModeSelect');
+        seedDisplay = document.getElementById('seedDisplay');
+        resumePrompt = document.getElementById('resumePrompt');
 
         // Check for missing elements
         if (!guessInput) missingElements.push('guessInput');
@@ -77,13 +125,19 @@ function initializeElements() {
         if (!hintDisplay) missingElements.push('hintDisplay');
         if (!attemptsDisplay) missingElements.push('attemptsDisplay');
         if (!bestScoreDisplay) missingElements.push('bestScoreDisplay');
-        if (!userNameSection) missingElements.push('userNameSection');
-        if (!setNameBtn) missingElements.push('setNameBtn');
-        if (!playerNameInput) missingElements.push('playerNameInput');
         if (!gameControls) missingElements.push('gameControls');
         if (!newGameBtn) missingElements.push('newGameBtn');
-        if (!backToHomeBtn) missingElements.push('backToHomeBtn');
-        if (!leaderboardContainer) missingElements.push('leaderboardContainer');
+        if (!difficultySelect) missingElements.push('difficultySelect');
+        if (!customDifficulty) missingElements.push('customDifficulty');
+        if (!customMinInput) missingElements.push('customMinInput');
+        if (!customMaxInput) missingElements.push('customMaxInput');
+        if (!customAttemptsInput) missingElements.push('customAttemptsInput');
+        if (!applyCustomBtn) missingElements.push('applyCustomBtn');
+        if (!rangeText) missingElements.push('rangeText');
+        if (!attemptsText) missingElements.push('attemptsText');
+        if (!guessRangeLabel) missingElements.push('guessRangeLabel');
+        if (!playModeSelect) missingElements.push('playModeSelect');
+        if (!resumePrompt) missingElements.push('resumePrompt');
 
         if (missingElements.length > 0) {
             throw new Error(`Missing required DOM elements: ${missingElements.join(', ')}`);
@@ -92,7 +146,7 @@ function initializeElements() {
         console.log('All DOM elements initialized successfully');
     } catch (error) {
         console.error('Error initializing DOM elements:', error);
-        showErrorMessage('Failed to initialize game elements. Please check the page structure.');
+        ui.showErrorMessage('Failed to initialize game elements. Please check the page structure.');
         throw error;
     }
 }
@@ -110,7 +164,7 @@ function setupEventListeners() {
                     handleGuess();
                 } catch (error) {
                     console.error('Error handling guess submission:', error);
-                    showErrorMessage('Failed to process your guess. Please try again.');
+                    ui.showErrorMessage('Failed to process your guess. Please try again.');
                 }
             });
         }
@@ -138,55 +192,52 @@ function setupEventListeners() {
             });
         }
         
-        // Set name button
-        if (setNameBtn) {
-            setNameBtn.addEventListener('click', function(e) {
+        // Play mode selector
+        if (playModeSelect) {
+            playModeSelect.addEventListener('change', function() {
                 try {
-                    e.preventDefault();
-                    handleSetName();
+                    handlePlayModeChange();
                 } catch (error) {
-                    console.error('Error handling name setting:', error);
-                    showErrorMessage('Failed to set your name. Please try again.');
+                    console.error('Error changing play mode:', error);
+                    ui.showErrorMessage('Failed to change the game mode. Please try again.');
                 }
             });
         }
         
-        // Enter key in name input
-        if (playerNameInput) {
-            playerNameInput.addEventListener('keypress', function(e) {
+        // Difficulty selector
+        if (difficultySelect) {
+            difficultySelect.addEventListener('change', function() {
                 try {
-                    if (e.key === 'Enter') {
-                        e.preventDefault();
-                        handleSetName();
-                    }
+                    handleDifficultyChange();
                 } catch (error) {
-                    console.error('Error handling name input keypress:', error);
+                    console.error('Error changing difficulty:', error);
+                    ui.showErrorMessage('Failed to change the difficulty. Please try again.');
                 }
             });
         }
         
-        // New game button
-        if (newGameBtn) {
-            newGameBtn.addEventListener('click', function(e) {
+        // Custom difficulty button
+        if (applyCustomBtn) {
+            applyCustomBtn.addEventListener('click', function(e) {
                 try {
                     e.preventDefault();
-                    startNewGame();
+                    applyCustomDifficulty();
                 } catch (error) {
-                    console.error('Error starting new game:', error);
-                    showErrorMessage('Failed to start new game. Please try again.');
+                    console.error('Error applying custom difficulty:', error);
+                    ui.showErrorMessage('Failed to apply the custom range. Please try again.');
                 }
             });
         }
         
-        // Back to home button
-        if (backToHomeBtn) {
-            backToHomeBtn.addEventListener('click', function(e) {
+        // New game button
+        if (newGameBtn) {
+            newGameBtn.addEventListener('click', function(e) {
                 try {
                     e.preventDefault();
-                    window.location.href = 'index.html';
+                    startNewGame();
                 } catch (error) {
-                    console.error('Error navigating to home:', error);
-                    showErrorMessage('Failed to navigate to home page.');
+                    console.error('Error starting new game:', error);
+                    ui.showErrorMessage('Failed to start new game. Please try again.');
                 }
             });
         }
@@ -194,62 +245,151 @@ function setupEventListeners() {
         console.log('Event listeners set up successfully');
     } catch (error) {
         console.error('Error setting up event listeners:', error);
-        showErrorMessage('Failed to set up game controls. Some features may not work.');
+        ui.showErrorMessage('Failed to set up game controls. Some features may not work.');
     }
 }
 
 /**
- * Check if user is already set
+ * Pause input while the game shell asks who is playing
+ */
+function leaveGame() {
+    guessInput.disabled = true;
+    submitBtn.disabled = true;
+    gameControls.style.display = 'none';
+}
+
+/**
+ * Handle a profile being chosen in the picker
+ * @param {Object} profile - Chosen profile
  */
-function checkUserStatus() {
-    const currentUser = getCurrentUser();
-    if (currentUser) {
-        // User already exists, start game immediately
+function handleProfileSelected(profile) {
+    ui.showMessage(`Good luck, ${profile.name}!`, 'info');
+    if (!offerSavedGame()) {
         startGame();
-    } else {
-        // Show name input
-        userNameSection.style.display = 'block';
     }
 }
 
 /**
- * Handle setting user name
+ * Offer to carry on the player's unfinished game, if they left one
+ * @returns {boolean} True if the player was asked
  */
-function handleSetName() {
-    const name = playerNameInput.value.trim();
-    
-    if (name.length === 0) {
-        showMessage('Please enter your name or click "Skip" to play as Anonymous', 'error');
-        return;
+function offerSavedGame() {
+    const save = savedGames.loadGameProgress('numberGuessing');
+    if (!save) {
+        return false;
     }
     
-    if (name.length > 20) {
-        showMessage('Name must be 20 characters or less', 'error');
+    const state = save.state;
+    const mode = state.dailyKey ? 'daily challenge' : `${state.difficulty.label || state.difficulty.key} game`;
+    updateHintDisplay('Pick up where you left off, or start a new game.');
+    savedGames.showResumePrompt(resumePrompt, save, `a ${mode} with ${state.attemptsLeft} attempt${state.attemptsLeft === 1 ? '' : 's'} left`, resumeGame, () => {
+        savedGames.clearGameProgress('numberGuessing');
+        startGame();
+    });
+    return true;
+}
+
+/**
+ * Carry on a saved game
+ * @param {Object} state - State from saveProgress()
+ */
+function resumeGame(state) {
+    try {
+        playMode = state.playMode;
+        playModeSelect.value = playMode;
+        dailyKey = state.dailyKey;
+        difficulty = state.difficulty;
+        difficultySelect.value = difficulty.key;
+        customDifficulty.style.display = difficulty.key === 'custom' ? 'flex' : 'none';
+        if (difficulty.key === 'custom') {
+            customMinInput.value = difficulty.min;
+            customMaxInput.value = difficulty.max;
+            customAttemptsInput.value = difficulty.attempts;
+        }
+        updateDifficultyCopy();
+        
+        // Pick the generator up where it stopped, so the hints still follow the seed
+        utils.startSeededGame(state.seed, state.draws);
+        secretNumber = state.secretNumber;
+        attemptsLeft = state.attemptsLeft;
+        lifecycle.startGame(gameLifecycle, { resumed: true, ...getPlayModeDetails() });
+        
+        // Time spent away doesn't count against the time bonus
+        startTime = Date.now() - state.elapsed;
+        pausedAt = null;
+        replay = replays.resumeReplay(state.replay);
+        
+        updateAttemptsDisplay();
+        ui.renderSeedDisplay(seedDisplay, dailyKey ? null : utils.getGameSeed());
+        updateHintDisplay(state.hint.message, state.hint.type);
+        setDifficultyLocked(true);
+        loadBestScore();
+        shell.renderLeaderboard();
+        
+        guessInput.disabled = false;
+        submitBtn.disabled = false;
+        guessInput.value = '';
+        guessInput.focus();
+        gameControls.style.display = 'none';
+        updatePauseControls();
+    } catch (error) {
+        console.error('Error resuming game:', error);
+        ui.showErrorMessage('The saved game could not be resumed. Starting a new one.');
+        savedGames.clearGameProgress('numberGuessing');
+        startGame();
+    }
+}
+
+/**
+ * Snapshot the game in progress so it can be resumed (see saved-games.js)
+ */
+function saveProgress() {
+    // Nothing to resume before the first guess
+    if (!lifecycle.isInProgress(gameLifecycle) || attemptsLeft === difficulty.attempts) {
         return;
     }
     
-    // Set the user
-    setCurrentUser(name);
-    
-    // Hide name section and start game
-    userNameSection.style.display = 'none';
-    startGame();
+    savedGames.saveGameProgress('numberGuessing', {
+        playMode: playMode,
+        dailyKey: dailyKey,
+        difficulty: difficulty,
+        secretNumber: secretNumber,
+        attemptsLeft: attemptsLeft,
+        elapsed: getElapsedTime(),
+        seed: utils.getGameSeed(),
+        draws: utils.getRandomDraws(),
+        hint: { message: hintDisplay.textContent, type: hintDisplay.className.replace('hint-display', '').trim() },
+        replay: replays.suspendReplay(replay)
+    }, dailyKey ? daily.getDailyExpiry(dailyKey) : null);
 }
 
 /**
  * Start a new game
  */
 function startGame() {
-    // Reset game state
-    secretNumber = getRandomNumber(1, 100);
-    attemptsLeft = 5;
-    gameStarted = true;
-    gameEnded = false;
+    // Each player gets one attempt at the daily challenge
+    dailyKey = playMode === daily.DAILY_MODE ? daily.getDailyKey() : null;
+    if (dailyKey && daily.hasPlayedDaily('numberGuessing', user.currentUser, dailyKey)) {
+        showDailyPlayed();
+        return;
+    }
+    
+    // Reset game state; the seed (fixed for the day in the daily challenge) decides the secret number and hints
+    utils.startSeededGame(dailyKey ? daily.getDailySeed('numberGuessing', dailyKey) : undefined);
+    secretNumber = utils.getRandomNumber(difficulty.min, difficulty.max);
+    attemptsLeft = difficulty.attempts;
+    lifecycle.startGame(gameLifecycle, getPlayModeDetails());
     startTime = Date.now();
+    pausedAt = null;
+    replay = replays.startReplay();
     
     // Update UI
+    savedGames.hideResumePrompt(resumePrompt);
     updateAttemptsDisplay();
-    updateHintDisplay('I\'m thinking of a number between 1 and 100. I\'ll give you helpful hints about its mathematical properties! What\'s your first guess?');
+    // The daily seed isn't shown: its link would give away the day's number outside the challenge
+    ui.renderSeedDisplay(seedDisplay, dailyKey ? null : utils.getGameSeed());
+    updateHintDisplay(`I'm thinking of a number between ${difficulty.min} and ${difficulty.max}. I'll give you helpful hints about its mathematical properties! What's your first guess?`);
+    setDifficultyLocked(false);
     
     // Enable input
     guessInput.disabled = false;
@@ -258,11 +398,28 @@ function startGame() {
     
     // Hide game controls
     gameControls.style.display = 'none';
+    updatePauseControls();
     
     // Clear input
     guessInput.value = '';
     
-    console.log('Secret number:', secretNumber); // For debugging
+    if (!dailyKey) {
+        console.log('Secret number:', secretNumber); // For debugging
+    }
+}
+
+/**
+ * Show that the player has already had today's daily challenge
+ */
+function showDailyPlayed() {
+    lifecycle.endGame(gameLifecycle);
+    guessInput.disabled = true;
+    submitBtn.disabled = true;
+    updatePauseControls();
+    gameControls.style.display = 'block';
+    setDifficultyLocked(false);
+    ui.renderSeedDisplay(seedDisplay, null);
+    updateHintDisplay(daily.describeDailyResult('numberGuessing', user.currentUser, dailyKey));
 }
 
 /**
@@ -271,11 +428,16 @@ function startGame() {
 function handleGuess() {
     try {
         // Validate game state
-        if (!gameStarted || gameEnded) {
+        if (!lifecycle.isInProgress(gameLifecycle)) {
             console.warn('Attempted to guess when game is not active');
             return;
         }
 
+        // No guesses while the clock is stopped
+        if (pausedAt) {
+            return;
+        }
+
         // Validate input element
         if (!guessInput) {
             throw new Error('Guess input element not found');
@@ -283,7 +445,7 @@ function handleGuess() {
 
         const inputValue = guessInput.value;
         if (!inputValue || inputValue.trim() === '') {
-            showMessage('Please enter a number before submitting', 'error');
+            ui.showMessage('Please enter a number before submitting', 'error');
             return;
         }
 
@@ -291,24 +453,39 @@ function handleGuess() {
         
         // Validate guess
         if (isNaN(guess)) {
-            showMessage('Please enter a valid number', 'error');
+            ui.showMessage('Please enter a valid number', 'error');
             return;
         }
 
-        if (guess < 1 || guess > 100) {
-            showMessage('Please enter a number between 1 and 100', 'error');
+        if (!isInRange(guess)) {
+            ui.showMessage(`Please enter a number between ${difficulty.min} and ${difficulty.max}`, 'error');
             return;
         }
 
         // Validate secret number
-        if (!secretNumber || secretNumber < 1 || secretNumber > 100) {
+        if (!secretNumber || !isInRange(secretNumber)) {
             throw new Error('Invalid secret number state');
         }
         
+        // The first guess uses up the player's daily challenge attempt
+        if (dailyKey && attemptsLeft === difficulty.attempts) {
+            if (daily.hasPlayedDaily('numberGuessing', user.currentUser, dailyKey)) {
+                showDailyPlayed();
+                return;
+            }
+            daily.startDailyAttempt('numberGuessing', user.currentUser, dailyKey);
+        }
+        
+        replays.recordReplayEvent(replay, guess);
+        lifecycle.recordMove(gameLifecycle, guess);
+        
         // Decrease attempts
         attemptsLeft--;
         updateAttemptsDisplay();
         
+        // The difficulty can't change once the first guess is in
+        setDifficultyLocked(true);
+        
         // Check if guess is correct
         if (guess === secretNumber) {
             handleCorrectGuess();
@@ -316,6 +493,7 @@ function handleGuess() {
             handleGameOver();
         } else {
             handleWrongGuess(guess);
+            saveProgress();
         }
         
         // Clear input for next guess
@@ -325,7 +503,7 @@ function handleGuess() {
         }
     } catch (error) {
         console.error('Error handling guess:', error);
-        showErrorMessage('An error occurred while processing your guess. Please try again.');
+        ui.showErrorMessage('An error occurred while processing your guess. Please try again.');
     }
 }
 
@@ -333,18 +511,27 @@ function handleGuess() {
  * Handle correct guess
  */
 function handleCorrectGuess() {
-    gameEnded = true;
-    const timeTaken = Math.round((Date.now() - startTime) / 1000);
+    savedGames.clearGameProgress('numberGuessing');
+    const timeTaken = Math.round(getElapsedTime() / 1000);
     const score = calculateScore(attemptsLeft, timeTaken);
     
     // Update hint display
-    updateHintDisplay(`🎉 Congratulations! You guessed it right! The number was ${secretNumber}. You took ${5 - attemptsLeft} attempts in ${timeTaken} seconds!`, 'correct');
+    const attemptsUsed = difficulty.attempts - attemptsLeft;
+    updateHintDisplay(`🎉 Congratulations! You guessed it right! The number was ${secretNumber}. You took ${attemptsUsed} attempt${attemptsUsed === 1 ? '' : 's'} in ${timeTaken} seconds!`, 'correct');
     
-    // Save score
-    saveGameScore('numberGuessing', score, {
-        attempts: 5 - attemptsLeft,
-        time: timeTaken,
-        secretNumber: secretNumber
+    // End the game; its score is saved and the leaderboard updated from the game:end event
+    lifecycle.endGame(gameLifecycle, {
+        score: score,
+        details: {
+            outcome: 'win',
+            attempts: attemptsUsed,
+            time: timeTaken,
+            secretNumber: secretNumber,
+            seed: utils.getGameSeed(),
+            replay: replays.finishReplay(replay),
+            ...getDifficultyDetails(),
+            ...getPlayModeDetails()
+        }
     });
     
     // Update best score
@@ -356,14 +543,10 @@ function handleCorrectGuess() {
     // Disable input
     guessInput.disabled = true;
     submitBtn.disabled = true;
+    updatePauseControls();
+    setDifficultyLocked(false);
     
-    // Update leaderboard
-    createLeaderboard();
-    
-    // Increment games played
-    incrementGamesPlayed();
-    
-    showMessage(`Great job! Your score: ${formatNumber(score)}`, 'success');
+    ui.showMessage(`Great job! Your score: ${utils.formatNumber(score)}`, 'success');
 }
 
 /**
@@ -396,8 +579,8 @@ function generateHint(secretNumber, guess) {
     }
     
     // Mathematical property hints
-    const properties = getNumberProperties(secretNumber);
-    const randomProperty = properties[Math.floor(Math.random() * properties.length)];
+    const properties = getNumberProperties(secretNumber, difficulty.min, difficulty.max);
+    const randomProperty = properties[Math.floor(utils.nextRandom() * properties.length)];
     hints.push(randomProperty);
     
     return hints.join(' ');
@@ -406,9 +589,11 @@ function generateHint(secretNumber, guess) {
 /**
  * Get mathematical properties of a number
  * @param {number} num - The number to analyze
+ * @param {number} min - Lowest possible secret number
+ * @param {number} max - Highest possible secret number
  * @returns {Array} Array of property hints
  */
-function getNumberProperties(num) {
+function getNumberProperties(num, min = 1, max = 100) {
     const properties = [];
     
     // Even/Odd
@@ -454,16 +639,9 @@ function getNumberProperties(num) {
         properties.push("The number is in the Fibonacci sequence!");
     }
     
-    // Range hints
-    if (num <= 25) {
-        properties.push("The number is in the range 1-25.");
-    } else if (num <= 50) {
-        properties.push("The number is in the range 26-50.");
-    } else if (num <= 75) {
-        properties.push("The number is in the range 51-75.");
-    } else {
-        properties.push("The number is in the range 76-100.");
-    }
+    // Range hints (which quarter of the game's range)
+    const quarter = getRangeQuarter(num, min, max);
+    properties.push(`The number is in the range ${quarter.start}-${quarter.end}.`);
     
     // Sum of digits
     const digitSum = num.toString().split('').reduce((sum, digit) => sum + parseInt(digit), 0);
@@ -489,6 +667,23 @@ function getNumberProperties(num) {
     return properties;
 }
 
+/**
+ * Find the quarter of a range that a number falls in
+ * @param {number} num - Number within the range
+ * @param {number} min - Start of the range
+ * @param {number} max - End of the range
+ * @returns {Object} Start and end of the quarter (inclusive)
+ */
+function getRangeQuarter(num, min, max) {
+    const quarterSize = (max - min + 1) / 4;
+    const index = Math.min(3, Math.floor((num - min) / quarterSize));
+    
+    return {
+        start: min + Math.ceil(index * quarterSize),
+        end: min + Math.ceil((index + 1) * quarterSize) - 1
+    };
+}
+
 /**
  * Check if a number is prime
  * @param {number} num - Number to check
@@ -547,37 +742,154 @@ function isFibonacci(num) {
  * Handle game over
  */
 function handleGameOver() {
-    gameEnded = true;
+    savedGames.clearGameProgress('numberGuessing');
+    const timeTaken = Math.round(getElapsedTime() / 1000);
     
     updateHintDisplay(`Game Over! The secret number was ${secretNumber}. Better luck next time!`, 'error');
     
+    // End the game; the loss goes into the score history from the game:end event
+    lifecycle.endGame(gameLifecycle, {
+        score: 0,
+        details: {
+            outcome: 'loss',
+            attempts: difficulty.attempts,
+            time: timeTaken,
+            secretNumber: secretNumber,
+            seed: utils.getGameSeed(),
+            replay: replays.finishReplay(replay),
+            ...getDifficultyDetails(),
+            ...getPlayModeDetails()
+        }
+    });
+    
     // Show game controls
     gameControls.style.display = 'block';
     
     // Disable input
     guessInput.disabled = true;
     submitBtn.disabled = true;
+    updatePauseControls();
+    setDifficultyLocked(false);
     
-    showMessage('Don\'t give up! Try again with a new game.', 'error');
+    ui.showMessage('Don\'t give up! Try again with a new game.', 'error');
 }
 
 /**
- * Calculate score based on attempts and time
+ * Calculate score based on attempts, time and difficulty
  * @param {number} attemptsLeft - Number of attempts remaining
  * @param {number} timeTaken - Time taken in seconds
+ * @param {Object} settings - Difficulty the game was played on
  * @returns {number} Calculated score
  */
-function calculateScore(attemptsLeft, timeTaken) {
+function calculateScore(attemptsLeft, timeTaken, settings = difficulty) {
+    const attemptShare = attemptsLeft / settings.attempts;
+    
     // Base score from attempts (more attempts left = higher score)
-    const attemptScore = attemptsLeft * 100;
+    const attemptScore = attemptShare * 500;
     
     // Time bonus (faster = higher score, max 500 points)
     const timeBonus = Math.max(0, 500 - timeTaken);
     
     // Difficulty bonus (guessing in fewer attempts)
-    const difficultyBonus = (5 - attemptsLeft) * 50;
+    const difficultyBonus = (1 - attemptShare) * 250;
+    
+    return Math.round((attemptScore + timeBonus + difficultyBonus) * getDifficultyMultiplier(settings));
+}
+
+/**
+ * Score multiplier for a difficulty. The presets set their own (Normal is 1, so Normal
+ * scores stay comparable with older games). A custom difficulty is placed among the
+ * presets by how short its attempts fall of a halving search (see getAttemptShortfall),
+ * between the multipliers of the presets either side of it, so a harder game always
+ * scores at least as much as an easier one.
+ * @param {Object} settings - Difficulty settings
+ * @returns {number} Multiplier
+ */
+function getDifficultyMultiplier(settings) {
+    if (DIFFICULTIES[settings.key]) {
+        return DIFFICULTIES[settings.key].multiplier;
+    }
+    
+    const presets = Object.values(DIFFICULTIES)
+        .map(preset => ({ shortfall: getAttemptShortfall(preset), multiplier: preset.multiplier }))
+        .sort((a, b) => a.shortfall - b.shortfall);
+    const shortfall = getAttemptShortfall(settings);
+    
+    const easiest = presets[0];
+    const hardest = presets[presets.length - 1];
+    if (shortfall <= easiest.shortfall) {
+        return easiest.multiplier;
+    }
+    if (shortfall >= hardest.shortfall) {
+        // Past the hardest preset, carry on at the rate from the easiest to the hardest
+        const rate = (hardest.multiplier - easiest.multiplier) / (hardest.shortfall - easiest.shortfall);
+        return Math.min(MAX_DIFFICULTY_MULTIPLIER, hardest.multiplier + (shortfall - hardest.shortfall) * rate);
+    }
     
-    return attemptScore + timeBonus + difficultyBonus;
+    const upper = presets.findIndex(preset => preset.shortfall >= shortfall);
+    const below = presets[upper - 1];
+    const above = presets[upper];
+    const position = (shortfall - below.shortfall) / (above.shortfall - below.shortfall);
+    return below.multiplier + position * (above.multiplier - below.multiplier);
+}
+
+/**
+ * How many more guesses than a difficulty gives it would take to be sure of finding the
+ * number by halving the range each time. Negative when there are guesses to spare.
+ * @param {Object} settings - Difficulty settings
+ * @returns {number} Guesses short (log2 of the range size minus the attempts)
+ */
+function getAttemptShortfall({ min, max, attempts }) {
+    return Math.log2(max - min + 1) - attempts;
+}
+
+/**
+ * Time played so far, not counting the time the game is paused
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getElapsedTime() {
+    return (pausedAt || Date.now()) - startTime;
+}
+
+/**
+ * Pause the game: stop the clock counting against the time bonus and put guessing on hold
+ */
+function pauseGame() {
+    if (gameLifecycle.state !== 'playing') {
+        return;
+    }
+    
+    lifecycle.pauseGame(gameLifecycle);
+    pausedAt = Date.now();
+    guessInput.disabled = true;
+    submitBtn.disabled = true;
+    updatePauseControls();
+    ui.showMessage('Game paused. The clock is stopped until you resume.', 'info');
+    saveProgress();
+}
+
+/**
+ * Carry on a paused game; the time it was paused doesn't count
+ */
+function continueGame() {
+    if (gameLifecycle.state !== 'paused') {
+        return;
+    }
+    
+    lifecycle.resumeGame(gameLifecycle);
+    startTime += Date.now() - pausedAt;
+    pausedAt = null;
+    guessInput.disabled = false;
+    submitBtn.disabled = false;
+    updatePauseControls();
+    guessInput.focus();
+}
+
+/**
+ * Show the pause button only during a game
+ */
+function updatePauseControls() {
+    shell.updatePauseButton(lifecycle.isInProgress(gameLifecycle), pausedAt !== null);
 }
 
 /**
@@ -602,6 +914,7 @@ function updateAttemptsDisplay() {
 function updateHintDisplay(message, type = '') {
     hintDisplay.textContent = message;
     hintDisplay.className = `hint-display ${type}`;
+    ui.announce(message);
 }
 
 /**
@@ -610,32 +923,196 @@ function updateHintDisplay(message, type = '') {
 function validateInput() {
     const value = parseInt(guessInput.value);
     
-    if (isNaN(value) || value < 1 || value > 100) {
+    if (isNaN(value) || !isInRange(value)) {
         guessInput.style.borderColor = 'var(--danger-color)';
     } else {
         guessInput.style.borderColor = 'var(--primary-color)';
     }
 }
 
+/**
+ * Check if a number is within the current difficulty's range
+ * @param {number} num - Number to check
+ * @returns {boolean} True if in range
+ */
+function isInRange(num) {
+    return num >= difficulty.min && num <= difficulty.max;
+}
+
+/**
+ * Handle a new choice in the difficulty selector
+ */
+function handleDifficultyChange() {
+    const key = difficultySelect.value;
+    customDifficulty.style.display = key === 'custom' ? 'flex' : 'none';
+    
+    // Custom ranges only take effect once applied
+    if (key !== 'custom') {
+        setDifficulty({ key, ...DIFFICULTIES[key] });
+    }
+}
+
+/**
+ * Validate the custom range inputs and switch to them
+ */
+function applyCustomDifficulty() {
+    const min = Number(customMinInput.value);
+    const max = Number(customMaxInput.value);
+    const attempts = Number(customAttemptsInput.value);
+    const limits = CUSTOM_DIFFICULTY_LIMITS;
+    
+    if (![min, max, attempts].every(Number.isInteger)) {
+        ui.showMessage('Please enter whole numbers for the custom range and attempts', 'error');
+        return;
+    }
+    
+    if (min < limits.lowest || max > limits.highest) {
+        ui.showMessage(`The custom range must stay between ${limits.lowest} and ${utils.formatNumber(limits.highest)}`, 'error');
+        return;
+    }
+    
+    if (max - min + 1 < limits.minRangeSize) {
+        ui.showMessage(`The custom range must contain at least ${limits.minRangeSize} numbers`, 'error');
+        return;
+    }
+    
+    if (attempts < 1 || attempts > limits.maxAttempts) {
+        ui.showMessage(`Attempts must be between 1 and ${limits.maxAttempts}`, 'error');
+        return;
+    }
+    
+    setDifficulty({ key: 'custom', label: 'Custom', min, max, attempts });
+    ui.showMessage(`Custom range set: ${min}-${max} with ${attempts} attempts`, 'info');
+}
+
+/**
+ * Switch to a difficulty, restarting the current game if no guess has been made yet
+ * @param {Object} settings - Difficulty key, label, min, max and attempts
+ */
+function setDifficulty(settings) {
+    difficulty = settings;
+    
+    updateDifficultyCopy();
+    loadBestScore();
+    shell.renderLeaderboard();
+    
+    if (lifecycle.isInProgress(gameLifecycle)) {
+        startGame();
+    } else {
+        attemptsLeft = difficulty.attempts;
+        updateAttemptsDisplay();
+    }
+}
+
+/**
+ * Update the instructions and input limits for the current difficulty
+ */
+function updateDifficultyCopy() {
+    rangeText.textContent = `${difficulty.min} and ${difficulty.max}`;
+    attemptsText.textContent = `${difficulty.attempts} attempt${difficulty.attempts === 1 ? '' : 's'}`;
+    guessRangeLabel.textContent = `${difficulty.min}-${difficulty.max}`;
+    guessInput.min = difficulty.min;
+    guessInput.max = difficulty.max;
+}
+
+/**
+ * Enable or disable the difficulty controls
+ * @param {boolean} locked - True while a game is in progress
+ */
+function setDifficultyLocked(locked) {
+    // The daily challenge always uses the same difficulty
+    [difficultySelect, customMinInput, customMaxInput, customAttemptsInput, applyCustomBtn].forEach(control => {
+        control.disabled = locked || playMode === daily.DAILY_MODE;
+    });
+    playModeSelect.disabled = locked;
+}
+
+/**
+ * Switch between free play and the daily challenge
+ */
+function handlePlayModeChange() {
+    playMode = playModeSelect.value;
+    
+    if (playMode === daily.DAILY_MODE) {
+        difficultySelect.value = DAILY_DIFFICULTY;
+        customDifficulty.style.display = 'none';
+        difficulty = { key: DAILY_DIFFICULTY, ...DIFFICULTIES[DAILY_DIFFICULTY] };
+        updateDifficultyCopy();
+    }
+    
+    setDifficultyLocked(false);
+    loadBestScore();
+    shell.renderLeaderboard();
+    
+    if (lifecycle.hasStarted(gameLifecycle)) {
+        startNewGame();
+    } else {
+        attemptsLeft = difficulty.attempts;
+        updateAttemptsDisplay();
+    }
+}
+
+/**
+ * Difficulty fields saved with each score
+ * @returns {Object} Difficulty key, range and attempt limit
+ */
+function getDifficultyDetails() {
+    return {
+        difficulty: difficulty.key,
+        range: `${difficulty.min}-${difficulty.max}`,
+        maxAttempts: difficulty.attempts
+    };
+}
+
+/**
+ * Play mode fields saved with each score (free play scores have none)
+ * @returns {Object} Mode and day of a daily challenge
+ */
+function getPlayModeDetails() {
+    return dailyKey ? daily.getDailyDetails(dailyKey) : {};
+}
+
+/**
+ * Leaderboard partition for the current difficulty. Custom games are only
+ * ranked against games with the same range and attempt limit.
+ * @returns {Object} Partition fields (see getLeaderboard)
+ */
+function getDifficultyPartition() {
+    if (difficulty.key !== 'custom') {
+        return { difficulty: difficulty.key };
+    }
+    
+    return getDifficultyDetails();
+}
+
 /**
  * Load and display best score
  */
 function loadBestScore() {
-    const leaderboard = getLeaderboard('numberGuessing');
+    const leaderboard = shell.getLeaderboardEntries();
     
     if (leaderboard.length > 0) {
         const bestScore = leaderboard[0].score;
-        bestScoreDisplay.textContent = formatNumber(bestScore);
+        bestScoreDisplay.textContent = utils.formatNumber(bestScore);
     } else {
         bestScoreDisplay.textContent = '-';
     }
 }
 
 /**
- * Create leaderboard display
+ * The leaderboard for the current difficulty, or today's in the daily challenge
+ * @returns {Object} Leaderboard view (see mountGame)
  */
-function createLeaderboard() {
-    createLeaderboard('numberGuessing', leaderboardContainer);
+function getLeaderboardView() {
+    if (playMode === daily.DAILY_MODE) {
+        return { daily: true };
+    }
+    
+    const label = difficulty.key === 'custom' ? `Custom ${difficulty.min}-${difficulty.max}` : difficulty.label;
+    return {
+        title: `High Scores: ${label}`,
+        partition: { ...getDifficultyPartition(), mode: FREE_PLAY_MODE }
+    };
 }
 
 /**
@@ -650,17 +1127,4 @@ function startNewGame() {
     startGame();
 }
 
-/**
- * Show message to user
- * @param {string} message - Message to show
- * @param {string} type - Type of message
- */
-function showMessage(message, type = 'info') {
-    // Use the main.js showMessage function
-    if (typeof showMessage === 'function') {
-        showMessage(message, type);
-    } else {
-        // Fallback if main.js not loaded
-        alert(message);
-    }
-}
+// showMessage function is available from ui.js
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * RevoFun Gaming Company - Offline App
+ * Lets the site be installed and played without a connection: registers the service
+ * worker (sw.js), offers each new version as it is deployed, shows when the player is
+ * offline and adds an Install button where the browser supports installing.
+ */
+
+import * as ui from './ui.js';
+
+// Set once the player accepts an update, so only that change of service worker reloads the page
+let updateAccepted = false;
+
+// The browser's install prompt, kept until the player presses Install
+let installPrompt = null;
+
+/**
+ * Register the service worker, and offer new versions as they are installed
+ */
+export function registerServiceWorker() {
+    // Service workers need https (or localhost); opened from disk the site just needs a connection
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // A new version was installed while the site was open before
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', function() {
+            watchInstallingWorker(registration.installing);
+        });
+
+        // The page stays open as the player moves around the site: look for a new version whenever they come back to it
+        document.addEventListener('visibilitychange', function() {
+            if (!document.hidden) {
+                registration.update().catch(error => console.warn('Error checking for updates:', error));
+            }
+        });
+    }).catch(error => {
+        console.error('Error registering service worker:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+        if (updateAccepted) {
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * Offer a new version once it has finished installing. The first install isn't an update.
+ * @param {ServiceWorker} worker - Installing service worker
+ */
+function watchInstallingWorker(worker) {
+    if (!worker) return;
+
+    worker.addEventListener('statechange', function() {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            showUpdatePrompt(worker);
+        }
+    });
+}
+
+/**
+ * Show the "update available" prompt
+ * @param {ServiceWorker} worker - Installed service worker waiting to take over
+ */
+function showUpdatePrompt(worker) {
+    if (document.getElementById('updateBanner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'updateBanner';
+    banner.className = 'app-banner';
+
+    const message = document.createElement('p');
+    message.textContent = '🎉 A new version of RevoFun is ready. Your game is saved, so you can carry on after updating.';
+
+    const updateBtn = document.createElement('button');
+    updateBtn.type = 'button';
+    updateBtn.className = 'btn';
+    updateBtn.textContent = 'Update now';
+    updateBtn.addEventListener('click', function() {
+        updateAccepted = true;
+        updateBtn.disabled = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+
+    const laterBtn = document.createElement('button');
+    laterBtn.type = 'button';
+    laterBtn.className = 'btn btn-secondary';
+    laterBtn.textContent = 'Later';
+    laterBtn.addEventListener('click', function() {
+        banner.remove();
+    });
+
+    banner.append(message, updateBtn, laterBtn);
+    document.body.appendChild(banner);
+    ui.announce('A new version of RevoFun is ready.');
+}
+
+/**
+ * Show a banner under the header while the player is offline
+ */
+export function initializeOfflineIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'offline-indicator';
+    indicator.textContent = "📴 You're offline. The games still work, and your scores are saved on this device.";
+    indicator.hidden = navigator.onLine;
+
+    const header = document.querySelector('.header');
+    (header || document.body).appendChild(indicator);
+
+    window.addEventListener('offline', function() {
+        indicator.hidden = false;
+        ui.announce("You're offline. The games still work.");
+    });
+    window.addEventListener('online', function() {
+        indicator.hidden = true;
+        ui.announce("You're back online.");
+    });
+}
+
+/**
+ * Add an Install button to the navigation, shown while the browser offers to install the site
+ */
+export function initializeInstallButton() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu) return;
+
+    const item = document.createElement('li');
+    item.hidden = true;
+
+    const installBtn = document.createElement('button');
+    installBtn.type = 'button';
+    installBtn.className = 'install-btn';
+    installBtn.textContent = '📲 Install';
+    installBtn.setAttribute('aria-label', 'Install RevoFun as an app');
+    installBtn.addEventListener('click', function() {
+        if (!installPrompt) return;
+
+        installPrompt.prompt();
+        installPrompt = null;
+        item.hidden = true;
+    });
+
+    item.appendChild(installBtn);
+    navMenu.appendChild(item);
+
+    window.addEventListener('beforeinstallprompt', function(e) {
+        // Show our own button instead of the browser's banner
+        e.preventDefault();
+        installPrompt = e;
+        item.hidden = false;
+    });
+    window.addEventListener('appinstalled', function() {
+        installPrompt = null;
+        item.hidden = true;
+        ui.showMessage('📲 RevoFun is installed! Open it from your home screen to play, even without Wi-Fi.', 'success', 5000);
+    });
+}
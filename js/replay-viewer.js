@@ -0,0 +1,400 @@
+/**
+ * Replay Viewer - JavaScript Implementation
+ * Plays a saved game back step by step, with play/pause, stepping, scrubbing and speed controls
+ */
+
+import * as utils from './utils.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as replays from './replay.js';
+import * as rpsRules from './rps-rules.js';
+import * as games from './games.js';
+import * as router from './router.js';
+
+// Games that save replays, and how each draws the game after a number of steps
+const REPLAY_RENDERERS = {
+    numberGuessing: renderNumberGuessingReplay,
+    rockPaperScissors: renderRockPaperScissorsReplay,
+    memoryGame: renderMemoryReplay
+};
+
+// Long pauses (e.g. the player stepping away) are shortened to this during playback
+const MAX_REPLAY_DELAY = 3000;
+
+// Playback state
+let replayEntry = null;
+let replaySteps = [];
+let replayPosition = 0;
+let playbackTimer = null;
+
+// DOM elements
+let replaySummary, replayView, replayControls, replayPlayBtn, replayStepBackBtn, replayStepForwardBtn;
+let replayScrub, replaySpeed, replayProgress;
+
+router.registerPage('replay.html', {
+    init: initializeReplayViewer,
+    enter: loadReplay,
+    leave: stopPlayback,
+    errorMessage: 'Failed to load the replay. Please refresh the page.'
+});
+
+/**
+ * Initialize the replay viewer the first time it is shown
+ */
+function initializeReplayViewer() {
+    initializeElements();
+
+    replayPlayBtn.addEventListener('click', togglePlayback);
+    replayStepBackBtn.addEventListener('click', () => seekReplay(replayPosition - 1));
+    replayStepForwardBtn.addEventListener('click', () => seekReplay(replayPosition + 1));
+    replayScrub.addEventListener('input', () => seekReplay(Number(replayScrub.value), isPlaying()));
+    replaySpeed.addEventListener('change', () => {
+        if (isPlaying()) {
+            scheduleNextStep();
+        }
+    });
+
+    // Re-render once an asynchronous storage backend has loaded
+    document.addEventListener('revofun:storageready', loadReplay);
+}
+
+/**
+ * Initialize DOM elements
+ */
+function initializeElements() {
+    replaySummary = document.getElementById('replaySummary');
+    replayView = document.getElementById('replayView');
+    replayControls = document.getElementById('replayControls');
+    replayPlayBtn = document.getElementById('replayPlayBtn');
+    replayStepBackBtn = document.getElementById('replayStepBackBtn');
+    replayStepForwardBtn = document.getElementById('replayStepForwardBtn');
+    replayScrub = document.getElementById('replayScrub');
+    replaySpeed = document.getElementById('replaySpeed');
+    replayProgress = document.getElementById('replayProgress');
+
+    if (!replaySummary || !replayView || !replayControls || !replayPlayBtn || !replayStepBackBtn ||
+        !replayStepForwardBtn || !replayScrub || !replaySpeed || !replayProgress) {
+        throw new Error('Missing required DOM elements for the replay viewer');
+    }
+}
+
+/**
+ * Find the history entry named in the URL (?id=) and show it from the start
+ */
+function loadReplay() {
+    stopPlayback();
+    const id = new URLSearchParams(window.location.search).get('id');
+    replayEntry = scores.getScoreHistory().find(entry => entry.id === id) || null;
+
+    if (!replayEntry || !replayEntry.replay || !REPLAY_RENDERERS[replayEntry.game]) {
+        showReplayUnavailable('This replay could not be found. It may have been removed from the score history.');
+        return;
+    }
+
+    try {
+        replaySteps = replays.getReplaySteps(replayEntry.replay);
+    } catch (error) {
+        console.error('Error reading replay:', error);
+        showReplayUnavailable(error.message);
+        return;
+    }
+
+    renderReplaySummary();
+    replayControls.style.display = '';
+    replayScrub.max = replaySteps.length;
+    seekReplay(0);
+}
+
+/**
+ * Show why there is nothing to play back
+ * @param {string} message - Explanation
+ */
+function showReplayUnavailable(message) {
+    replayEntry = null;
+    replaySteps = [];
+    replaySummary.innerHTML = '';
+    replayControls.style.display = 'none';
+    replayProgress.textContent = '';
+    replayView.innerHTML = `<p class="stats-empty">${utils.escapeHTML(message)} <a href="index.html#games">Back to the games</a></p>`;
+}
+
+/**
+ * Show who played, when, and how the game ended
+ */
+function renderReplaySummary() {
+    const game = games.getGame(replayEntry.game);
+    const outcome = { win: 'Won', draw: 'Drew', loss: 'Lost' }[replayEntry.outcome] || 'Finished';
+
+    replaySummary.innerHTML = `
+        <h2>${game.icon} ${utils.escapeHTML(game.title)}</h2>
+        <p>
+            ${utils.escapeHTML(replayEntry.player)} · ${utils.escapeHTML(new Date(replayEntry.date).toLocaleString())} ·
+            ${outcome} with ${utils.formatNumber(replayEntry.score)} points
+        </p>
+        <a href="${game.page}" class="btn btn-secondary">Play ${utils.escapeHTML(game.title)}</a>
+    `;
+}
+
+/**
+ * Jump to a step of the replay
+ * @param {number} position - Number of steps to show (0 is the start of the game)
+ * @param {boolean} keepPlaying - Carry on playing from the new position
+ */
+function seekReplay(position, keepPlaying = false) {
+    if (!replayEntry) {
+        return;
+    }
+
+    replayPosition = Math.max(0, Math.min(replaySteps.length, position));
+    if (keepPlaying) {
+        scheduleNextStep();
+    } else {
+        stopPlayback();
+    }
+    renderReplayStep();
+}
+
+/**
+ * Draw the game as it was after the current step, and update the controls
+ */
+function renderReplayStep() {
+    const elapsed = replayPosition > 0 ? replaySteps[replayPosition - 1].time : 0;
+
+    replayView.innerHTML = REPLAY_RENDERERS[replayEntry.game](replayEntry, replaySteps.slice(0, replayPosition));
+    replayScrub.value = replayPosition;
+    replayStepBackBtn.disabled = replayPosition === 0;
+    replayStepForwardBtn.disabled = replayPosition === replaySteps.length;
+    replayPlayBtn.textContent = isPlaying() ? '⏸ Pause' : '▶ Play';
+    replayProgress.textContent = `Step ${replayPosition} of ${replaySteps.length} · ${formatReplayTime(elapsed)}`;
+}
+
+/**
+ * Check whether the replay is playing
+ * @returns {boolean} True while playing
+ */
+function isPlaying() {
+    return playbackTimer !== null;
+}
+
+/**
+ * Play or pause the replay; playing from the end starts over
+ */
+function togglePlayback() {
+    if (!replayEntry) {
+        return;
+    }
+
+    if (isPlaying()) {
+        stopPlayback();
+        renderReplayStep();
+        return;
+    }
+
+    if (replayPosition === replaySteps.length) {
+        replayPosition = 0;
+    }
+    scheduleNextStep();
+    renderReplayStep();
+}
+
+/**
+ * Wait as long as the player took (at the chosen speed), then show the next step
+ */
+function scheduleNextStep() {
+    clearTimeout(playbackTimer);
+    playbackTimer = null;
+
+    if (replayPosition >= replaySteps.length) {
+        return;
+    }
+
+    const speed = Number(replaySpeed.value) || 1;
+    const delay = Math.min(replaySteps[replayPosition].delay, MAX_REPLAY_DELAY) / speed;
+    playbackTimer = setTimeout(() => {
+        replayPosition++;
+        scheduleNextStep();
+        renderReplayStep();
+    }, delay);
+}
+
+/**
+ * Pause the replay
+ */
+function stopPlayback() {
+    clearTimeout(playbackTimer);
+    playbackTimer = null;
+}
+
+/**
+ * Format time into the game, e.g. "1:05.2"
+ * @param {number} ms - Milliseconds since the game started
+ * @returns {string} Formatted time
+ */
+function formatReplayTime(ms) {
+    const seconds = ms / 1000;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Draw a Number Guessing game: each guess with the answer it got
+ * @param {Object} entry - History entry
+ * @param {Array} steps - Steps played so far ({ data: [guess] })
+ * @returns {string} HTML
+ */
+function renderNumberGuessingReplay(entry, steps) {
+    const [min, max] = (entry.range || '1-100').split('-').map(Number);
+    const maxAttempts = entry.maxAttempts || entry.attempts;
+    let low = min;
+    let high = max;
+
+    const guesses = steps.map(({ data: [guess] }) => {
+        if (guess === entry.secretNumber) {
+            return { guess, type: 'correct', label: 'Correct!' };
+        }
+        if (guess > entry.secretNumber) {
+            high = Math.min(high, guess - 1);
+            return { guess, type: 'too-high', label: 'Too high' };
+        }
+        low = Math.max(low, guess + 1);
+        return { guess, type: 'too-low', label: 'Too low' };
+    });
+    const last = guesses[guesses.length - 1];
+
+    return `
+        <div class="game-stats">
+            <div class="stat-item">
+                <div class="label">Attempts</div>
+                <div class="value">${guesses.length} / ${maxAttempts}</div>
+            </div>
+            <div class="stat-item">
+                <div class="label">Still possible</div>
+                <div class="value">${last && last.type === 'correct' ? entry.secretNumber : `${low}-${high}`}</div>
+            </div>
+        </div>
+        <div class="hint-display ${last ? last.type : ''}">
+            ${last ? `${last.guess}: ${last.label}` : `Guess a number between ${min} and ${max}`}
+        </div>
+        <ol class="replay-moves">
+            ${guesses.map(item => `<li class="${item.type}">${item.guess} <span>${item.label}</span></li>`).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Draw a Rock, Paper, Scissors game: the score and every round's moves
+ * @param {Object} entry - History entry
+ * @param {Array} steps - Steps played so far ({ data: [own move, opponent's move] })
+ * @returns {string} HTML
+ */
+function renderRockPaperScissorsReplay(entry, steps) {
+    // A custom rule set may have been deleted since; its moves then show by id and rounds aren't scored
+    const ruleSet = rpsRules.getRuleSet(entry.variant || rpsRules.RPS_DEFAULT_RULE_SET);
+    const showMove = id => {
+        const move = ruleSet && ruleSet.moves.find(item => item.id === id);
+        return move ? `${utils.escapeHTML(move.emoji)} ${utils.escapeHTML(move.label)}` : utils.escapeHTML(String(id));
+    };
+    const opponentName = entry.opponentName || 'Computer';
+    const score = { own: 0, other: 0 };
+
+    const rounds = steps.map(({ data: [own, other] }) => {
+        const result = ruleSet ? rpsRules.compareMoves(ruleSet, own, other) : 0;
+        if (result > 0) score.own++;
+        if (result < 0) score.other++;
+        const type = !ruleSet ? '' : result > 0 ? 'win' : result < 0 ? 'lose' : 'tie';
+        return { own, other, type, explanation: ruleSet ? rpsRules.describeOutcome(ruleSet, own, other) : '' };
+    });
+    const last = rounds[rounds.length - 1];
+
+    return `
+        <div class="score-board">
+            <div class="score-item">
+                <h3>${utils.escapeHTML(entry.player)}</h3>
+                <div class="score">${score.own}</div>
+            </div>
+            <div class="score-item">
+                <h3>${utils.escapeHTML(opponentName)}</h3>
+                <div class="score">${score.other}</div>
+            </div>
+        </div>
+        ${last ? `
+            <div class="round-result ${last.type}">
+                Round ${rounds.length}: ${showMove(last.own)} vs ${showMove(last.other)}${last.explanation ? ` - ${utils.escapeHTML(last.explanation)}` : ' - a tie'}
+            </div>
+        ` : '<div class="round-result">The game is about to start</div>'}
+        <ol class="replay-moves">
+            ${rounds.map(round => `<li class="${round.type}">${showMove(round.own)} <span>vs</span> ${showMove(round.other)}</li>`).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Draw a Memory game: the board with the cards turned so far, and each player's pairs in a turn-based game
+ * @param {Object} entry - History entry
+ * @param {Array} steps - Steps played so far ({ data: [card index] })
+ * @returns {string} HTML
+ */
+function renderMemoryReplay(entry, steps) {
+    const { layout, columns } = entry.replay;
+    const players = (entry.replay.players || []).map(name => ({ name, pairs: 0 }));
+    const matched = new Set();
+    let faceUp = [];
+    let moves = 0;
+    let turn = 0;
+
+    steps.forEach(({ data: [index] }) => {
+        // A missed pair stays face up until the next card is turned
+        if (faceUp.length === 2) {
+            faceUp = [];
+        }
+        faceUp.push(index);
+        if (faceUp.length < 2) {
+            return;
+        }
+
+        moves++;
+        const [first, second] = faceUp;
+        if (layout[first] === layout[second]) {
+            matched.add(first).add(second);
+            faceUp = [];
+            if (players.length > 0) {
+                players[turn].pairs++;
+            }
+        } else if (players.length > 0) {
+            turn = (turn + 1) % players.length;
+        }
+    });
+
+    return `
+        <div class="game-stats">
+            <div class="stat-item">
+                <div class="label">Moves</div>
+                <div class="value">${moves}</div>
+            </div>
+            <div class="stat-item">
+                <div class="label">Pairs</div>
+                <div class="value">${matched.size / 2} / ${layout.length / 2}</div>
+            </div>
+        </div>
+        <div class="memory-board">
+            <div class="memory-grid" style="--memory-columns: ${Number(columns)}">
+                ${layout.map((symbol, index) => `
+                    <div class="memory-card ${matched.has(index) ? 'flipped matched' : faceUp.includes(index) ? 'flipped' : ''}">
+                        <div class="card-face card-back">?</div>
+                        <div class="card-face card-front">${utils.escapeHTML(symbol)}</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${players.length > 0 ? `
+                <div class="player-scores">
+                    ${players.map((player, index) => `
+                        <div class="player-score ${index === turn ? 'active' : ''}">
+                            <span class="player-score-name">${utils.escapeHTML(player.name)}</span>
+                            <span class="player-score-pairs">${player.pairs}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
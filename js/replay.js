@@ -0,0 +1,88 @@
+/**
+ * RevoFun Gaming Company - Game Replays
+ * Records every input of a game with its timing, in a compact form saved with the
+ * score, and turns a saved replay back into steps the replay viewer can play
+ */
+
+// Version of the saved replay format
+export const REPLAY_VERSION = 1;
+
+/**
+ * Start recording a game
+ * @param {Object} header - Anything the viewer needs besides the inputs (e.g. the dealt board)
+ * @returns {Object} Recorder for recordReplayEvent() and finishReplay()
+ */
+export function startReplay(header = {}) {
+    return { header: header, events: [], lastTime: Date.now() };
+}
+
+/**
+ * Record one input. Each event is saved as [milliseconds since the previous event, ...data].
+ * @param {Object} recorder - Recorder from startReplay()
+ * @param {...*} data - The input, e.g. a guess, the round's moves or a card index
+ */
+export function recordReplayEvent(recorder, ...data) {
+    if (!recorder) {
+        return;
+    }
+
+    const now = Date.now();
+    recorder.events.push([now - recorder.lastTime, ...data]);
+    recorder.lastTime = now;
+}
+
+/**
+ * Finish recording a game
+ * @param {Object} recorder - Recorder from startReplay()
+ * @returns {Object|null} Replay to save with the score ({ v, ...header, events }), or null if nothing was recorded
+ */
+export function finishReplay(recorder) {
+    if (!recorder || recorder.events.length === 0) {
+        return null;
+    }
+
+    return { v: REPLAY_VERSION, ...recorder.header, events: recorder.events.map(event => [...event]) };
+}
+
+/**
+ * Snapshot a recording in progress, for a game saved mid-way
+ * @param {Object} recorder - Recorder from startReplay()
+ * @returns {Object|null} { header, events, idle (ms since the last event) }
+ */
+export function suspendReplay(recorder) {
+    if (!recorder) {
+        return null;
+    }
+
+    return { header: recorder.header, events: recorder.events, idle: Date.now() - recorder.lastTime };
+}
+
+/**
+ * Carry on a recording from a snapshot. The time the game spent saved isn't counted.
+ * @param {Object} snapshot - Snapshot from suspendReplay()
+ * @returns {Object} Recorder
+ */
+export function resumeReplay(snapshot) {
+    if (!snapshot) {
+        return startReplay();
+    }
+
+    return { header: snapshot.header, events: snapshot.events, lastTime: Date.now() - snapshot.idle };
+}
+
+/**
+ * Read a saved replay's events
+ * @param {Object} replay - Replay saved with a score
+ * @returns {Array} Steps: { time (ms since the game started), delay (ms since the previous step), data }
+ */
+export function getReplaySteps(replay) {
+    if (!replay || replay.v !== REPLAY_VERSION || !Array.isArray(replay.events)) {
+        throw new Error('This replay was saved in a format that can\'t be played');
+    }
+
+    let time = 0;
+    return replay.events.map(([delay, ...data]) => {
+        time += delay;
+        return { time, delay, data };
+    });
+}
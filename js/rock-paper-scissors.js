@@ -1,59 +1,135 @@
 /**
  * Rock, Paper, Scissors Game - JavaScript Implementation
- * A classic game where players compete against the computer
+ * A classic game where players compete against the computer or each other
+ * (hot-seat, or from another tab through session.js), under the classic rules
+ * or any rule set from rps-rules.js
  */
 
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as sessions from './session.js';
+import * as daily from './daily.js';
+import * as replays from './replay.js';
+import * as savedGames from './saved-games.js';
+import * as rpsRules from './rps-rules.js';
+import * as rpsAi from './rps-ai.js';
+import * as shell from './game-shell.js';
+import * as lifecycle from './lifecycle.js';
+
 // Game state variables
 let playerScore = 0;
 let computerScore = 0;
 let currentRound = 1;
-let gameStarted = false;
-let gameEnded = false;
+let countedRounds = 0;
+let tiedRounds = 0;
+let gameLifecycle = lifecycle.createGameLifecycle('rockPaperScissors');
 let playerChoice = null;
 let computerChoice = null;
+let roundChoices = [];
+
+// The computer's pick or the end-of-round check waiting to happen
+let roundTimeout = null;
+
+// Both moves of every round, saved with the score as a replay (see replay.js)
+let replay = null;
+
+// Computer opponent state (see rps-ai.js)
+let aiDifficulty = rpsAi.RPS_DEFAULT_AI_DIFFICULTY;
+let aiModel = rpsAi.createRpsModel();
+let aiDecision = null;
+let aiRounds = [];
+
+// Two-player (hot-seat) state. Player 1 is the active profile and plays the
+// 'player' side; player 2 plays the side the computer would otherwise play.
+let playMode = 'computer';
+let dailyKey = null;
+let hotSeatInput = 'pass';
+let secondPlayer = null;
+let pendingChoices = { player: null, opponent: null };
+let opponentChoices = [];
+
+// Game with another tab (see session.js); opened the first time that mode is picked
+let onlineSession = null;
+
+// Leaderboard title suffix for each play mode
+const PLAY_MODE_TITLES = {
+    computer: '',
+    hotseat: ' (Two Players)',
+    online: ' (Two Tabs)'
+};
 
-// Game configuration
-const WINNING_SCORE = 3;
-const CHOICES = ['rock', 'paper', 'scissors'];
+// The daily challenge (see daily.js): the same rules, format and seeded random opponent for everyone
+const DAILY_RULE_SET = rpsRules.RPS_DEFAULT_RULE_SET;
+const DAILY_AI_DIFFICULTY = 'easy';
 
-// Choice emojis mapping
-const CHOICE_EMOJIS = {
-    rock: '🪨',
-    paper: '📄',
-    scissors: '✂️'
+// Keys each player presses for the moves of the active rule set, in move order
+const HOT_SEAT_KEYS = {
+    player: 'qwertasdfgzxcvb',
+    opponent: 'yuiophjkl;nm,./'
 };
 
+/**
+ * Match formats. length is N in the format's label; budgeted formats have a
+ * fixed number of rounds, so ties can either use one up or be replayed.
+ */
+const MATCH_FORMATS = {
+    firstTo: { label: 'First to N wins', minLength: 1, maxLength: 10, defaultLength: 3, budgeted: false },
+    bestOf: { label: 'Best of N rounds', minLength: 1, maxLength: 15, defaultLength: 5, budgeted: true, oddOnly: true },
+    rounds: { label: 'Fixed N rounds', minLength: 1, maxLength: 20, defaultLength: 5, budgeted: true },
+    suddenDeath: { label: 'Sudden death', minLength: 1, maxLength: 1, defaultLength: 1, budgeted: false }
+};
+
+// Format of games saved before match formats existed
+const DEFAULT_MATCH_FORMAT = { format: 'firstTo', length: 3, ties: 'replay' };
+
+// Chosen match format
+let matchFormat = { ...DEFAULT_MATCH_FORMAT };
+
+// Rule sets with more moves than this get smaller, labelled choice buttons
+const COMPACT_CHOICES_THRESHOLD = 3;
+
+// Rule sets with more rules than this are summarized per move in the instructions
+const MAX_LISTED_RULES = 10;
+
+// Active rule set (see rps-rules.js)
+let ruleSet = rpsRules.RPS_RULE_SETS[rpsRules.RPS_DEFAULT_RULE_SET];
+
 // DOM elements
 let playerScoreDisplay, computerScoreDisplay, currentRoundDisplay;
 let gameStatus, choicesContainer, resultsArea, roundResult;
 let playerChoiceDisplay, computerChoiceDisplay;
-let gameControls, newGameBtn, backToHomeBtn;
-let userNameSection, setNameBtn, playerNameInput;
-let leaderboardContainer;
+let gameControls, newGameBtn;
+let aiDifficultySelect, aiDifficultyDescription;
+let ruleSetSelect, rulesText, editRulesBtn, deleteRulesBtn;
+let customRulesForm, customRulesName, customRulesMoves, customRulesBeats, customRulesErrors;
+let saveRulesBtn, cancelRulesBtn;
+let matchFormatSelect, matchLengthInput, tieRuleSelect, matchFormatText;
+let playModeSelect, hotSeatInputSelect, hotSeatInputGroup, aiDifficultyGroup, headToHead;
+let secondProfileSection, passScreen, passScreenText, passReadyBtn, sessionContainer;
+let playerScoreLabel, computerScoreLabel, playerChoiceLabel, computerChoiceLabel;
+let seedDisplay, resumePrompt;
+
+// Plug the game into the page's game shell, which asks who is playing and shows the leaderboard.
+// A match can't be paused; it is saved after every round instead.
+shell.mountGame('rockPaperScissors', {
+    init: initializeGame,
+    start: handleProfileSelected,
+    end: leaveGame,
+    leaderboard: getLeaderboardView
+});
 
 /**
- * Initialize the game when DOM is loaded
+ * Initialize the game once the page has loaded
  */
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        // Get DOM elements
-        initializeElements();
-        
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Check if user is already set
-        checkUserStatus();
-        
-        // Create leaderboard
-        createLeaderboard();
-        
-        console.log('Rock Paper Scissors Game initialized successfully');
-    } catch (error) {
-        console.error('Error initializing Rock Paper Scissors Game:', error);
-        showErrorMessage('Failed to initialize the Rock Paper Scissors Game. Please refresh the page.');
-    }
-});
+function initializeGame() {
+    // Get DOM elements
+    initializeElements();
+    
+    // Set up event listeners
+    setupEventListeners();
+}
 
 /**
  * Initialize DOM elements
@@ -70,11 +146,49 @@ function initializeElements() {
     computerChoiceDisplay = document.getElementById('computerChoiceDisplay');
     gameControls = document.getElementById('gameControls');
     newGameBtn = document.getElementById('newGameBtn');
-    backToHomeBtn = document.getElementById('backToHomeBtn');
-    userNameSection = document.getElementById('userNameSection');
-    setNameBtn = document.getElementById('setNameBtn');
-    playerNameInput = document.getElementById('playerName');
-    leaderboardContainer = document.getElementById('leaderboardContainer');
+    aiDifficultySelect = document.getElementById('aiDifficultySelect');
+    aiDifficultyDescription = document.getElementById('aiDifficultyDescription');
+    
+    ruleSetSelect = document.getElementById('ruleSetSelect');
+    rulesText = document.getElementById('rulesText');
+    editRulesBtn = document.getElementById('editRulesBtn');
+    deleteRulesBtn = document.getElementById('deleteRulesBtn');
+    customRulesForm = document.getElementById('customRulesForm');
+    customRulesName = document.getElementById('customRulesName');
+    customRulesMoves = document.getElementById('customRulesMoves');
+    customRulesBeats = document.getElementById('customRulesBeats');
+    customRulesErrors = document.getElementById('customRulesErrors');
+    saveRulesBtn = document.getElementById('saveRulesBtn');
+    cancelRulesBtn = document.getElementById('cancelRulesBtn');
+    matchFormatSelect = document.getElementById('matchFormatSelect');
+    matchLengthInput = document.getElementById('matchLengthInput');
+    tieRuleSelect = document.getElementById('tieRuleSelect');
+    matchFormatText = document.getElementById('matchFormatText');
+    
+    playModeSelect = document.getElementById('playModeSelect');
+    hotSeatInputSelect = document.getElementById('hotSeatInputSelect');
+    hotSeatInputGroup = document.getElementById('hotSeatInputGroup');
+    aiDifficultyGroup = document.getElementById('aiDifficultyGroup');
+    headToHead = document.getElementById('headToHead');
+    seedDisplay = document.getElementById('seedDisplay');
+    resumePrompt = document.getElementById('resumePrompt');
+    secondProfileSection = document.getElementById('secondProfileSection');
+    passScreen = document.getElementById('passScreen');
+    passScreenText = document.getElementById('passScreenText');
+    passReadyBtn = document.getElementById('passReadyBtn');
+    sessionContainer = document.getElementById('sessionContainer');
+    playerScoreLabel = document.getElementById('playerScoreLabel');
+    computerScoreLabel = document.getElementById('computerScoreLabel');
+    playerChoiceLabel = document.getElementById('playerChoiceLabel');
+    computerChoiceLabel = document.getElementById('computerChoiceLabel');
+    
+    updateMatchFormatControls();
+    
+    aiDifficultySelect.value = aiDifficulty;
+    updateAiDifficultyDescription();
+    
+    fillRuleSetSelect();
+    applyRuleSet();
 }
 
 /**
@@ -82,85 +196,152 @@ function initializeElements() {
  */
 function setupEventListeners() {
     try {
-        // Choice buttons
-        const choiceButtons = document.querySelectorAll('.choice-btn');
-        if (choiceButtons.length === 0) {
-            console.warn('No choice buttons found');
-        } else {
-            choiceButtons.forEach((button, index) => {
+        // Choice buttons (generated from the rule set, so listen on their container)
+        if (choicesContainer) {
+            choicesContainer.addEventListener('click', function(e) {
                 try {
-                    button.addEventListener('click', function(e) {
-                        try {
-                            e.preventDefault();
-                            if (!gameEnded) {
-                                const choice = this.dataset.choice;
-                                if (choice && CHOICES.includes(choice)) {
-                                    handlePlayerChoice(choice);
-                                } else {
-                                    console.error('Invalid choice:', choice);
-                                    showErrorMessage('Invalid choice selected. Please try again.');
-                                }
-                            }
-                        } catch (error) {
-                            console.error('Error handling choice click:', error);
-                            showErrorMessage('Failed to process your choice. Please try again.');
+                    const button = e.target.closest('.choice-btn');
+                    if (!button || button.disabled) return;
+                    
+                    e.preventDefault();
+                    if (lifecycle.isInProgress(gameLifecycle)) {
+                        const choice = button.dataset.choice;
+                        if (choice && getMoveIds().includes(choice)) {
+                            handlePlayerChoice(choice);
+                        } else {
+                            console.error('Invalid choice:', choice);
+                            ui.showErrorMessage('Invalid choice selected. Please try again.');
                         }
-                    });
+                    }
                 } catch (error) {
-                    console.error(`Error adding event listener to choice button ${index}:`, error);
+                    console.error('Error handling choice click:', error);
+                    ui.showErrorMessage('Failed to process your choice. Please try again.');
                 }
             });
         }
         
-        // Set name button
-        if (setNameBtn) {
-            setNameBtn.addEventListener('click', function(e) {
+        // Rule set selector
+        if (ruleSetSelect) {
+            ruleSetSelect.addEventListener('change', function() {
                 try {
-                    e.preventDefault();
-                    handleSetName();
+                    setRuleSet(this.value);
                 } catch (error) {
-                    console.error('Error handling name setting:', error);
-                    showErrorMessage('Failed to set your name. Please try again.');
+                    console.error('Error changing rules:', error);
+                    ui.showErrorMessage('Failed to change the rules. Please try again.');
                 }
             });
         }
         
-        // Enter key in name input
-        if (playerNameInput) {
-            playerNameInput.addEventListener('keypress', function(e) {
+        // Custom rules editor
+        if (editRulesBtn && saveRulesBtn && cancelRulesBtn && deleteRulesBtn) {
+            editRulesBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                showCustomRulesForm(true);
+            });
+            cancelRulesBtn.addEventListener('click', function(e) {
+                e.preventDefault();
+                showCustomRulesForm(false);
+            });
+            saveRulesBtn.addEventListener('click', function(e) {
                 try {
-                    if (e.key === 'Enter') {
-                        e.preventDefault();
-                        handleSetName();
-                    }
+                    e.preventDefault();
+                    handleSaveCustomRules();
+                } catch (error) {
+                    console.error('Error saving custom rules:', error);
+                    ui.showErrorMessage('Failed to save your rules. Please try again.');
+                }
+            });
+            deleteRulesBtn.addEventListener('click', function(e) {
+                try {
+                    e.preventDefault();
+                    handleDeleteCustomRules();
                 } catch (error) {
-                    console.error('Error handling name input keypress:', error);
+                    console.error('Error deleting custom rules:', error);
+                    ui.showErrorMessage('Failed to delete the rules. Please try again.');
                 }
             });
         }
         
-        // New game button
-        if (newGameBtn) {
-            newGameBtn.addEventListener('click', function(e) {
+        // Match format controls
+        [matchFormatSelect, matchLengthInput, tieRuleSelect].forEach(control => {
+            if (!control) return;
+            control.addEventListener('change', function() {
+                try {
+                    handleMatchFormatChange(this === matchFormatSelect);
+                } catch (error) {
+                    console.error('Error changing match format:', error);
+                    ui.showErrorMessage('Failed to change the match format. Please try again.');
+                }
+            });
+        });
+        
+        // Play mode controls
+        [playModeSelect, hotSeatInputSelect].forEach(control => {
+            if (!control) return;
+            control.addEventListener('change', function() {
+                try {
+                    handlePlayModeChange(this === playModeSelect);
+                } catch (error) {
+                    console.error('Error changing play mode:', error);
+                    ui.showErrorMessage('Failed to change the play mode. Please try again.');
+                }
+            });
+        });
+        
+        // Pass-the-device screen
+        if (passReadyBtn) {
+            passReadyBtn.addEventListener('click', function(e) {
                 try {
                     e.preventDefault();
-                    startNewGame();
+                    handlePassReady();
                 } catch (error) {
-                    console.error('Error starting new game:', error);
-                    showErrorMessage('Failed to start new game. Please try again.');
+                    console.error('Error handing over the device:', error);
+                    ui.showErrorMessage('Failed to continue the round. Please try again.');
+                }
+            });
+        }
+        
+        // Keyboard picks: a key per move, or two players sharing the keyboard
+        document.addEventListener('keydown', function(e) {
+            try {
+                handleShortcutKey(e);
+                handleHotSeatKey(e);
+            } catch (error) {
+                console.error('Error handling key press:', error);
+                ui.showErrorMessage('Failed to process your key press. Please try again.');
+            }
+        });
+        
+        // Opponent selector
+        if (aiDifficultySelect) {
+            aiDifficultySelect.addEventListener('change', function() {
+                try {
+                    aiDifficulty = this.value;
+                    updateAiDifficultyDescription();
+                } catch (error) {
+                    console.error('Error changing opponent:', error);
+                    ui.showErrorMessage('Failed to change the opponent. Please try again.');
                 }
             });
         }
         
-        // Back to home button
-        if (backToHomeBtn) {
-            backToHomeBtn.addEventListener('click', function(e) {
+        // New game button
+        if (newGameBtn) {
+            newGameBtn.addEventListener('click', function(e) {
                 try {
                     e.preventDefault();
-                    window.location.href = 'index.html';
+                    
+                    // Against another tab, a new game starts once both players ask for one
+                    if (sessions.isSessionConnected(onlineSession)) {
+                        newGameBtn.disabled = true;
+                        updateGameStatus(`Waiting for ${getSideName('opponent')} to accept the rematch...`);
+                        sessions.requestRematch(onlineSession);
+                        return;
+                    }
+                    startNewGame();
                 } catch (error) {
-                    console.error('Error navigating to home:', error);
-                    showErrorMessage('Failed to navigate to home page.');
+                    console.error('Error starting new game:', error);
+                    ui.showErrorMessage('Failed to start new game. Please try again.');
                 }
             });
         }
@@ -168,45 +349,200 @@ function setupEventListeners() {
         console.log('Event listeners set up successfully');
     } catch (error) {
         console.error('Error setting up event listeners:', error);
-        showErrorMessage('Failed to set up game controls. Some features may not work.');
+        ui.showErrorMessage('Failed to set up game controls. Some features may not work.');
     }
 }
 
 /**
- * Check if user is already set
+ * Stop play while the game shell asks who is playing
  */
-function checkUserStatus() {
-    const currentUser = getCurrentUser();
-    if (currentUser) {
-        // User already exists, start game immediately
-        startGame();
-    } else {
-        // Show name input
-        userNameSection.style.display = 'block';
+function leaveGame() {
+    // The other tab is playing against this profile, so switching ends that game
+    if (onlineSession) {
+        sessions.leaveSession(onlineSession);
     }
+    
+    lifecycle.resetGame(gameLifecycle);
+    clearTimeout(roundTimeout);
+    roundTimeout = null;
+    disableChoiceButtons();
+    gameControls.style.display = 'none';
+    updateGameStatus('Choose who is playing to start the game!');
 }
 
 /**
- * Handle setting user name
+ * Handle a profile being chosen in the picker
+ * @param {Object} profile - Chosen profile
  */
-function handleSetName() {
-    const name = playerNameInput.value.trim();
+function handleProfileSelected(profile) {
+    if (playMode === 'online') {
+        updatePlayerLabels();
+        showOnlineLobby();
+        return;
+    }
+    
+    if (offerSavedGame()) {
+        return;
+    }
     
-    if (name.length === 0) {
-        showMessage('Please enter your name or click "Skip" to play as Anonymous', 'error');
+    if (playMode === 'hotseat' && (!secondPlayer || secondPlayer.id === profile.id)) {
+        chooseSecondPlayer();
         return;
     }
     
-    if (name.length > 20) {
-        showMessage('Name must be 20 characters or less', 'error');
+    ui.showMessage(`Good luck, ${profile.name}!`, 'info');
+    updatePlayerLabels();
+    startGame();
+}
+
+/**
+ * Offer to carry on the player's unfinished game, if they left one
+ * @returns {boolean} True if the player was asked
+ */
+function offerSavedGame() {
+    const save = savedGames.loadGameProgress('rockPaperScissors');
+    if (!save) {
+        return false;
+    }
+    
+    const state = save.state;
+    const opponent = state.secondPlayerName || (state.dailyKey ? 'the daily challenge' : 'the computer');
+    disableChoiceButtons();
+    updateGameStatus('Pick up where you left off, or start a new game.');
+    savedGames.showResumePrompt(resumePrompt, save, `${state.playerScore}-${state.computerScore} against ${opponent}`, resumeGame, () => {
+        savedGames.clearGameProgress('rockPaperScissors');
+        handleProfileSelected(user.currentUser);
+    });
+    return true;
+}
+
+/**
+ * Carry on a saved game from the end of its last round
+ * @param {Object} state - State from saveProgress()
+ */
+function resumeGame(state) {
+    try {
+        const savedRuleSet = rpsRules.getRuleSet(state.ruleSetId);
+        const opponent = state.secondPlayerId ? user.getProfile(state.secondPlayerId) : null;
+        if (!savedRuleSet) {
+            throw new Error(`Rule set ${state.ruleSetId} no longer exists`);
+        }
+        if (state.playMode === 'hotseat' && !opponent) {
+            throw new Error('Player 2 no longer exists');
+        }
+        
+        // Settings the game was played with
+        playMode = state.playMode;
+        hotSeatInput = state.hotSeatInput;
+        secondPlayer = opponent;
+        dailyKey = state.dailyKey;
+        ruleSet = savedRuleSet;
+        ruleSetSelect.value = ruleSet.id;
+        aiDifficulty = state.aiDifficulty;
+        aiDifficultySelect.value = aiDifficulty;
+        matchFormat = { ...state.matchFormat };
+        
+        // Progress so far
+        playerScore = state.playerScore;
+        computerScore = state.computerScore;
+        currentRound = state.currentRound;
+        countedRounds = state.countedRounds;
+        tiedRounds = state.tiedRounds;
+        roundChoices = state.roundChoices;
+        opponentChoices = state.opponentChoices;
+        aiRounds = state.aiRounds;
+        aiModel = rpsAi.loadRpsModel(user.currentUser.id, ruleSet.id);
+        aiDecision = null;
+        pendingChoices = { player: null, opponent: null };
+        playerChoice = null;
+        computerChoice = null;
+        lifecycle.startGame(gameLifecycle, { resumed: true, mode: playMode });
+        replay = replays.resumeReplay(state.replay);
+        
+        // Pick the generator up where it stopped, so the computer's moves still follow the seed
+        const seed = isAgainstComputer() ? utils.startSeededGame(state.seed, state.draws) : null;
+        ui.renderSeedDisplay(seedDisplay, dailyKey ? null : seed);
+        
+        applyRuleSet();
+        updateAiDifficultyDescription();
+        updateMatchFormatControls();
+        updatePlayModeControls();
+        updatePlayerLabels();
+        updateHeadToHead();
+        shell.renderLeaderboard();
+        setGameOptionsLocked(true);
+        hidePassScreen();
+        gameControls.style.display = 'none';
+        
+        // The save was taken as the last round ended; carry on from there
+        checkGameWinner();
+    } catch (error) {
+        console.error('Error resuming game:', error);
+        ui.showErrorMessage('The saved game could not be resumed. Starting a new one.');
+        savedGames.clearGameProgress('rockPaperScissors');
+        handleProfileSelected(user.currentUser);
+    }
+}
+
+/**
+ * Snapshot the game after a round so it can be resumed (see saved-games.js).
+ * Games against another tab can't be resumed, so they aren't saved.
+ */
+function saveProgress() {
+    if (!lifecycle.isInProgress(gameLifecycle) || playMode === 'online') {
         return;
     }
     
-    // Set the user
-    setCurrentUser(name);
+    savedGames.saveGameProgress('rockPaperScissors', {
+        playMode: playMode,
+        dailyKey: dailyKey,
+        hotSeatInput: hotSeatInput,
+        secondPlayerId: secondPlayer ? secondPlayer.id : null,
+        secondPlayerName: secondPlayer ? secondPlayer.name : null,
+        ruleSetId: ruleSet.id,
+        aiDifficulty: aiDifficulty,
+        matchFormat: matchFormat,
+        playerScore: playerScore,
+        computerScore: computerScore,
+        currentRound: currentRound,
+        countedRounds: countedRounds,
+        tiedRounds: tiedRounds,
+        roundChoices: roundChoices,
+        opponentChoices: opponentChoices,
+        aiRounds: aiRounds,
+        seed: utils.getGameSeed(),
+        draws: utils.getRandomDraws(),
+        replay: replays.suspendReplay(replay)
+    }, dailyKey ? daily.getDailyExpiry(dailyKey) : null);
+}
+
+/**
+ * Ask who player 2 is before starting a two-player game
+ */
+function chooseSecondPlayer() {
+    if (!user.currentUser) return;
+    
+    lifecycle.resetGame(gameLifecycle);
+    secondPlayer = null;
+    disableChoiceButtons();
+    gameControls.style.display = 'none';
+    updateGameStatus('Choose who is player 2 to start the game!');
     
-    // Hide name section and start game
-    userNameSection.style.display = 'none';
+    ui.showProfilePicker(secondProfileSection, handleSecondPlayerSelected, {
+        title: 'Who\'s player 2?',
+        activate: false,
+        excludeIds: [user.currentUser.id]
+    });
+}
+
+/**
+ * Handle player 2 being chosen in the picker
+ * @param {Object} profile - Chosen profile
+ */
+function handleSecondPlayerSelected(profile) {
+    secondPlayer = profile;
+    ui.showMessage(`${user.currentUser.name} vs ${profile.name} - good luck!`, 'info');
+    updatePlayerLabels();
     startGame();
 }
 
@@ -214,20 +550,48 @@ function handleSetName() {
  * Start a new game
  */
 function startGame() {
+    // Each player gets one attempt at the daily challenge
+    dailyKey = playMode === daily.DAILY_MODE ? daily.getDailyKey() : null;
+    if (dailyKey && daily.hasPlayedDaily('rockPaperScissors', user.currentUser, dailyKey)) {
+        showDailyPlayed();
+        return;
+    }
+    
     // Reset game state
     playerScore = 0;
     computerScore = 0;
     currentRound = 1;
-    gameStarted = true;
-    gameEnded = false;
+    countedRounds = 0;
+    tiedRounds = 0;
+    lifecycle.startGame(gameLifecycle, { mode: playMode });
     playerChoice = null;
     computerChoice = null;
+    roundChoices = [];
+    opponentChoices = [];
+    pendingChoices = { player: null, opponent: null };
+    replay = replays.startReplay();
+    savedGames.hideResumePrompt(resumePrompt);
+    
+    // Load what the opponent has learned about this player
+    aiModel = rpsAi.loadRpsModel(user.currentUser.id, ruleSet.id);
+    aiDecision = null;
+    aiRounds = [];
+    setGameOptionsLocked(false);
+    
+    // The seed (fixed for the day in the daily challenge, and then not shown, as its link would
+    // replay the day's moves outside the challenge) decides the computer's moves; other modes
+    // have no computer to seed
+    const dailySeed = dailyKey ? daily.getDailySeed('rockPaperScissors', dailyKey) : undefined;
+    const seed = isAgainstComputer() ? utils.startSeededGame(dailySeed) : null;
+    ui.renderSeedDisplay(seedDisplay, dailyKey ? null : seed);
     
     // Update UI
     updateScoreDisplay();
-    updateGameStatus('Choose your move to start the game!');
+    updateHeadToHead();
+    updateGameStatus(playMode === 'hotseat' ? getTurnPrompt() : 'Choose your move to start the game!');
     
     // Hide results and controls
+    hidePassScreen();
     resultsArea.style.display = 'none';
     roundResult.style.display = 'none';
     gameControls.style.display = 'none';
@@ -241,13 +605,36 @@ function startGame() {
  * @param {string} choice - Player's choice (rock, paper, or scissors)
  */
 function handlePlayerChoice(choice) {
-    if (gameEnded) return;
+    if (!lifecycle.isInProgress(gameLifecycle)) return;
+    
+    if (playMode === 'online') {
+        handleOnlineChoice(choice);
+        return;
+    }
+    
+    // Buttons pick for whoever's turn it is; player 1 always goes first
+    if (playMode === 'hotseat') {
+        handleHotSeatChoice(pendingChoices.player ? 'opponent' : 'player', choice);
+        return;
+    }
+    
+    // The first move uses up the player's daily challenge attempt
+    if (dailyKey && roundChoices.length === 0) {
+        if (daily.hasPlayedDaily('rockPaperScissors', user.currentUser, dailyKey)) {
+            showDailyPlayed();
+            return;
+        }
+        daily.startDailyAttempt('rockPaperScissors', user.currentUser, dailyKey);
+    }
     
     playerChoice = choice;
     
     // Disable choice buttons temporarily
     disableChoiceButtons();
     
+    // The opponent and rules can't change once the first round is played
+    setGameOptionsLocked(true);
+    
     // Show loading state
     updateGameStatus('Computer is thinking...');
     
@@ -255,173 +642,942 @@ function handlePlayerChoice(choice) {
     highlightPlayerChoice(choice);
     
     // Computer makes choice after a short delay
-    setTimeout(() => {
+    roundTimeout = setTimeout(() => {
+        roundTimeout = null;
         computerChoice = getComputerChoice();
         playRound();
     }, 1000);
 }
 
 /**
- * Get computer's choice
- * @returns {string} Computer's choice
- */
-function getComputerChoice() {
-    const randomIndex = Math.floor(Math.random() * CHOICES.length);
-    return CHOICES[randomIndex];
-}
-
-/**
- * Play a round
+ * Record one player's hidden pick in a two-player game, and play the round once both have picked
+ * @param {string} side - 'player' (player 1) or 'opponent' (player 2)
+ * @param {string} choice - Chosen move
  */
-function playRound() {
-    // Show results area
-    resultsArea.style.display = 'grid';
+function handleHotSeatChoice(side, choice) {
+    if (!lifecycle.isInProgress(gameLifecycle) || pendingChoices[side]) return;
     
-    // Update choice displays
-    playerChoiceDisplay.textContent = CHOICE_EMOJIS[playerChoice];
-    computerChoiceDisplay.textContent = CHOICE_EMOJIS[computerChoice];
+    pendingChoices[side] = choice;
+    setGameOptionsLocked(true);
     
-    // Determine round winner
-    const roundWinner = determineWinner(playerChoice, computerChoice);
+    if (pendingChoices.player && pendingChoices.opponent) {
+        disableChoiceButtons();
+        playerChoice = pendingChoices.player;
+        computerChoice = pendingChoices.opponent;
+        updateGameStatus('Both players have chosen!');
+        playRound();
+        return;
+    }
     
-    // Update scores
-    if (roundWinner === 'player') {
-        playerScore++;
-        showRoundResult('You win this round!', 'win');
-    } else if (roundWinner === 'computer') {
-        computerScore++;
-        showRoundResult('Computer wins this round!', 'lose');
+    const waitingSide = side === 'player' ? 'opponent' : 'player';
+    if (hotSeatInput === 'pass') {
+        disableChoiceButtons();
+        showPassScreen(waitingSide);
     } else {
-        showRoundResult('It\'s a tie!', 'tie');
+        updateGameStatus(`${getSideName(side)} has chosen. Waiting for ${getSideName(waitingSide)}...`);
     }
+}
+
+/**
+ * Turn a key press into a pick in two-player keyboard mode
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleHotSeatKey(e) {
+    if (playMode !== 'hotseat' || hotSeatInput !== 'keys' || !lifecycle.isInProgress(gameLifecycle)) return;
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
     
-    // Update score display
-    updateScoreDisplay();
+    const key = e.key.toLowerCase();
+    const moves = getMoveIds();
+    const side = Object.keys(HOT_SEAT_KEYS).find(item => {
+        const index = HOT_SEAT_KEYS[item].indexOf(key);
+        return index !== -1 && index < moves.length;
+    });
     
+    if (side) {
+        e.preventDefault();
+        handleHotSeatChoice(side, moves[HOT_SEAT_KEYS[side].indexOf(key)]);
+    }
+}
+
+/**
+ * Cover the moves while the device is handed to the other player
+ * @param {string} side - Side that picks next
+ */
+function showPassScreen(side) {
+    choicesContainer.style.display = 'none';
+    passScreenText.textContent = `Pass the device to ${getSideName(side)}. No peeking!`;
+    passScreen.style.display = 'block';
+    passScreen.dataset.side = side;
+    updateGameStatus(`${getSideName(side === 'player' ? 'opponent' : 'player')} has chosen.`);
+    passReadyBtn.focus();
+}
+
+/**
+ * Hide the pass-the-device screen and show the moves again
+ */
+function hidePassScreen() {
+    passScreen.style.display = 'none';
+    choicesContainer.style.display = '';
+}
+
+/**
+ * Let the next player pick once they have the device
+ */
+function handlePassReady() {
+    hidePassScreen();
+    updateGameStatus(`${getSideName(passScreen.dataset.side)}, choose your move!`);
+    enableChoiceButtons();
+}
+
+/**
+ * Name of a side for messages
+ * @param {string} side - 'player' or 'opponent'/'computer'
+ * @returns {string} Player name, "You" for this tab's player, or "Computer"
+ */
+function getSideName(side) {
+    const opponent = getOpponentProfile();
     
-    // Check for game winner
-    setTimeout(() => {
-        checkGameWinner();
-    }, 2000);
+    if (side !== 'player') {
+        return opponent ? opponent.name : 'Computer';
+    }
+    return playMode === 'hotseat' && opponent ? user.currentUser.name : 'You';
 }
 
 /**
- * Determine the winner of a round
- * @param {string} playerChoice - Player's choice
- * @param {string} computerChoice - Computer's choice
- * @returns {string} Winner ('player', 'computer', or 'tie')
+ * The human opponent, if there is one
+ * @returns {Object|null} Player 2 in hot-seat games, the other tab's player online, or null
  */
-function determineWinner(playerChoice, computerChoice) {
-    if (playerChoice === computerChoice) {
-        return 'tie';
+function getOpponentProfile() {
+    if (playMode === 'hotseat') {
+        return secondPlayer;
     }
-    
-    // Rock beats scissors, scissors beat paper, paper beats rock
-    if (
-        (playerChoice === 'rock' && computerChoice === 'scissors') ||
-        (playerChoice === 'scissors' && computerChoice === 'paper') ||
-        (playerChoice === 'paper' && computerChoice === 'rock')
-    ) {
-        return 'player';
+    if (playMode === 'online' && onlineSession && onlineSession.peer) {
+        return onlineSession.peer;
     }
-    
-    return 'computer';
+    return null;
 }
 
 /**
- * Check if there's a game winner
+ * Prompt for the start of a round
+ * @returns {string} Who should pick, and how
  */
-function checkGameWinner() {
-    if (playerScore >= WINNING_SCORE) {
-        endGame('player');
-    } else if (computerScore >= WINNING_SCORE) {
-        endGame('computer');
-    } else {
-        // Continue to next round
-        currentRound++;
-        updateScoreDisplay();
-        updateGameStatus(`Round ${currentRound} - Choose your move!`);
-        enableChoiceButtons();
-        resultsArea.style.display = 'none';
-        roundResult.style.display = 'none';
+function getTurnPrompt() {
+    if (playMode !== 'hotseat') {
+        return 'Choose your move!';
     }
+    if (hotSeatInput === 'keys') {
+        return 'Both players, press your keys!';
+    }
+    return `${getSideName('player')}, choose your move!`;
 }
 
 /**
- * End the game
- * @param {string} winner - Winner of the game ('player' or 'computer')
+ * Read the play mode controls and set up the chosen mode
+ * @param {boolean} modeChanged - True if the mode itself changed (not just how picks are made)
  */
-function endGame(winner) {
-    gameEnded = true;
-    
-    // Calculate final score
-    const finalScore = calculateFinalScore(winner);
+function handlePlayModeChange(modeChanged) {
+    playMode = playModeSelect.value;
+    hotSeatInput = hotSeatInputSelect.value;
+    if (playMode === daily.DAILY_MODE) {
+        applyDailySettings();
+    }
+    updatePlayModeControls();
+    shell.renderLeaderboard();
     
-    // Update game status
-    if (winner === 'player') {
-        updateGameStatus('🎉 Congratulations! You won the game!', 'success');
-        showMessage('Great job! You beat the computer!', 'success');
-    } else {
-        updateGameStatus('😔 Game Over! Computer won this time.', 'error');
-        showMessage('Better luck next time! The computer got lucky.', 'error');
+    if (modeChanged) {
+        savedGames.hideResumePrompt(resumePrompt);
     }
     
-    // Save score
-    saveGameScore('rockPaperScissors', finalScore, {
-        playerScore: playerScore,
-        computerScore: computerScore,
-        rounds: currentRound,
-        winner: winner
-    });
+    if (modeChanged && playMode !== 'online' && onlineSession) {
+        sessions.leaveSession(onlineSession);
+    }
     
-    // Show game controls immediately
-    gameControls.style.display = 'block';
+    if (modeChanged && playMode === 'hotseat') {
+        chooseSecondPlayer();
+        return;
+    }
     
-    // Ensure the new game button is visible and enabled
-    if (newGameBtn) {
-        newGameBtn.style.display = 'inline-block';
-        newGameBtn.disabled = false;
-        newGameBtn.textContent = 'New Game';
+    if (modeChanged) {
+        secondPlayer = null;
+        secondProfileSection.style.display = 'none';
+        updatePlayerLabels();
     }
     
-    // Update leaderboard
-    createLeaderboard();
+    if (playMode === 'online') {
+        showOnlineLobby();
+        return;
+    }
     
-    // Increment games played
-    incrementGamesPlayed();
+    // No round has been played yet (the controls are locked otherwise), so restart in the new mode
+    if (user.currentUser && !lifecycle.hasEnded(gameLifecycle) && !shell.isProfileGateOpen()) {
+        startGame();
+    }
 }
 
 /**
- * Calculate final score
- * @param {string} winner - Winner of the game
- * @returns {number} Final score
+ * Show the controls that apply to the chosen play mode
  */
-function calculateFinalScore(winner) {
-    let score = 0;
-    
-    // Base score for winning
-    if (winner === 'player') {
-        score += 1000;
-    } else {
-        score += 100; // Participation score
-    }
-    
-    // Bonus for winning quickly
-    score += (WINNING_SCORE - Math.min(playerScore, computerScore)) * 100;
+function updatePlayModeControls() {
+    const hotSeat = playMode === 'hotseat';
     
-    // Bonus for player's score
-    score += playerScore * 50;
+    playModeSelect.value = playMode;
+    hotSeatInputSelect.value = hotSeatInput;
+    hotSeatInputGroup.style.display = hotSeat ? '' : 'none';
+    aiDifficultyGroup.style.display = isAgainstComputer() ? '' : 'none';
+    aiDifficultyDescription.style.display = isAgainstComputer() ? '' : 'none';
+    seedDisplay.style.display = isAgainstComputer() ? '' : 'none';
+    sessionContainer.style.display = playMode === 'online' ? '' : 'none';
+    choicesContainer.classList.toggle('show-keys', hotSeat && hotSeatInput === 'keys');
     
-    return score;
+    if (isAgainstComputer()) {
+        headToHead.style.display = 'none';
+    }
 }
 
 /**
- * Update score display
+ * Check whether the opponent is the computer (including the daily challenge)
+ * @returns {boolean} True if the computer picks the opponent's moves
  */
-function updateScoreDisplay() {
+function isAgainstComputer() {
+    return playMode === 'computer' || playMode === daily.DAILY_MODE;
+}
+
+/**
+ * Switch to the rules, match format and opponent everyone plays in the daily challenge
+ */
+function applyDailySettings() {
+    ruleSet = rpsRules.RPS_RULE_SETS[DAILY_RULE_SET];
+    ruleSetSelect.value = ruleSet.id;
+    applyRuleSet();
+    
+    aiDifficulty = DAILY_AI_DIFFICULTY;
+    aiDifficultySelect.value = aiDifficulty;
+    updateAiDifficultyDescription();
+    
+    matchFormat = { ...DEFAULT_MATCH_FORMAT };
+    updateMatchFormatControls();
+}
+
+/**
+ * Show that the player has already had today's daily challenge
+ */
+function showDailyPlayed() {
+    lifecycle.endGame(gameLifecycle);
+    disableChoiceButtons();
+    ui.renderSeedDisplay(seedDisplay, null);
+    showGameControls();
+    updateGameStatus(daily.describeDailyResult('rockPaperScissors', user.currentUser, dailyKey));
+}
+
+/**
+ * Put the players' names on the score board and results
+ */
+function updatePlayerLabels() {
+    const hotSeat = playMode === 'hotseat' && secondPlayer;
+    
+    playerScoreLabel.textContent = getSideName('player');
+    computerScoreLabel.textContent = getSideName('opponent');
+    playerChoiceLabel.textContent = hotSeat ? `${getSideName('player')}'s Choice` : 'Your Choice';
+    computerChoiceLabel.textContent = `${getSideName('opponent')}'s Choice`;
+}
+
+/**
+ * Show the two players' record against each other
+ */
+function updateHeadToHead() {
+    const opponent = getOpponentProfile();
+    if (!opponent || !user.currentUser) {
+        headToHead.style.display = 'none';
+        return;
+    }
+    
+    const record = getHeadToHeadRecord(user.currentUser.id, opponent.id);
+    const draws = record.draws > 0 ? ` (${record.draws} draw${record.draws === 1 ? '' : 's'})` : '';
+    headToHead.textContent = `Head-to-head: ${user.currentUser.name} ${record.wins} - ${record.losses} ${opponent.name}${draws}`;
+    headToHead.style.display = '';
+}
+
+/**
+ * Count a profile's results against another player (hot-seat or another tab), from the score history
+ * @param {string} profileId - Profile to count results for
+ * @param {string} opponentId - Their opponent
+ * @returns {Object} wins, losses and draws
+ */
+function getHeadToHeadRecord(profileId, opponentId) {
+    const games = scores.getScoreHistory({ game: 'rockPaperScissors', playerId: profileId })
+        .filter(entry => entry.opponentId === opponentId);
+    
+    return {
+        wins: games.filter(entry => entry.outcome === 'win').length,
+        losses: games.filter(entry => entry.outcome === 'loss').length,
+        draws: games.filter(entry => entry.outcome === 'draw').length
+    };
+}
+
+/**
+ * Get computer's choice from the selected opponent's strategy
+ * @returns {string} Computer's choice
+ */
+function getComputerChoice() {
+    aiDecision = rpsAi.chooseComputerMove(aiModel, aiDifficulty, {
+        moves: getMoveIds(),
+        compare: compareChoices
+    });
+    return aiDecision.move;
+}
+
+/**
+ * Compare two moves
+ * @param {string} choice - Move to score
+ * @param {string} otherChoice - Move it is played against
+ * @returns {number} 1 if choice wins, -1 if it loses, 0 for a tie
+ */
+function compareChoices(choice, otherChoice) {
+    const winner = determineWinner(choice, otherChoice);
+    return winner === 'player' ? 1 : winner === 'computer' ? -1 : 0;
+}
+
+/**
+ * Let the opponent learn from the round just played
+ * @param {string} roundWinner - Winner of the round ('player', 'computer', or 'tie')
+ */
+function updateAiModel(roundWinner) {
+    const outcome = roundWinner === 'player' ? 'win' : roundWinner === 'computer' ? 'loss' : 'tie';
+    
+    aiRounds.push({
+        confidence: aiDecision.confidence,
+        predictedMove: aiDecision.predictedMove,
+        playerMove: playerChoice
+    });
+    
+    rpsAi.recordPlayerMove(aiModel, playerChoice, computerChoice, outcome);
+    
+    try {
+        rpsAi.saveRpsModel(user.currentUser.id, aiModel, ruleSet.id);
+    } catch (error) {
+        console.error('Error saving opponent model:', error);
+    }
+}
+
+/**
+ * Summarize how the opponent played this game, for the saved score
+ * @returns {Object} Difficulty, strategy, average confidence and prediction accuracy
+ */
+function getAiSummary() {
+    const predictions = aiRounds.filter(round => round.predictedMove);
+    const correct = predictions.filter(round => round.predictedMove === round.playerMove);
+    const averageConfidence = aiRounds.reduce((sum, round) => sum + round.confidence, 0) / Math.max(1, aiRounds.length);
+    
+    return {
+        aiDifficulty: aiDifficulty,
+        aiStrategy: rpsAi.RPS_AI_DIFFICULTIES[aiDifficulty].strategy,
+        aiConfidence: Math.round(averageConfidence * 100) / 100,
+        aiAccuracy: predictions.length > 0 ? Math.round((correct.length / predictions.length) * 100) / 100 : null
+    };
+}
+
+/**
+ * Show what the selected opponent does
+ */
+function updateAiDifficultyDescription() {
+    const difficulty = rpsAi.RPS_AI_DIFFICULTIES[aiDifficulty];
+    aiDifficultyDescription.textContent = `${rpsAi.RPS_STRATEGIES[difficulty.strategy].label}: ${difficulty.description}`;
+}
+
+/**
+ * Play a round
+ */
+function playRound() {
+    // Show results area
+    resultsArea.style.display = 'grid';
+    
+    // Update choice displays
+    playerChoiceDisplay.textContent = getMove(playerChoice).emoji;
+    computerChoiceDisplay.textContent = getMove(computerChoice).emoji;
+    
+    // Determine round winner
+    const roundWinner = determineWinner(playerChoice, computerChoice);
+    const explanation = rpsRules.describeOutcome(ruleSet, playerChoice, computerChoice);
+    const tiesCount = isBudgetedFormat() && matchFormat.ties === 'count';
+    roundChoices.push(playerChoice);
+    replays.recordReplayEvent(replay, playerChoice, computerChoice);
+    lifecycle.recordMove(gameLifecycle, [playerChoice, computerChoice]);
+    
+    if (isAgainstComputer()) {
+        updateAiModel(roundWinner);
+    } else {
+        opponentChoices.push(computerChoice);
+    }
+    
+    // Update scores
+    if (roundWinner === 'player') {
+        playerScore++;
+        showRoundResult(`${playMode === 'hotseat' ? `${getSideName('player')} wins` : 'You win'} this round! ${explanation}.`, 'win');
+    } else if (roundWinner === 'computer') {
+        computerScore++;
+        showRoundResult(`${getSideName('opponent')} wins this round! ${explanation}.`, playMode === 'hotseat' ? 'win' : 'lose');
+    } else {
+        tiedRounds++;
+        showRoundResult(tiesCount ? 'It\'s a tie! The round still counts.' : 'It\'s a tie!', 'tie');
+    }
+    
+    // Ties only use up a round when the format says so
+    if (roundWinner !== 'tie' || tiesCount) {
+        countedRounds++;
+    }
+    
+    // Update score display
+    updateScoreDisplay();
+    
+    // Save as soon as the round is decided, so leaving before the next one can't undo it
+    saveProgress();
+    
+    // Check for game winner
+    roundTimeout = setTimeout(() => {
+        roundTimeout = null;
+        checkGameWinner();
+    }, 2000);
+}
+
+/**
+ * Determine the winner of a round
+ * @param {string} playerChoice - Player's choice
+ * @param {string} computerChoice - Computer's choice
+ * @returns {string} Winner ('player', 'computer', or 'tie')
+ */
+function determineWinner(playerChoice, computerChoice) {
+    const result = rpsRules.compareMoves(ruleSet, playerChoice, computerChoice);
+    
+    if (result === 0) {
+        return 'tie';
+    }
+    
+    return result > 0 ? 'player' : 'computer';
+}
+
+/**
+ * Check if there's a game winner
+ */
+function checkGameWinner() {
+    const winner = getMatchWinner();
+    
+    if (winner) {
+        endGame(winner);
+    } else {
+        // Continue to next round
+        currentRound++;
+        pendingChoices = { player: null, opponent: null };
+        updateScoreDisplay();
+        updateGameStatus(`${getRoundLabel()} - ${getTurnPrompt()}`);
+        enableChoiceButtons();
+        resultsArea.style.display = 'none';
+        roundResult.style.display = 'none';
+    }
+}
+
+/**
+ * Decide whether the match is over under the chosen format
+ * @returns {string|null} 'player', 'computer', 'tie' (a draw), or null to keep playing
+ */
+function getMatchWinner() {
+    const length = matchFormat.format === 'suddenDeath' ? 1 : matchFormat.length;
+    
+    if (!isBudgetedFormat()) {
+        if (playerScore >= length) return 'player';
+        if (computerScore >= length) return 'computer';
+        return null;
+    }
+    
+    const roundsLeft = length - countedRounds;
+    
+    // Best-of ends as soon as the trailing side can no longer catch up
+    if (matchFormat.format === 'bestOf') {
+        if (playerScore > computerScore + roundsLeft) return 'player';
+        if (computerScore > playerScore + roundsLeft) return 'computer';
+    }
+    
+    if (roundsLeft > 0) {
+        return null;
+    }
+    
+    if (playerScore === computerScore) return 'tie';
+    return playerScore > computerScore ? 'player' : 'computer';
+}
+
+/**
+ * Check if the chosen format has a fixed budget of rounds
+ * @returns {boolean} True for best-of and fixed-round matches
+ */
+function isBudgetedFormat() {
+    return MATCH_FORMATS[matchFormat.format].budgeted;
+}
+
+/**
+ * Rounds a player needs to win to take the match outright
+ * @returns {number} Winning round count
+ */
+function getRoundsToWin() {
+    if (matchFormat.format === 'suddenDeath') return 1;
+    if (matchFormat.format === 'firstTo') return matchFormat.length;
+    return Math.floor(matchFormat.length / 2) + 1;
+}
+
+/**
+ * Describe the round being played, e.g. "Round 2 of 5"
+ * @returns {string} Round label
+ */
+function getRoundLabel() {
+    if (!isBudgetedFormat()) {
+        return `Round ${currentRound}`;
+    }
+    return `Round ${Math.min(countedRounds + 1, matchFormat.length)} of ${matchFormat.length}`;
+}
+
+/**
+ * End the game
+ * @param {string} winner - Winner of the game ('player', 'computer' or 'tie' for a draw)
+ */
+function endGame(winner) {
+    // Results are reported once they are known: below, or when the other tab is ready to save
+    lifecycle.endGame(gameLifecycle);
+    if (playMode !== 'online') {
+        savedGames.clearGameProgress('rockPaperScissors');
+    }
+    
+    if (playMode === 'hotseat') {
+        endHotSeatGame(winner);
+        return;
+    }
+    
+    if (playMode === 'online') {
+        endOnlineGame(winner);
+        return;
+    }
+    
+    // Calculate final score
+    const finalScore = calculateFinalScore(winner);
+    
+    // Update game status
+    if (winner === 'player') {
+        updateGameStatus('🎉 Congratulations! You won the game!', 'success');
+        ui.showMessage('Great job! You beat the computer!', 'success');
+    } else if (winner === 'tie') {
+        updateGameStatus(`🤝 It's a draw, ${playerScore}-${computerScore}!`);
+        ui.showMessage('A draw! Play again to settle it.', 'info');
+    } else {
+        updateGameStatus('😔 Game Over! Computer won this time.', 'error');
+        ui.showMessage('Better luck next time! The computer got lucky.', 'error');
+    }
+    
+    // Report the result; the score is saved from the game:end event
+    lifecycle.reportGameResults(gameLifecycle, {
+        score: finalScore,
+        details: {
+            outcome: winner === 'player' ? 'win' : winner === 'tie' ? 'draw' : 'loss',
+            playerScore: playerScore,
+            computerScore: computerScore,
+            rounds: currentRound,
+            tiedRounds: tiedRounds,
+            format: matchFormat.format,
+            formatLength: matchFormat.length,
+            ties: matchFormat.ties,
+            winner: winner,
+            choices: roundChoices,
+            variant: ruleSet.id,
+            mode: playMode,
+            seed: utils.getGameSeed(),
+            replay: replays.finishReplay(replay),
+            ...(dailyKey ? daily.getDailyDetails(dailyKey) : {}),
+            ...getAiSummary()
+        }
+    });
+    
+    showGameControls();
+}
+
+/**
+ * End a two-player game and save it as a head-to-head result for both players
+ * @param {string} winner - 'player' (player 1), 'computer' (player 2) or 'tie' for a draw
+ */
+function endHotSeatGame(winner) {
+    if (winner === 'tie') {
+        updateGameStatus(`🤝 It's a draw, ${playerScore}-${computerScore}!`);
+        ui.showMessage('A draw! Play again to settle it.', 'info');
+    } else {
+        const name = getSideName(winner === 'player' ? 'player' : 'opponent');
+        updateGameStatus(`🎉 ${name} wins the game, ${Math.max(playerScore, computerScore)}-${Math.min(playerScore, computerScore)}!`, 'success');
+        ui.showMessage(`Congratulations, ${name}!`, 'success');
+    }
+    
+    // Each player's entry is saved from their own side: playerScore holds their
+    // rounds and computerScore their opponent's, so leaderboards and replays read the same
+    const playerReplay = replays.finishReplay(replay);
+    const opponentReplay = playerReplay && {
+        ...playerReplay,
+        events: playerReplay.events.map(([delay, own, other]) => [delay, other, own])
+    };
+    const sides = [
+        { profile: user.currentUser, opponent: secondPlayer, winner: winner, own: playerScore, other: computerScore, choices: roundChoices, replay: playerReplay },
+        { profile: secondPlayer, opponent: user.currentUser, winner: flipWinner(winner), own: computerScore, other: playerScore, choices: opponentChoices, replay: opponentReplay }
+    ];
+    
+    lifecycle.reportGameResults(gameLifecycle, sides.map(side => ({
+        profile: side.profile,
+        score: calculateFinalScore(side.winner, side.own, side.other),
+        details: {
+            outcome: side.winner === 'player' ? 'win' : side.winner === 'tie' ? 'draw' : 'loss',
+            playerScore: side.own,
+            computerScore: side.other,
+            rounds: currentRound,
+            tiedRounds: tiedRounds,
+            format: matchFormat.format,
+            formatLength: matchFormat.length,
+            ties: matchFormat.ties,
+            winner: side.winner,
+            choices: side.choices,
+            replay: side.replay,
+            variant: ruleSet.id,
+            mode: 'hotseat',
+            opponentId: side.opponent.id,
+            opponentName: side.opponent.name
+        }
+    })));
+    
+    showGameControls();
+    updateHeadToHead();
+}
+
+/**
+ * End a game against another tab. Each tab saves its own player's result.
+ * @param {string} winner - 'player' (this tab), 'computer' (the other tab) or 'tie' for a draw
+ */
+function endOnlineGame(winner) {
+    const opponent = onlineSession.peer;
+    
+    if (winner === 'player') {
+        updateGameStatus(`🎉 You beat ${opponent.name}, ${playerScore}-${computerScore}!`, 'success');
+    } else if (winner === 'tie') {
+        updateGameStatus(`🤝 It's a draw, ${playerScore}-${computerScore}!`);
+    } else {
+        updateGameStatus(`😔 ${opponent.name} won this time, ${computerScore}-${playerScore}.`, 'error');
+    }
+    
+    const details = {
+        outcome: winner === 'player' ? 'win' : winner === 'tie' ? 'draw' : 'loss',
+        playerScore: playerScore,
+        computerScore: computerScore,
+        rounds: currentRound,
+        tiedRounds: tiedRounds,
+        format: matchFormat.format,
+        formatLength: matchFormat.length,
+        ties: matchFormat.ties,
+        winner: winner,
+        choices: roundChoices,
+        replay: replays.finishReplay(replay),
+        variant: ruleSet.id,
+        mode: 'online',
+        opponentId: opponent.id,
+        opponentName: opponent.name
+    };
+    
+    sessions.saveSessionResult(onlineSession, () => {
+        lifecycle.reportGameResults(gameLifecycle, { score: calculateFinalScore(winner), details: details });
+        updateHeadToHead();
+    });
+    
+    showGameControls();
+    newGameBtn.textContent = 'Rematch';
+}
+
+/**
+ * Show the lobby for playing against another tab
+ */
+function showOnlineLobby() {
+    if (!onlineSession) {
+        onlineSession = sessions.openSession('rockPaperScissors', {
+            onConnect: handleSessionConnect,
+            onDisconnect: (session, reason) => ui.showMessage(sessions.describeDisconnect(session), 'error'),
+            onPeerCommitted: handlePeerCommitted,
+            onReveal: handleOnlineReveal,
+            onRematchRequested: session => ui.showMessage(`${session.peer.name} wants a rematch!`, 'info'),
+            onRematch: () => startGame(),
+            onError: (session, message) => ui.showErrorMessage(message)
+        });
+        sessions.onSessionChange(onlineSession, handleSessionChange);
+    }
+    
+    if (!sessions.isSessionConnected(onlineSession)) {
+        lifecycle.resetGame(gameLifecycle);
+        disableChoiceButtons();
+        gameControls.style.display = 'none';
+        updateGameStatus('Host a game, or join one from another tab!');
+    }
+    renderSessionPanel();
+}
+
+/**
+ * Render the other-tab lobby
+ */
+function renderSessionPanel() {
+    sessions.createSessionPanel(sessionContainer, onlineSession, {
+        getSettings: () => ({ ruleSet: ruleSet, matchFormat: { ...matchFormat } }),
+        describeSettings: settings => `${settings.ruleSet.name}, ${describeMatchFormatShort(settings.matchFormat)}`
+    });
+}
+
+/**
+ * Keep the page in step with the other-tab session
+ * @param {Object} session - Session
+ */
+function handleSessionChange(session) {
+    if (playMode !== 'online') return;
+    
+    renderSessionPanel();
+    
+    // The other tab left or went quiet: this game can't be finished
+    if (!sessions.isSessionConnected(session) && lifecycle.hasStarted(gameLifecycle)) {
+        lifecycle.resetGame(gameLifecycle);
+        disableChoiceButtons();
+        gameControls.style.display = 'none';
+        updatePlayerLabels();
+        updateGameStatus('Host a game, or join one from another tab!');
+    }
+    
+    setGameOptionsLocked(lifecycle.isInProgress(gameLifecycle));
+}
+
+/**
+ * Start playing once another tab has joined (or this tab joined one), using the host's rules
+ * @param {Object} session - Session
+ */
+function handleSessionConnect(session) {
+    const shared = session.settings.ruleSet;
+    
+    if (rpsRules.getRuleSetErrors(shared).length > 0) {
+        ui.showErrorMessage('The other tab is using rules this page can\'t play.');
+        sessions.leaveSession(session);
+        return;
+    }
+    
+    ruleSet = rpsRules.getRuleSet(shared.id) || shared;
+    fillRuleSetSelect();
+    applyRuleSet();
+    matchFormat = { ...DEFAULT_MATCH_FORMAT, ...session.settings.matchFormat };
+    updateMatchFormatControls();
+    shell.renderLeaderboard();
+    
+    ui.showMessage(`Connected! You're playing ${session.peer.name}.`, 'success');
+    updatePlayerLabels();
+    startGame();
+}
+
+/**
+ * Lock in this tab's move; it is only revealed once the other tab has locked in theirs
+ * @param {string} choice - Chosen move
+ */
+function handleOnlineChoice(choice) {
+    if (!sessions.isSessionConnected(onlineSession) || pendingChoices.player) return;
+    
+    pendingChoices.player = choice;
+    disableChoiceButtons();
+    setGameOptionsLocked(true);
+    highlightPlayerChoice(choice);
+    
+    const opponentChose = Boolean(pendingChoices.opponent);
+    updateGameStatus(opponentChose ? 'Both players have chosen!' : `Waiting for ${getSideName('opponent')}...`);
+    
+    sessions.commitChoice(onlineSession, getOnlineRoundId(), choice, getMoveIds()).catch(error => {
+        console.error('Error locking in move:', error);
+        ui.showErrorMessage(error.message || 'Failed to send your move. Please try again.');
+        pendingChoices.player = null;
+        enableChoiceButtons();
+    });
+}
+
+/**
+ * Note that the other tab has locked in a move
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ */
+function handlePeerCommitted(session, round) {
+    if (round !== getOnlineRoundId()) return;
+    
+    pendingChoices.opponent = true;
+    if (!pendingChoices.player) {
+        updateGameStatus(`${getSideName('opponent')} has chosen. Your move!`);
+    }
+}
+
+/**
+ * Play the round once both moves have been revealed
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ * @param {string} ownChoice - This tab's move
+ * @param {string} peerChoice - The other tab's move (checked against its commitment and these rules)
+ */
+function handleOnlineReveal(session, round, ownChoice, peerChoice) {
+    if (round !== getOnlineRoundId() || !lifecycle.isInProgress(gameLifecycle)) return;
+    
+    playerChoice = ownChoice;
+    computerChoice = peerChoice;
+    updateGameStatus('Both players have chosen!');
+    playRound();
+}
+
+/**
+ * Id of the current round, the same in both tabs
+ * @returns {string} Game number and round
+ */
+function getOnlineRoundId() {
+    return `${onlineSession.games}:${currentRound}`;
+}
+
+/**
+ * See a game's winner from the other side of the table
+ * @param {string} winner - 'player', 'computer' or 'tie'
+ * @returns {string} The winner as the other side would record it
+ */
+function flipWinner(winner) {
+    if (winner === 'tie') return 'tie';
+    return winner === 'player' ? 'computer' : 'player';
+}
+
+/**
+ * Show the end-of-game controls and refresh the leaderboard
+ */
+function showGameControls() {
+    // Show game controls immediately
+    gameControls.style.display = 'block';
+    setGameOptionsLocked(false);
+    
+    // Ensure the new game button is visible and enabled
+    if (newGameBtn) {
+        newGameBtn.style.display = 'inline-block';
+        newGameBtn.disabled = false;
+        newGameBtn.textContent = 'New Game';
+    }
+    
+    // Update leaderboard
+    shell.renderLeaderboard();
+}
+
+/**
+ * Calculate final score
+ * @param {string} winner - Winner of the game, from the scored side ('player' means they won)
+ * @param {number} ownRounds - Rounds the scored side won
+ * @param {number} opponentRounds - Rounds their opponent won
+ * @returns {number} Final score
+ */
+function calculateFinalScore(winner, ownRounds = playerScore, opponentRounds = computerScore) {
+    let score = 0;
+    
+    // Base score for winning
+    if (winner === 'player') {
+        score += 1000;
+    } else if (winner === 'tie') {
+        score += 500; // Draw score
+    } else {
+        score += 100; // Participation score
+    }
+    
+    // Bonus for winning quickly
+    score += Math.max(0, getRoundsToWin() - Math.min(ownRounds, opponentRounds)) * 100;
+    
+    // Bonus for player's score
+    score += ownRounds * 50;
+    
+    return score;
+}
+
+/**
+ * Update score display
+ */
+function updateScoreDisplay() {
     playerScoreDisplay.textContent = playerScore;
     computerScoreDisplay.textContent = computerScore;
-    currentRoundDisplay.textContent = currentRound;
+    currentRoundDisplay.textContent = isBudgetedFormat()
+        ? `${Math.min(countedRounds + 1, matchFormat.length)}/${matchFormat.length}`
+        : currentRound;
+}
+
+/**
+ * Read the match format controls, keeping the previous format if the length is invalid
+ * @param {boolean} formatChanged - True if the format itself changed (resets the length)
+ */
+function handleMatchFormatChange(formatChanged) {
+    const format = matchFormatSelect.value;
+    const config = MATCH_FORMATS[format];
+    const length = formatChanged ? config.defaultLength : Number(matchLengthInput.value);
+    
+    if (!Number.isInteger(length) || length < config.minLength || length > config.maxLength) {
+        ui.showMessage(`Choose between ${config.minLength} and ${config.maxLength} rounds`, 'error');
+        updateMatchFormatControls();
+        return;
+    }
+    
+    if (config.oddOnly && length % 2 === 0) {
+        ui.showMessage('Best-of matches need an odd number of rounds', 'error');
+        updateMatchFormatControls();
+        return;
+    }
+    
+    matchFormat = { format, length, ties: tieRuleSelect.value };
+    updateMatchFormatControls();
+    
+    // No round has been played yet (the controls are locked otherwise), so restart with the new format
+    if (lifecycle.isInProgress(gameLifecycle)) {
+        startGame();
+    }
+}
+
+/**
+ * Sync the match format controls and instructions with the chosen format
+ */
+function updateMatchFormatControls() {
+    const config = MATCH_FORMATS[matchFormat.format];
+    
+    matchFormatSelect.value = matchFormat.format;
+    matchLengthInput.value = matchFormat.length;
+    matchLengthInput.min = config.minLength;
+    matchLengthInput.max = config.maxLength;
+    matchLengthInput.step = config.oddOnly ? 2 : 1;
+    matchLengthInput.parentElement.style.display = config.minLength === config.maxLength ? 'none' : '';
+    tieRuleSelect.value = matchFormat.ties;
+    tieRuleSelect.parentElement.style.display = config.budgeted ? '' : 'none';
+    
+    matchFormatText.textContent = describeMatchFormat();
+}
+
+/**
+ * Describe the chosen match format for the instructions
+ * @returns {string} Description
+ */
+function describeMatchFormat() {
+    const { format, length, ties } = matchFormat;
+    const rounds = count => `${count} round${count === 1 ? '' : 's'}`;
+    const tieRule = ties === 'count' ? 'Tied rounds count as played.' : 'Tied rounds are replayed.';
+    
+    switch (format) {
+        case 'bestOf':
+            return `Best of ${rounds(length)}: win ${rounds(getRoundsToWin())} to take the game! ${tieRule}`;
+        case 'rounds':
+            return `Play ${rounds(length)}; whoever wins more of them takes the game! ${tieRule}`;
+        case 'suddenDeath':
+            return 'Sudden death: the first round that isn\'t a tie wins the game!';
+        default:
+            return `First to win ${rounds(length)} wins the game!`;
+    }
+}
+
+/**
+ * Name a match format in a few words, e.g. "Best of 5 rounds"
+ * @param {Object} format - { format, length, ties }
+ * @returns {string} Short description
+ */
+function describeMatchFormatShort(format) {
+    const config = MATCH_FORMATS[format.format] || MATCH_FORMATS[DEFAULT_MATCH_FORMAT.format];
+    return config.label.replace('N', format.length);
 }
 
 /**
@@ -432,6 +1588,7 @@ function updateScoreDisplay() {
 function updateGameStatus(message, type = '') {
     gameStatus.textContent = message;
     gameStatus.className = `game-message ${type}`;
+    ui.announce(message);
 }
 
 /**
@@ -443,6 +1600,7 @@ function showRoundResult(message, type) {
     roundResult.textContent = message;
     roundResult.className = `round-result ${type}`;
     roundResult.style.display = 'block';
+    ui.announce(message);
 }
 
 /**
@@ -466,8 +1624,11 @@ function highlightPlayerChoice(choice) {
  * Enable choice buttons
  */
 function enableChoiceButtons() {
+    // Two players sharing a keyboard pick with their keys instead
+    const keysOnly = playMode === 'hotseat' && hotSeatInput === 'keys';
+    
     document.querySelectorAll('.choice-btn').forEach(btn => {
-        btn.disabled = false;
+        btn.disabled = keysOnly;
         btn.classList.remove('selected');
     });
 }
@@ -482,10 +1643,233 @@ function disableChoiceButtons() {
 }
 
 /**
- * Create leaderboard display
+ * The leaderboard for the current rules and play mode, or today's in the daily challenge
+ * @returns {Object} Leaderboard view (see mountGame)
+ */
+function getLeaderboardView() {
+    if (playMode === daily.DAILY_MODE) {
+        return { daily: true };
+    }
+    
+    return {
+        title: `High Scores: ${ruleSet.name}${PLAY_MODE_TITLES[playMode]}`,
+        partition: { variant: ruleSet.id, mode: playMode }
+    };
+}
+
+/**
+ * Get the move ids of the active rule set
+ * @returns {Array} Move ids
+ */
+function getMoveIds() {
+    return ruleSet.moves.map(move => move.id);
+}
+
+/**
+ * Get a move of the active rule set
+ * @param {string} id - Move id
+ * @returns {Object} Move with id, label and emoji
+ */
+function getMove(id) {
+    return ruleSet.moves.find(move => move.id === id);
+}
+
+/**
+ * Fill the rule set selector with the built-in and custom rule sets
+ */
+function fillRuleSetSelect() {
+    const builtIn = Object.values(rpsRules.RPS_RULE_SETS);
+    const custom = rpsRules.getCustomRuleSets();
+    const toOptions = ruleSets => ruleSets.map(item => `
+        <option value="${utils.escapeHTML(item.id)}">${utils.escapeHTML(item.name)} (${item.moves.length} moves)</option>
+    `).join('');
+    
+    ruleSetSelect.innerHTML = `
+        <optgroup label="Built-in">${toOptions(builtIn)}</optgroup>
+        ${custom.length > 0 ? `<optgroup label="Your rules">${toOptions(custom)}</optgroup>` : ''}
+    `;
+    ruleSetSelect.value = ruleSet.id;
+}
+
+/**
+ * Switch to another rule set
+ * @param {string} id - Rule set id
+ */
+function setRuleSet(id) {
+    ruleSet = rpsRules.getRuleSet(id) || rpsRules.RPS_RULE_SETS[rpsRules.RPS_DEFAULT_RULE_SET];
+    ruleSetSelect.value = ruleSet.id;
+    applyRuleSet();
+    shell.renderLeaderboard();
+    
+    // No round has been played yet (the selector is locked otherwise), so restart with the new moves
+    if (lifecycle.isInProgress(gameLifecycle)) {
+        startGame();
+    }
+}
+
+/**
+ * Update the choice buttons and rules text for the active rule set
+ */
+function applyRuleSet() {
+    const playable = lifecycle.isInProgress(gameLifecycle);
+    
+    choicesContainer.classList.toggle('compact', ruleSet.moves.length > COMPACT_CHOICES_THRESHOLD);
+    const shortcuts = getMoveShortcuts(ruleSet.moves);
+    choicesContainer.innerHTML = ruleSet.moves.map((move, index) => `
+        <button class="choice-btn" data-choice="${utils.escapeHTML(move.id)}" title="${utils.escapeHTML(move.label)}${shortcuts[index] ? ` (${shortcuts[index].toUpperCase()})` : ''}"
+            aria-label="${utils.escapeHTML(move.label)}" ${shortcuts[index] ? `aria-keyshortcuts="${shortcuts[index].toUpperCase()}"` : ''} ${playable ? '' : 'disabled'}>
+            <span aria-hidden="true">${utils.escapeHTML(move.emoji)}</span>
+            <span class="choice-label">${utils.escapeHTML(move.label)}</span>
+            <span class="choice-shortcut" aria-hidden="true">${shortcuts[index] ? shortcuts[index].toUpperCase() : ''}</span>
+            <span class="choice-keys">${getMoveKeys(index)}</span>
+        </button>
+    `).join('');
+    
+    renderRulesText();
+    
+    deleteRulesBtn.style.display = ruleSet.id.startsWith(rpsRules.RPS_CUSTOM_RULE_SET_PREFIX) ? 'inline-block' : 'none';
+}
+
+/**
+ * Shortcut key for each move: the first letter of its name no earlier move has taken (R, P and S in the classic rules)
+ * @param {Array} moves - Moves of a rule set
+ * @returns {Array} Lowercase key per move, or null for a move with no letter left
+ */
+function getMoveShortcuts(moves) {
+    const taken = new Set();
+    return moves.map(move => {
+        const key = [...move.label.toLowerCase()].find(letter => /[a-z]/.test(letter) && !taken.has(letter));
+        if (!key) {
+            return null;
+        }
+        taken.add(key);
+        return key;
+    });
+}
+
+/**
+ * Play a move with its shortcut key (see getMoveShortcuts)
+ * @param {KeyboardEvent} e - Key press
+ */
+function handleShortcutKey(e) {
+    // Two players sharing the keyboard have their own keys
+    if (playMode === 'hotseat' && hotSeatInput === 'keys') return;
+    if (!lifecycle.isInProgress(gameLifecycle) || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    if (choicesContainer.style.display === 'none') return;
+    
+    const index = getMoveShortcuts(ruleSet.moves).indexOf(e.key.toLowerCase());
+    const button = choicesContainer.querySelectorAll('.choice-btn')[index];
+    if (index !== -1 && button && !button.disabled) {
+        e.preventDefault();
+        button.click();
+    }
+}
+
+/**
+ * Keys the two players press for a move in two-player keyboard mode
+ * @param {number} index - Move position in the rule set
+ * @returns {string} e.g. "Q | Y", or empty for moves past the last key pair
+ */
+function getMoveKeys(index) {
+    if (index >= HOT_SEAT_KEYS.player.length) {
+        return '';
+    }
+    return `${HOT_SEAT_KEYS.player[index].toUpperCase()} | ${HOT_SEAT_KEYS.opponent[index].toUpperCase()}`;
+}
+
+/**
+ * Explain the active rules: every rule for small rule sets, one line per move for big ones
+ */
+function renderRulesText() {
+    if (ruleSet.beats.length <= MAX_LISTED_RULES) {
+        rulesText.textContent = `${ruleSet.beats.map(rule => rpsRules.describeOutcome(ruleSet, rule.winner, rule.loser)).join(', ')}.`;
+        return;
+    }
+    
+    const lines = ruleSet.moves.map(move => {
+        const beaten = ruleSet.beats
+            .filter(rule => rule.winner === move.id)
+            .map(rule => getMove(rule.loser).label.toLowerCase());
+        return `<li>${utils.escapeHTML(move.emoji)} ${utils.escapeHTML(move.label)} beats ${utils.escapeHTML(beaten.join(', '))}</li>`;
+    });
+    
+    rulesText.innerHTML = `
+        <details>
+            <summary>${ruleSet.moves.length} moves, ${ruleSet.beats.length} rules</summary>
+            <ul>${lines.join('')}</ul>
+        </details>
+    `;
+}
+
+/**
+ * Show or hide the custom rules form
+ * @param {boolean} visible - True to show the form
+ */
+function showCustomRulesForm(visible) {
+    customRulesForm.style.display = visible ? 'block' : 'none';
+    customRulesErrors.innerHTML = '';
+    
+    if (visible) {
+        customRulesName.focus();
+    }
+}
+
+/**
+ * Validate and save the rules typed into the custom rules form
+ */
+function handleSaveCustomRules() {
+    const parsed = rpsRules.parseRuleSetText(customRulesName.value, customRulesMoves.value, customRulesBeats.value);
+    const errors = [...parsed.errors, ...(parsed.errors.length === 0 ? rpsRules.getRuleSetErrors(parsed.ruleSet) : [])];
+    
+    if (errors.length > 0) {
+        customRulesErrors.innerHTML = errors.map(error => `<li>${utils.escapeHTML(error)}</li>`).join('');
+        return;
+    }
+    
+    const saved = rpsRules.saveCustomRuleSet(parsed.ruleSet);
+    showCustomRulesForm(false);
+    fillRuleSetSelect();
+    setRuleSet(saved.id);
+    ui.showMessage(`Saved your rules: ${saved.name}`, 'success');
+}
+
+/**
+ * Delete the selected custom rule set
  */
-function createLeaderboard() {
-    createLeaderboard('rockPaperScissors', leaderboardContainer);
+function handleDeleteCustomRules() {
+    if (!confirm(`Delete the rules "${ruleSet.name}"? Scores played with them stay in your history.`)) {
+        return;
+    }
+    
+    rpsRules.deleteCustomRuleSet(ruleSet.id);
+    ruleSet = rpsRules.RPS_RULE_SETS[rpsRules.RPS_DEFAULT_RULE_SET];
+    fillRuleSetSelect();
+    setRuleSet(ruleSet.id);
+}
+
+/**
+ * Enable or disable the mode, opponent and rules controls
+ * @param {boolean} locked - True while a game is in progress
+ */
+function setGameOptionsLocked(locked) {
+    // The options can't change while this tab is hosting or playing another tab either
+    const sessionBusy = Boolean(onlineSession) && ['waiting', 'joining', 'connected'].includes(onlineSession.state);
+    locked = locked || sessionBusy;
+    
+    [playModeSelect, hotSeatInputSelect].forEach(control => {
+        control.disabled = locked;
+    });
+    
+    // The daily challenge always uses the same opponent, rules and format
+    [aiDifficultySelect, ruleSetSelect, editRulesBtn, deleteRulesBtn,
+        matchFormatSelect, matchLengthInput, tieRuleSelect].forEach(control => {
+        control.disabled = locked || playMode === daily.DAILY_MODE;
+    });
+    
+    if (locked) {
+        showCustomRulesForm(false);
+    }
 }
 
 /**
@@ -493,8 +1877,7 @@ function createLeaderboard() {
  */
 function startNewGame() {
     // Reset game state
-    gameEnded = false;
-    gameStarted = false;
+    lifecycle.prepareGame(gameLifecycle);
     
     // Reset UI
     gameControls.style.display = 'none';
@@ -512,4 +1895,4 @@ function startNewGame() {
     startGame();
 }
 
-// showMessage function is available from main.js
+// showMessage function is available from ui.js
@@ -0,0 +1,270 @@
+/**
+ * RevoFun Gaming Company - Router
+ * Moves between the site's pages without reloading: the header and footer stay, and each
+ * page's main content is swapped in. Every page is still a real HTML file, so deep links,
+ * reloads and the back and forward buttons all land on the page in the address bar.
+ */
+
+import * as ui from './ui.js';
+
+// Shown when a page fails to set itself up and its view doesn't say what went wrong
+const DEFAULT_PAGE_ERROR = 'Failed to load this page. Please refresh the page.';
+
+// Views registered by the pages' scripts, by page file (e.g. 'stats.html')
+const pageViews = new Map();
+
+// Pages loaded so far, by page file: a promise of { name, main, title }. A page's main
+// content is kept while another page is shown, so it comes back as it was left.
+const loadedPages = new Map();
+
+// Pages whose view has been initialized
+const initializedPages = new Set();
+
+// The page being shown ({ name, main, title }) and the address it was shown for
+let currentPage = null;
+let currentUrl = null;
+
+// Counts navigations, so a slow page load doesn't replace a page chosen after it
+let latestNavigation = 0;
+
+/**
+ * Register what a page does as it is shown and left. Page scripts call this as they load.
+ * @param {string} page - Page file (e.g. 'stats.html')
+ * @param {Object} view - The page's view:
+ *   init()        - Find the page's elements and set up its controls; called the first time it is shown
+ *   enter()       - Show the page for the address in the location bar (its query string, e.g. ?id=). Optional.
+ *   leave()       - Stop anything running (timers, games) before another page is shown. Optional.
+ *   errorMessage  - Shown if init or enter fails. Optional.
+ */
+export function registerPage(page, view) {
+    pageViews.set(page, view);
+}
+
+/**
+ * Start routing: show the page that was loaded, then handle links and history from here on
+ */
+export function startRouter() {
+    const page = { name: getPageName(window.location.href), main: document.querySelector('main'), title: document.title };
+    loadedPages.set(page.name, Promise.resolve(page));
+    currentUrl = new URL(window.location.href);
+
+    document.addEventListener('click', handleLinkClick);
+    window.addEventListener('popstate', handlePopState);
+
+    enterPage(page);
+}
+
+/**
+ * The page being shown
+ * @returns {string|null} Page file (e.g. 'memory-game.html'), or null before the router starts
+ */
+export function getCurrentPage() {
+    return currentPage ? currentPage.name : null;
+}
+
+/**
+ * Show another page, adding it to the browser history
+ * @param {string} url - Page address, relative to the current one (e.g. 'memory-game.html?daily')
+ * @param {Object} options - replace: true to replace the current history entry instead
+ * @returns {Promise} Resolves once the page is shown
+ */
+export function navigateTo(url, options = {}) {
+    const target = new URL(url, window.location.href);
+    const navigation = ++latestNavigation;
+
+    return loadPage(target).then(page => {
+        if (navigation !== latestNavigation) return;
+        window.history[options.replace ? 'replaceState' : 'pushState'](null, '', target.href);
+        showPage(page, target);
+    }).catch(error => {
+        // Without the page (e.g. offline, or opened from disk) fall back to loading it normally
+        console.error('Error loading page:', error);
+        window.location.assign(target.href);
+    });
+}
+
+/**
+ * Get the page file an address points at
+ * @param {string|URL} url - Address
+ * @returns {string} Page file; the site root is 'index.html'
+ */
+function getPageName(url) {
+    return new URL(url, window.location.href).pathname.split('/').pop() || 'index.html';
+}
+
+/**
+ * Follow links to the site's pages without reloading
+ * @param {MouseEvent} e - Click
+ */
+function handleLinkClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest && e.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    const target = new URL(link.href, window.location.href);
+    if (target.origin !== window.location.origin || !getPageName(target).endsWith('.html')) return;
+
+    e.preventDefault();
+
+    // Links within the page (e.g. #games) scroll to their section
+    if (isSameView(target) && (target.hash || link.getAttribute('href').startsWith('#'))) {
+        scrollToHash(target.hash);
+        return;
+    }
+
+    navigateTo(target.href);
+}
+
+/**
+ * Show the page for the history entry the player went back or forward to
+ */
+function handlePopState() {
+    const target = new URL(window.location.href);
+    if (isSameView(target)) {
+        scrollToHash(target.hash);
+        return;
+    }
+
+    const navigation = ++latestNavigation;
+    loadPage(target).then(page => {
+        if (navigation === latestNavigation) {
+            showPage(page, target);
+        }
+    }).catch(error => {
+        console.error('Error loading page:', error);
+        window.location.reload();
+    });
+}
+
+/**
+ * Check whether an address shows what is on screen already, apart from where it scrolls to
+ * @param {URL} target - Address
+ * @returns {boolean} True for the same page with the same query string
+ */
+function isSameView(target) {
+    return Boolean(currentPage) && getPageName(target) === currentPage.name && target.search === currentUrl.search;
+}
+
+/**
+ * Load a page the first time it is shown: its main content, and its scripts so it registers its view
+ * @param {URL} url - Page address
+ * @returns {Promise} Resolves with the page ({ name, main, title })
+ */
+function loadPage(url) {
+    const name = getPageName(url);
+    if (!loadedPages.has(name)) {
+        loadedPages.set(name, fetchPage(new URL(name, url)).catch(error => {
+            loadedPages.delete(name);
+            throw error;
+        }));
+    }
+    return loadedPages.get(name);
+}
+
+/**
+ * Fetch a page, take its main content and run its scripts
+ * @param {URL} url - Page file address
+ * @returns {Promise} Resolves with the page ({ name, main, title })
+ */
+async function fetchPage(url) {
+    const response = await fetch(url.href);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url.pathname} (${response.status})`);
+    }
+
+    const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const main = html.querySelector('main');
+    if (!main) {
+        throw new Error(`${url.pathname} has no main content`);
+    }
+
+    // Scripts already running (like app.js) are shared, not run again
+    const scripts = [...html.querySelectorAll('script[type="module"][src]')];
+    for (const script of scripts) {
+        await import(new URL(script.getAttribute('src'), url).href);
+    }
+
+    return { name: getPageName(url), main: document.adoptNode(main), title: html.title };
+}
+
+/**
+ * Swap a page in place of the one being shown
+ * @param {Object} page - Page to show
+ * @param {URL} url - Address it is shown for
+ */
+function showPage(page, url) {
+    leavePage();
+
+    const main = document.querySelector('main');
+    if (main !== page.main) {
+        main.replaceWith(page.main);
+    }
+    document.title = page.title;
+    currentUrl = url;
+
+    enterPage(page);
+    ui.addFadeInAnimation();
+    ui.announce(page.title);
+
+    if (!scrollToHash(url.hash)) {
+        window.scrollTo(0, 0);
+    }
+}
+
+/**
+ * Let a page's view know it is being shown, initializing it the first time
+ * @param {Object} page - Page being shown
+ */
+function enterPage(page) {
+    currentPage = page;
+
+    const view = pageViews.get(page.name);
+    if (!view) return;
+
+    try {
+        if (!initializedPages.has(page.name)) {
+            initializedPages.add(page.name);
+            if (view.init) view.init();
+        }
+        if (view.enter) view.enter();
+    } catch (error) {
+        console.error(`Error showing ${page.name}:`, error);
+        ui.showErrorMessage(view.errorMessage || DEFAULT_PAGE_ERROR);
+    }
+}
+
+/**
+ * Let the page being shown stop what it is doing before it is swapped out
+ */
+function leavePage() {
+    const view = currentPage && pageViews.get(currentPage.name);
+    if (!view || !view.leave) return;
+
+    try {
+        view.leave();
+    } catch (error) {
+        console.error(`Error leaving ${currentPage.name}:`, error);
+    }
+}
+
+/**
+ * Scroll smoothly to the section a hash names
+ * @param {string} hash - Hash, e.g. '#games'
+ * @returns {boolean} True if there was a section to scroll to
+ */
+function scrollToHash(hash) {
+    const targetElement = hash.length > 1 ? document.getElementById(decodeURIComponent(hash.substring(1))) : null;
+    if (!targetElement) {
+        if (hash.length > 1) {
+            console.warn(`Target element with id '${hash.substring(1)}' not found`);
+        }
+        return false;
+    }
+
+    targetElement.scrollIntoView({
+        behavior: 'smooth',
+        block: 'start'
+    });
+    return true;
+}
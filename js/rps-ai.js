@@ -0,0 +1,274 @@
+/**
+ * Rock, Paper, Scissors - Computer Opponent
+ * Strategies that predict the player's next move from a per-player model,
+ * difficulty levels that choose between them, and model persistence
+ */
+
+import * as storage from './storage.js';
+import * as utils from './utils.js';
+import * as rpsRules from './rps-rules.js';
+
+// Longest run of the player's recent moves the Markov strategy looks at
+const RPS_MAX_MARKOV_ORDER = 2;
+
+// How strongly win-stay/lose-shift assumes the classic human habit before it has seen any games
+const RPS_REACTION_PRIOR_WEIGHT = 2;
+
+/**
+ * Prediction strategies. predict() returns a table of weights for the player's
+ * next move, or null when the strategy has nothing to go on.
+ */
+export const RPS_STRATEGIES = {
+    random: {
+        label: 'Random',
+        predict: () => null
+    },
+    frequency: {
+        label: 'Frequency counter',
+        predict: model => model.counts
+    },
+    markov: {
+        label: 'Markov chain',
+        predict: predictWithMarkovChain
+    },
+    winStayLoseShift: {
+        label: 'Win-stay/lose-shift',
+        predict: predictWithReactions
+    }
+};
+
+// Difficulty levels, each backed by one strategy
+export const RPS_AI_DIFFICULTIES = {
+    easy: {
+        label: 'Easy',
+        strategy: 'random',
+        description: 'Plays completely at random.'
+    },
+    normal: {
+        label: 'Normal',
+        strategy: 'frequency',
+        description: 'Counters the moves you play most often.'
+    },
+    hard: {
+        label: 'Hard',
+        strategy: 'winStayLoseShift',
+        description: 'Learns how you react to winning and losing a round.'
+    },
+    expert: {
+        label: 'Expert',
+        strategy: 'markov',
+        order: RPS_MAX_MARKOV_ORDER,
+        description: 'Learns which move you play after your last two moves.'
+    }
+};
+
+export const RPS_DEFAULT_AI_DIFFICULTY = 'normal';
+
+/**
+ * Create an empty opponent model
+ * @returns {Object} Model with no observations
+ */
+export function createRpsModel() {
+    return {
+        counts: {},
+        transitions: {},
+        reactions: {},
+        recentMoves: [],
+        lastOutcome: null,
+        lastComputerMove: null,
+        rounds: 0
+    };
+}
+
+/**
+ * Load a player's opponent model for a rule set
+ * @param {string} profileId - Profile id
+ * @param {string} ruleSetId - Rule set id (see rps-rules.js)
+ * @returns {Object} Stored model, or a new one
+ */
+export function loadRpsModel(profileId, ruleSetId = rpsRules.RPS_DEFAULT_RULE_SET) {
+    const models = storage.readRecord(storage.STORAGE_KEYS.rpsModels);
+    return models[getRpsModelKey(profileId, ruleSetId)] || createRpsModel();
+}
+
+/**
+ * Save a player's opponent model for a rule set
+ * @param {string} profileId - Profile id
+ * @param {Object} model - Model to save
+ * @param {string} ruleSetId - Rule set id (see rps-rules.js)
+ */
+export function saveRpsModel(profileId, model, ruleSetId = rpsRules.RPS_DEFAULT_RULE_SET) {
+    const models = storage.readRecord(storage.STORAGE_KEYS.rpsModels);
+    models[getRpsModelKey(profileId, ruleSetId)] = model;
+    storage.writeRecord(storage.STORAGE_KEYS.rpsModels, models);
+}
+
+/**
+ * Storage key of a model. Each rule set has its own model, since the moves differ;
+ * classic models keep the plain profile id they were first saved under.
+ * @param {string} profileId - Profile id
+ * @param {string} ruleSetId - Rule set id
+ * @returns {string} Key in the rpsModels record
+ */
+function getRpsModelKey(profileId, ruleSetId) {
+    return ruleSetId === rpsRules.RPS_DEFAULT_RULE_SET ? profileId : `${profileId}:${ruleSetId}`;
+}
+
+/**
+ * Pick the computer's move for a difficulty level
+ * @param {Object} model - The player's opponent model
+ * @param {string} difficultyKey - Key of RPS_AI_DIFFICULTIES
+ * @param {Object} rules - { moves, compare(a, b) } where compare returns 1 if a beats b, -1 if b beats a, 0 for a tie
+ * @returns {Object} Chosen move, strategy key, predicted player move and confidence (0-1)
+ */
+export function chooseComputerMove(model, difficultyKey, rules) {
+    const difficulty = RPS_AI_DIFFICULTIES[difficultyKey] || RPS_AI_DIFFICULTIES[RPS_DEFAULT_AI_DIFFICULTY];
+    const weights = RPS_STRATEGIES[difficulty.strategy].predict(model, difficulty, rules);
+    const probabilities = normalizeWeights(weights, rules.moves);
+
+    // Play whichever move does best against the predicted distribution
+    const expectedResults = rules.moves.map(move => rules.moves.reduce(
+        (total, playerMove) => total + probabilities[playerMove] * rules.compare(move, playerMove),
+        0
+    ));
+    const bestResult = Math.max(...expectedResults);
+    const bestMoves = rules.moves.filter((move, index) => expectedResults[index] >= bestResult - 1e-9);
+
+    const predictedMove = rules.moves.reduce((best, move) => (probabilities[move] > probabilities[best] ? move : best));
+    const uniform = 1 / rules.moves.length;
+    const confidence = (probabilities[predictedMove] - uniform) / (1 - uniform);
+
+    return {
+        move: bestMoves[Math.floor(utils.nextRandom() * bestMoves.length)],
+        strategy: difficulty.strategy,
+        predictedMove: confidence > 0 ? predictedMove : null,
+        confidence: confidence
+    };
+}
+
+/**
+ * Teach the model the player's move from a finished round
+ * @param {Object} model - The player's opponent model (updated in place)
+ * @param {string} playerMove - Move the player made
+ * @param {string} computerMove - Move the computer made
+ * @param {string} outcome - Round result for the player ('win', 'loss' or 'tie')
+ */
+export function recordPlayerMove(model, playerMove, computerMove, outcome) {
+    incrementCount(model.counts, playerMove);
+
+    for (let order = 1; order <= Math.min(RPS_MAX_MARKOV_ORDER, model.recentMoves.length); order++) {
+        const context = model.recentMoves.slice(-order).join(',');
+        model.transitions[context] = model.transitions[context] || {};
+        incrementCount(model.transitions[context], playerMove);
+    }
+
+    const reactionKey = getReactionKey(model);
+    if (reactionKey) {
+        model.reactions[reactionKey] = model.reactions[reactionKey] || {};
+        incrementCount(model.reactions[reactionKey], playerMove);
+    }
+
+    model.recentMoves = [...model.recentMoves, playerMove].slice(-RPS_MAX_MARKOV_ORDER);
+    model.lastOutcome = outcome;
+    model.lastComputerMove = computerMove;
+    model.rounds++;
+}
+
+/**
+ * Markov strategy: what the player played after the same run of moves before,
+ * falling back to shorter runs and then plain move counts
+ * @param {Object} model - Opponent model
+ * @param {Object} difficulty - Difficulty settings (order = run length)
+ * @returns {Object|null} Move weights
+ */
+function predictWithMarkovChain(model, difficulty) {
+    const maxOrder = Math.min(difficulty.order || 1, model.recentMoves.length);
+
+    for (let order = maxOrder; order >= 1; order--) {
+        const transitions = model.transitions[model.recentMoves.slice(-order).join(',')];
+        if (transitions && sumWeights(transitions) > 0) {
+            return transitions;
+        }
+    }
+
+    return model.counts;
+}
+
+/**
+ * Win-stay/lose-shift strategy: what the player played after the same result
+ * and move before, starting from the assumption that players repeat a winning
+ * move and switch to whatever beats the computer's last move after a loss
+ * @param {Object} model - Opponent model
+ * @param {Object} difficulty - Difficulty settings
+ * @param {Object} rules - { moves, compare }
+ * @returns {Object|null} Move weights
+ */
+function predictWithReactions(model, difficulty, rules) {
+    const reactionKey = getReactionKey(model);
+    if (!reactionKey) {
+        return null;
+    }
+
+    const lastMove = model.recentMoves[model.recentMoves.length - 1];
+    const weights = { ...(model.reactions[reactionKey] || {}) };
+
+    let expectedMoves = [];
+    if (model.lastOutcome === 'win') {
+        expectedMoves = [lastMove];
+    } else if (model.lastOutcome === 'loss') {
+        expectedMoves = rules.moves.filter(move => rules.compare(move, model.lastComputerMove) > 0);
+    }
+
+    expectedMoves.forEach(move => {
+        weights[move] = (weights[move] || 0) + RPS_REACTION_PRIOR_WEIGHT / expectedMoves.length;
+    });
+
+    return weights;
+}
+
+/**
+ * Key of the reaction table for the model's last round
+ * @param {Object} model - Opponent model
+ * @returns {string|null} "outcome:move", or null before the first round
+ */
+function getReactionKey(model) {
+    if (!model.lastOutcome || model.recentMoves.length === 0) {
+        return null;
+    }
+    return `${model.lastOutcome}:${model.recentMoves[model.recentMoves.length - 1]}`;
+}
+
+/**
+ * Turn move weights into probabilities over the available moves
+ * @param {Object|null} weights - Move weights
+ * @param {Array} moves - Available moves
+ * @returns {Object} Map of move to probability (uniform if there are no weights)
+ */
+function normalizeWeights(weights, moves) {
+    const total = weights ? moves.reduce((sum, move) => sum + (weights[move] || 0), 0) : 0;
+    const probabilities = {};
+
+    moves.forEach(move => {
+        probabilities[move] = total > 0 ? (weights[move] || 0) / total : 1 / moves.length;
+    });
+
+    return probabilities;
+}
+
+/**
+ * Add up the weights in a table
+ * @param {Object} weights - Move weights
+ * @returns {number} Total weight
+ */
+function sumWeights(weights) {
+    return Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+}
+
+/**
+ * Add one to a move count
+ * @param {Object} table - Count table
+ * @param {string} move - Move to count
+ */
+function incrementCount(table, move) {
+    table[move] = (table[move] || 0) + 1;
+}
@@ -0,0 +1,329 @@
+/**
+ * Rock, Paper, Scissors - Rule Sets
+ * Table-driven rules for classic RPS and its variants: the moves, who beats whom
+ * and the verb that describes it ("Spock vaporizes rock"), plus validation and
+ * storage of user-defined rule sets
+ */
+
+import * as storage from './storage.js';
+
+// Fewest moves a rule set can have
+const RPS_MIN_MOVES = 3;
+
+// Verb used when a rule doesn't give one
+const RPS_DEFAULT_VERB = 'beats';
+
+// Rule set id assumed for games saved before variants existed
+export const RPS_DEFAULT_RULE_SET = 'classic';
+
+// Prefix for the ids of user-defined rule sets
+export const RPS_CUSTOM_RULE_SET_PREFIX = 'custom-';
+
+/**
+ * Built-in rule sets. RPS-7 and RPS-15 use the usual circular layout where
+ * every move beats the half of the circle that follows it.
+ */
+export const RPS_RULE_SETS = {
+    classic: {
+        id: 'classic',
+        name: 'Rock, Paper, Scissors',
+        moves: [
+            { id: 'rock', label: 'Rock', emoji: '🪨' },
+            { id: 'paper', label: 'Paper', emoji: '📄' },
+            { id: 'scissors', label: 'Scissors', emoji: '✂️' }
+        ],
+        beats: [
+            { winner: 'rock', loser: 'scissors', verb: 'crushes' },
+            { winner: 'scissors', loser: 'paper', verb: 'cuts' },
+            { winner: 'paper', loser: 'rock', verb: 'covers' }
+        ]
+    },
+    rpsls: {
+        id: 'rpsls',
+        name: 'Rock, Paper, Scissors, Lizard, Spock',
+        moves: [
+            { id: 'rock', label: 'Rock', emoji: '🪨' },
+            { id: 'paper', label: 'Paper', emoji: '📄' },
+            { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+            { id: 'lizard', label: 'Lizard', emoji: '🦎' },
+            { id: 'spock', label: 'Spock', emoji: '🖖' }
+        ],
+        beats: [
+            { winner: 'scissors', loser: 'paper', verb: 'cuts' },
+            { winner: 'paper', loser: 'rock', verb: 'covers' },
+            { winner: 'rock', loser: 'lizard', verb: 'crushes' },
+            { winner: 'lizard', loser: 'spock', verb: 'poisons' },
+            { winner: 'spock', loser: 'scissors', verb: 'smashes' },
+            { winner: 'scissors', loser: 'lizard', verb: 'decapitates' },
+            { winner: 'lizard', loser: 'paper', verb: 'eats' },
+            { winner: 'paper', loser: 'spock', verb: 'disproves' },
+            { winner: 'spock', loser: 'rock', verb: 'vaporizes' },
+            { winner: 'rock', loser: 'scissors', verb: 'crushes' }
+        ]
+    },
+    rps7: createCircularRuleSet('rps7', 'RPS-7', [
+        { id: 'rock', label: 'Rock', emoji: '🪨' },
+        { id: 'fire', label: 'Fire', emoji: '🔥' },
+        { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+        { id: 'sponge', label: 'Sponge', emoji: '🧽' },
+        { id: 'paper', label: 'Paper', emoji: '📄' },
+        { id: 'air', label: 'Air', emoji: '💨' },
+        { id: 'water', label: 'Water', emoji: '💧' }
+    ]),
+    rps15: createCircularRuleSet('rps15', 'RPS-15', [
+        { id: 'rock', label: 'Rock', emoji: '🪨' },
+        { id: 'fire', label: 'Fire', emoji: '🔥' },
+        { id: 'scissors', label: 'Scissors', emoji: '✂️' },
+        { id: 'snake', label: 'Snake', emoji: '🐍' },
+        { id: 'human', label: 'Human', emoji: '🧑' },
+        { id: 'tree', label: 'Tree', emoji: '🌳' },
+        { id: 'wolf', label: 'Wolf', emoji: '🐺' },
+        { id: 'sponge', label: 'Sponge', emoji: '🧽' },
+        { id: 'paper', label: 'Paper', emoji: '📄' },
+        { id: 'air', label: 'Air', emoji: '💨' },
+        { id: 'water', label: 'Water', emoji: '💧' },
+        { id: 'dragon', label: 'Dragon', emoji: '🐉' },
+        { id: 'devil', label: 'Devil', emoji: '😈' },
+        { id: 'lightning', label: 'Lightning', emoji: '⚡' },
+        { id: 'gun', label: 'Gun', emoji: '🔫' }
+    ])
+};
+
+/**
+ * Build a rule set where each move beats the (n - 1) / 2 moves after it, wrapping around
+ * @param {string} id - Rule set id
+ * @param {string} name - Display name
+ * @param {Array} moves - Moves in circle order (odd count)
+ * @returns {Object} Rule set
+ */
+export function createCircularRuleSet(id, name, moves) {
+    const reach = (moves.length - 1) / 2;
+    const beats = [];
+
+    moves.forEach((move, index) => {
+        for (let step = 1; step <= reach; step++) {
+            beats.push({ winner: move.id, loser: moves[(index + step) % moves.length].id, verb: RPS_DEFAULT_VERB });
+        }
+    });
+
+    return { id, name, moves, beats };
+}
+
+/**
+ * Get every available rule set, built-in first
+ * @returns {Array} Rule sets
+ */
+export function getRuleSets() {
+    return [...Object.values(RPS_RULE_SETS), ...getCustomRuleSets()];
+}
+
+/**
+ * Find a rule set by id
+ * @param {string} id - Rule set id
+ * @returns {Object|null} Rule set, or null if there is none with that id
+ */
+export function getRuleSet(id) {
+    return getRuleSets().find(ruleSet => ruleSet.id === id) || null;
+}
+
+/**
+ * Get the user-defined rule sets that pass validation
+ * @returns {Array} Custom rule sets
+ */
+export function getCustomRuleSets() {
+    return storage.readRecord(storage.STORAGE_KEYS.rpsRuleSets).filter(ruleSet => {
+        const errors = getRuleSetErrors(ruleSet);
+        if (errors.length > 0) {
+            console.warn(`Ignoring invalid rule set "${ruleSet.name}":`, errors);
+        }
+        return errors.length === 0;
+    });
+}
+
+/**
+ * Validate and store a user-defined rule set
+ * @param {Object} ruleSet - Rule set without an id
+ * @returns {Object} Saved rule set with its id
+ * @throws {Error} If the rule set is invalid
+ */
+export function saveCustomRuleSet(ruleSet) {
+    const saved = { ...ruleSet, id: `${RPS_CUSTOM_RULE_SET_PREFIX}${storage.generateId('rules')}` };
+    const errors = getRuleSetErrors(saved);
+    if (errors.length > 0) {
+        throw new Error(errors.join(' '));
+    }
+
+    storage.writeRecord(storage.STORAGE_KEYS.rpsRuleSets, [...storage.readRecord(storage.STORAGE_KEYS.rpsRuleSets), saved]);
+    return saved;
+}
+
+/**
+ * Remove a user-defined rule set
+ * @param {string} id - Rule set id
+ */
+export function deleteCustomRuleSet(id) {
+    storage.writeRecord(storage.STORAGE_KEYS.rpsRuleSets, storage.readRecord(storage.STORAGE_KEYS.rpsRuleSets).filter(ruleSet => ruleSet.id !== id));
+}
+
+/**
+ * Check a rule set: at least three distinct moves, every pair of moves decided
+ * by exactly one rule, and no move beating itself
+ * @param {Object} ruleSet - Rule set to check
+ * @returns {Array} Error messages (empty if valid)
+ */
+export function getRuleSetErrors(ruleSet) {
+    const errors = [];
+
+    if (!ruleSet || typeof ruleSet.name !== 'string' || ruleSet.name.trim() === '') {
+        errors.push('The rule set needs a name.');
+    }
+
+    const moves = ruleSet && Array.isArray(ruleSet.moves) ? ruleSet.moves : [];
+    const beats = ruleSet && Array.isArray(ruleSet.beats) ? ruleSet.beats : [];
+    const moveIds = moves.map(move => move && move.id);
+
+    if (moves.length < RPS_MIN_MOVES) {
+        errors.push(`A rule set needs at least ${RPS_MIN_MOVES} moves.`);
+    }
+
+    moves.forEach(move => {
+        if (!move || !move.id || !move.label || !move.emoji) {
+            errors.push('Every move needs a name and an emoji.');
+        }
+    });
+
+    new Set(moveIds.filter((id, index) => moveIds.indexOf(id) !== index)).forEach(id => {
+        errors.push(`The move "${id}" is listed more than once.`);
+    });
+
+    const decided = {};
+    beats.forEach(rule => {
+        if (!rule || !moveIds.includes(rule.winner) || !moveIds.includes(rule.loser)) {
+            errors.push(`A rule refers to an unknown move${rule ? ` (${rule.winner} vs ${rule.loser})` : ''}.`);
+            return;
+        }
+        if (rule.winner === rule.loser) {
+            errors.push(`${getMoveLabel(ruleSet, rule.winner)} can't beat itself.`);
+            return;
+        }
+
+        const pairKey = [rule.winner, rule.loser].sort().join('|');
+        if (decided[pairKey] === rule.winner) {
+            errors.push(`${getMoveLabel(ruleSet, rule.winner)} vs ${getMoveLabel(ruleSet, rule.loser)} is listed twice.`);
+        } else if (decided[pairKey]) {
+            errors.push(`${getMoveLabel(ruleSet, rule.winner)} and ${getMoveLabel(ruleSet, rule.loser)} both beat each other.`);
+        } else {
+            decided[pairKey] = rule.winner;
+        }
+    });
+
+    // Every pair of moves must have a winner
+    const uniqueIds = [...new Set(moveIds.filter(Boolean))];
+    uniqueIds.forEach((first, index) => {
+        uniqueIds.slice(index + 1).forEach(second => {
+            if (!decided[[first, second].sort().join('|')]) {
+                errors.push(`Nothing decides ${getMoveLabel(ruleSet, first)} vs ${getMoveLabel(ruleSet, second)}.`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Compare two moves under a rule set
+ * @param {Object} ruleSet - Rule set
+ * @param {string} move - Move to score
+ * @param {string} otherMove - Move it is played against
+ * @returns {number} 1 if move wins, -1 if it loses, 0 for a tie
+ */
+export function compareMoves(ruleSet, move, otherMove) {
+    if (move === otherMove) {
+        return 0;
+    }
+    const rule = findRule(ruleSet, move, otherMove);
+    if (!rule) {
+        throw new Error(`Rule set ${ruleSet.id} doesn't decide ${move} vs ${otherMove}`);
+    }
+    return rule.winner === move ? 1 : -1;
+}
+
+/**
+ * Describe how one move beat another, e.g. "Spock vaporizes rock"
+ * @param {Object} ruleSet - Rule set
+ * @param {string} move - One move
+ * @param {string} otherMove - The other move
+ * @returns {string} Description, or an empty string for a tie
+ */
+export function describeOutcome(ruleSet, move, otherMove) {
+    const rule = move === otherMove ? null : findRule(ruleSet, move, otherMove);
+    if (!rule) {
+        return '';
+    }
+    return `${getMoveLabel(ruleSet, rule.winner)} ${rule.verb || RPS_DEFAULT_VERB} ${getMoveLabel(ruleSet, rule.loser).toLowerCase()}`;
+}
+
+/**
+ * Find the rule that decides a pair of moves
+ * @param {Object} ruleSet - Rule set
+ * @param {string} move - One move
+ * @param {string} otherMove - The other move
+ * @returns {Object|undefined} Rule
+ */
+function findRule(ruleSet, move, otherMove) {
+    return ruleSet.beats.find(rule => (rule.winner === move && rule.loser === otherMove) ||
+        (rule.winner === otherMove && rule.loser === move));
+}
+
+/**
+ * Get a move's display name
+ * @param {Object} ruleSet - Rule set
+ * @param {string} id - Move id
+ * @returns {string} Move label (the id if the move is unknown)
+ */
+function getMoveLabel(ruleSet, id) {
+    const move = ruleSet.moves.find(item => item.id === id);
+    return move ? move.label : String(id);
+}
+
+/**
+ * Build a rule set from the custom rules form. Moves are one per line as
+ * "emoji Name"; rules are one per line as "Winner verb Loser".
+ * @param {string} name - Rule set name
+ * @param {string} movesText - Moves, one per line
+ * @param {string} rulesText - Rules, one per line
+ * @returns {Object} { ruleSet, errors } where errors lists lines that couldn't be read
+ */
+export function parseRuleSetText(name, movesText, rulesText) {
+    const errors = [];
+    const toLines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const moves = toLines(movesText).map((line, index) => {
+        const [emoji, ...words] = line.split(/\s+/);
+        const label = words.join(' ');
+        if (!label) {
+            errors.push(`Move line ${index + 1}: write the emoji, then the name (e.g. "🦎 Lizard").`);
+        }
+        return { id: label.toLowerCase().replace(/[^a-z0-9]+/g, '-'), label, emoji };
+    });
+
+    // Longest names first, so "Paper Plane" wins over "Paper"
+    const byLength = [...moves].sort((a, b) => b.label.length - a.label.length);
+    const beats = [];
+
+    toLines(rulesText).forEach((line, index) => {
+        const lower = line.toLowerCase();
+        const winner = byLength.find(move => move.label && lower.startsWith(move.label.toLowerCase()));
+        const loser = byLength.find(move => move.label && lower.endsWith(move.label.toLowerCase()));
+
+        if (!winner || !loser || winner.label.length + loser.label.length > line.length) {
+            errors.push(`Rule line ${index + 1}: write it as "Winner verb Loser" using move names (e.g. "Lizard eats Paper").`);
+            return;
+        }
+
+        const verb = line.slice(winner.label.length, line.length - loser.label.length).trim();
+        beats.push({ winner: winner.id, loser: loser.id, verb: verb || RPS_DEFAULT_VERB });
+    });
+
+    return { ruleSet: { name: name.trim(), moves, beats }, errors };
+}
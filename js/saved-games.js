@@ -0,0 +1,145 @@
+/**
+ * RevoFun Gaming Company - Saved Games
+ * Snapshots of each player's game in progress, taken after every move, so a game
+ * left mid-way can be resumed on return. Old snapshots expire.
+ */
+
+import * as storage from './storage.js';
+import * as utils from './utils.js';
+import * as user from './user.js';
+
+// How long an unfinished game can be resumed
+export const SAVED_GAME_MAX_AGE_DAYS = 7;
+
+/**
+ * Save a player's game in progress, replacing their previous snapshot of that game
+ * @param {string} gameName - Game id
+ * @param {Object} state - Everything the game needs to carry on
+ * @param {Date} expiresAt - Optional earlier expiry (e.g. the end of a daily challenge's day)
+ * @param {Object} profile - Player (defaults to the active profile)
+ */
+export function saveGameProgress(gameName, state, expiresAt = null, profile = user.currentUser) {
+    if (!profile) {
+        return;
+    }
+
+    const now = Date.now();
+    const maxExpiry = now + SAVED_GAME_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const saves = pruneSavedGames(storage.readRecord(storage.STORAGE_KEYS.savedGames), now);
+
+    saves[profile.id] = {
+        ...saves[profile.id],
+        [gameName]: {
+            savedAt: new Date(now).toISOString(),
+            expiresAt: new Date(expiresAt ? Math.min(expiresAt.getTime(), maxExpiry) : maxExpiry).toISOString(),
+            state: state
+        }
+    };
+    storage.writeRecord(storage.STORAGE_KEYS.savedGames, saves);
+}
+
+/**
+ * A player's saved game in progress
+ * @param {string} gameName - Game id
+ * @param {Object} profile - Player (defaults to the active profile)
+ * @returns {Object|null} { savedAt, expiresAt, state }, or null if there is none (or it has expired)
+ */
+export function loadGameProgress(gameName, profile = user.currentUser) {
+    if (!profile) {
+        return null;
+    }
+
+    const saves = storage.readRecord(storage.STORAGE_KEYS.savedGames);
+    const save = saves[profile.id] && saves[profile.id][gameName];
+    if (!save) {
+        return null;
+    }
+
+    if (Date.parse(save.expiresAt) <= Date.now()) {
+        clearGameProgress(gameName, profile);
+        return null;
+    }
+    return save;
+}
+
+/**
+ * Forget a player's game in progress, once it ends or they start a new one
+ * @param {string} gameName - Game id
+ * @param {Object} profile - Player (defaults to the active profile)
+ */
+export function clearGameProgress(gameName, profile = user.currentUser) {
+    if (!profile) {
+        return;
+    }
+
+    const saves = storage.readRecord(storage.STORAGE_KEYS.savedGames);
+    if (!saves[profile.id] || !saves[profile.id][gameName]) {
+        return;
+    }
+
+    delete saves[profile.id][gameName];
+    if (Object.keys(saves[profile.id]).length === 0) {
+        delete saves[profile.id];
+    }
+    storage.writeRecord(storage.STORAGE_KEYS.savedGames, saves);
+}
+
+/**
+ * Drop expired snapshots
+ * @param {Object} saves - Saved games record
+ * @param {number} now - Current time (ms)
+ * @returns {Object} The record without expired snapshots
+ */
+export function pruneSavedGames(saves, now = Date.now()) {
+    Object.keys(saves).forEach(profileId => {
+        Object.keys(saves[profileId]).forEach(gameName => {
+            if (Date.parse(saves[profileId][gameName].expiresAt) <= now) {
+                delete saves[profileId][gameName];
+            }
+        });
+        if (Object.keys(saves[profileId]).length === 0) {
+            delete saves[profileId];
+        }
+    });
+    return saves;
+}
+
+/**
+ * Offer to resume a saved game or start a new one
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} save - Saved game from loadGameProgress()
+ * @param {string} summary - Where the game was left, e.g. "3 attempts left"
+ * @param {Function} onResume - Called to carry on with the saved game
+ * @param {Function} onDiscard - Called to throw the save away and start a new game
+ */
+export function showResumePrompt(container, save, summary, onResume, onDiscard) {
+    container.innerHTML = `
+        <p>You have an unfinished game from ${utils.escapeHTML(new Date(save.savedAt).toLocaleString())}: ${utils.escapeHTML(summary)}.</p>
+        <div class="resume-actions">
+            <button type="button" class="btn btn-success" data-action="resume">Resume game</button>
+            <button type="button" class="btn btn-secondary" data-action="discard">New game</button>
+        </div>
+    `;
+    container.style.display = 'block';
+
+    container.querySelector('[data-action="resume"]').addEventListener('click', () => {
+        hideResumePrompt(container);
+        onResume(save.state);
+    });
+    container.querySelector('[data-action="discard"]').addEventListener('click', () => {
+        hideResumePrompt(container);
+        onDiscard();
+    });
+}
+
+/**
+ * Hide the resume prompt
+ * @param {HTMLElement} container - Container of the prompt
+ */
+export function hideResumePrompt(container) {
+    if (!container) {
+        return;
+    }
+    container.style.display = 'none';
+    container.innerHTML = '';
+}
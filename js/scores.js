@@ -0,0 +1,296 @@
+/**
+ * RevoFun Gaming Company - Scores
+ * The history of every finished game, and the leaderboards derived from it
+ */
+
+import * as storage from './storage.js';
+import * as user from './user.js';
+import * as ui from './ui.js';
+import * as events from './events.js';
+import * as games from './games.js';
+
+// Every finished game, and the settings for how much of it is kept
+let scoreHistory = [];
+let appSettings = null;
+
+// Leaderboard configuration
+const LEADERBOARD_SIZE = 10;
+export const LEADERBOARD_TIME_WINDOWS = {
+    all: 'All time',
+    week: 'This week',
+    today: 'Today'
+};
+export const DEFAULT_LEADERBOARD_SORT_KEYS = [
+    { key: 'score', label: 'Highest score', direction: 'desc' }
+];
+
+/**
+ * Load the score history and settings through the storage layer
+ */
+export function loadScoreHistory() {
+    try {
+        scoreHistory = storage.readRecord(storage.STORAGE_KEYS.history);
+        appSettings = storage.readRecord(storage.STORAGE_KEYS.settings);
+    } catch (error) {
+        console.error('Error loading score history:', error);
+        // Keep running with an empty history; nothing stored is touched
+        scoreHistory = [];
+        appSettings = null;
+        ui.showErrorMessage('Failed to load saved data. Your progress may not be saved.');
+    }
+}
+
+/**
+ * Save the score history through the storage layer
+ */
+function saveScoreHistory() {
+    try {
+        storage.writeRecord(storage.STORAGE_KEYS.history, scoreHistory);
+    } catch (error) {
+        console.error('Error saving score history:', error);
+        ui.showErrorMessage('Failed to save data. Your progress may not be saved.');
+    }
+}
+
+/**
+ * Keep a player's score history entries in step with their new name
+ * @param {string} profileId - Id of the renamed profile
+ * @param {string} name - New name
+ */
+export function renamePlayerInHistory(profileId, name) {
+    scoreHistory.forEach(entry => {
+        if (entry.playerId === profileId) {
+            entry.player = name;
+        }
+    });
+    saveScoreHistory();
+}
+
+/**
+ * Record a finished game (win or loss) in the score history
+ * @param {string} gameName - Name of the game
+ * @param {number} score - Score achieved
+ * @param {Object} additionalData - Additional game data (e.g. outcome, attempts, moves)
+ * @param {Object} profile - Profile the game belongs to (defaults to the active profile)
+ * @returns {Object} The saved history entry
+ */
+export function saveGameScore(gameName, score, additionalData = {}, profile = user.currentUser) {
+    // The game's details come first so they can't overwrite who played, the score or the date
+    const scoreEntry = {
+        ...additionalData,
+        player: profile ? profile.name : 'Anonymous',
+        playerId: profile ? profile.id : null,
+        score: score,
+        date: new Date().toISOString(),
+        id: storage.generateId('score'),
+        game: gameName
+    };
+    
+    scoreHistory.push(scoreEntry);
+    pruneScoreHistory();
+    
+    saveScoreHistory();
+    return scoreEntry;
+}
+
+/**
+ * Save the results of a finished game, announcing each entry with score:saved
+ * @param {Object} event - game:end payload ({ game, results })
+ */
+function recordGameResults(event) {
+    event.results.forEach(result => {
+        const entry = saveGameScore(event.game, result.score, result.details, result.profile);
+        events.emit('score:saved', { game: event.game, entry: entry });
+    });
+}
+
+events.on('game:end', recordGameResults);
+
+/**
+ * Get entries from the score history, oldest first
+ * @param {Object} filter - Optional game, playerId and since (Date or ISO string) filters
+ * @returns {Array} Matching history entries
+ */
+export function getScoreHistory(filter = {}) {
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    
+    return scoreHistory.filter(entry => {
+        if (filter.game && entry.game !== filter.game) return false;
+        if (filter.playerId && entry.playerId !== filter.playerId) return false;
+        if (since !== null && Date.parse(entry.date) < since) return false;
+        return true;
+    });
+}
+
+/**
+ * Get leaderboard for a specific game, derived from the score history
+ * @param {string} gameName - Name of the game
+ * @param {Object} query - Optional timeWindow, playerId, sortKey, limit and partition
+ *   (partition: { field: value } pairs an entry must match; partitionDefaults gives
+ *   the value to assume for entries saved before the field existed)
+ * @returns {Array} Array of top scores
+ */
+export function getLeaderboard(gameName, query = {}) {
+    const entries = getScoreHistory({
+        game: gameName,
+        playerId: query.playerId,
+        since: getTimeWindowStart(query.timeWindow)
+    }).filter(entry => matchesPartition(entry, query.partition, query.partitionDefaults));
+    
+    return rankEntries(entries, query.sortKey || DEFAULT_LEADERBOARD_SORT_KEYS[0], query.limit || LEADERBOARD_SIZE);
+}
+
+/**
+ * Rank entries for a leaderboard, leaving out games without a score
+ * @param {Array} entries - History entries
+ * @param {Object} sortKey - Sort key definition
+ * @param {number} limit - Number of entries to keep
+ * @returns {Array} The top entries, best first
+ */
+function rankEntries(entries, sortKey, limit) {
+    const getValue = getLeaderboardValueGetter(sortKey);
+    const direction = sortKey.direction === 'asc' ? 1 : -1;
+    
+    return entries
+        .filter(entry => entry.score > 0 && Number.isFinite(getValue(entry)))
+        .sort((a, b) => (getValue(a) - getValue(b)) * direction || b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Check whether an entry belongs to a leaderboard partition (e.g. one difficulty level)
+ * @param {Object} entry - History entry
+ * @param {Object} partition - { field: value } pairs to match
+ * @param {Object} defaults - Values to assume for fields missing from older entries
+ * @returns {boolean} True if the entry matches every field
+ */
+function matchesPartition(entry, partition = {}, defaults = {}) {
+    return Object.keys(partition).every(field => {
+        const value = entry[field] !== undefined ? entry[field] : defaults[field];
+        return value === partition[field];
+    });
+}
+
+/**
+ * Get the function that reads a column or sort value from an entry
+ * @param {Object} definition - Column or sort key definition
+ * @returns {Function} Value getter
+ */
+export function getLeaderboardValueGetter(definition) {
+    return typeof definition.value === 'function' ? definition.value : entry => entry[definition.key];
+}
+
+/**
+ * Get the start of a leaderboard time window
+ * @param {string} timeWindow - 'all', 'week' or 'today'
+ * @returns {Date|null} Start of the window, or null for all time
+ */
+function getTimeWindowStart(timeWindow) {
+    if (timeWindow !== 'today' && timeWindow !== 'week') {
+        return null;
+    }
+    
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    if (timeWindow === 'week') {
+        // Weeks start on Monday
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    }
+    return start;
+}
+
+/**
+ * Get the current history pruning settings
+ * @returns {Object} Settings with maxEntries and maxAgeDays (null means no limit)
+ */
+export function getHistorySettings() {
+    const settings = appSettings || storage.readRecord(storage.STORAGE_KEYS.settings);
+    return { ...settings.history };
+}
+
+/**
+ * Configure how much score history is kept
+ * @param {Object} options - maxEntries and/or maxAgeDays; null removes the limit
+ */
+export function configureHistoryPruning(options = {}) {
+    const history = getHistorySettings();
+    
+    ['maxEntries', 'maxAgeDays'].forEach(key => {
+        if (options[key] === undefined) return;
+        if (options[key] !== null && !(Number.isFinite(options[key]) && options[key] > 0)) {
+            throw new Error(`${key} must be a positive number or null`);
+        }
+        history[key] = options[key];
+    });
+    
+    appSettings = { ...(appSettings || storage.readRecord(storage.STORAGE_KEYS.settings)), history };
+    storage.writeRecord(storage.STORAGE_KEYS.settings, appSettings);
+    
+    pruneScoreHistory();
+    saveScoreHistory();
+}
+
+/**
+ * Get the ids of every entry that can be shown on a leaderboard: the top entries of each
+ * partition in the history (each difficulty, board, rule set, mode and daily challenge),
+ * by each of the game's sort keys, among everyone and for each player ("only me")
+ * @returns {Set} Entry ids
+ */
+function getLeaderboardEntryIds() {
+    const partitions = new Map();
+    scoreHistory.forEach(entry => {
+        const game = games.getGame(entry.game);
+        const schema = game ? game.scoreSchema : {};
+        const defaults = schema.partitionDefaults || {};
+        const fields = schema.partitionFields || Object.keys(defaults);
+        const values = fields.map(field => (entry[field] !== undefined ? entry[field] : defaults[field]));
+        
+        new Set([null, entry.playerId]).forEach(playerId => {
+            const key = JSON.stringify([entry.game, playerId, values]);
+            if (!partitions.has(key)) {
+                partitions.set(key, { sortKeys: schema.sortKeys || DEFAULT_LEADERBOARD_SORT_KEYS, entries: [] });
+            }
+            partitions.get(key).entries.push(entry);
+        });
+    });
+    
+    const ids = new Set();
+    partitions.forEach(partition => {
+        partition.sortKeys.forEach(sortKey => {
+            rankEntries(partition.entries, sortKey, LEADERBOARD_SIZE).forEach(entry => ids.add(entry.id));
+        });
+    });
+    return ids;
+}
+
+/**
+ * Drop history entries older than maxAgeDays or beyond maxEntries.
+ * Entries on any leaderboard (see getLeaderboardEntryIds) are always kept.
+ */
+function pruneScoreHistory() {
+    const { maxEntries, maxAgeDays } = getHistorySettings();
+    if (maxEntries === null && maxAgeDays === null) {
+        return;
+    }
+    
+    const protectedIds = getLeaderboardEntryIds();
+    
+    const cutoff = maxAgeDays === null ? null : Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let kept = scoreHistory.filter(entry => {
+        return protectedIds.has(entry.id) || cutoff === null || Date.parse(entry.date) >= cutoff;
+    });
+    
+    if (maxEntries !== null && kept.length > maxEntries) {
+        // Remove the oldest unprotected entries first
+        let excess = kept.length - maxEntries;
+        kept = kept.filter(entry => {
+            if (excess > 0 && !protectedIds.has(entry.id)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    scoreHistory = kept;
+}
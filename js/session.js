@@ -0,0 +1,820 @@
+/**
+ * RevoFun Cross-Tab Sessions
+ * Lets two tabs or windows on the same machine play each other without a server:
+ * a lobby of open games, joining, commit-reveal of hidden choices, turn-taking,
+ * disconnect detection and rematches, sent over BroadcastChannel (or localStorage
+ * events where BroadcastChannel is missing)
+ */
+
+import * as storage from './storage.js';
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as ui from './ui.js';
+
+// BroadcastChannel name (and localStorage fallback key) prefix; each game gets its own channel
+const SESSION_CHANNEL_PREFIX = 'revoFunSession:';
+
+// How often connected and waiting tabs send a heartbeat, and how long a silent peer is trusted.
+// Browsers slow the timers of a tab in the background to once a second, and after a few
+// minutes to once a minute, so a peer that says it is in the background gets longer.
+export const SESSION_HEARTBEAT_INTERVAL = 1500;
+export const SESSION_TIMEOUT = 15000;
+export const SESSION_HIDDEN_TIMEOUT = 150000;
+
+// Id of this tab, so a tab can tell its own messages from its peer's
+const SESSION_TAB_ID = storage.generateId('tab');
+
+/**
+ * Open the cross-tab connection for a game. Nothing is announced until the
+ * player hosts or looks for a game.
+ * @param {string} game - Game name (only tabs on the same game see each other)
+ * @param {Object} handlers - Optional callbacks:
+ *   onConnect(session), onDisconnect(session, reason), onAction(session, action, fromPeer),
+ *   onPeerCommitted(session, round), onReveal(session, round, ownChoice, peerChoice),
+ *   onRematchRequested(session), onRematch(session), onError(session, message)
+ * @returns {Object} Session
+ */
+export function openSession(game, handlers = {}) {
+    const session = {
+        game: game,
+        handlers: handlers,
+        listeners: [],
+        transport: createSessionTransport(game),
+        id: null,
+        role: null,
+        state: 'idle',
+        self: null,
+        peer: null,
+        peerTab: null,
+        settings: null,
+        lobby: {},
+        lastSeen: 0,
+        peerHidden: false,
+        heartbeat: null,
+        turn: null,
+        games: 0,
+        commits: {},
+        rematch: { self: false, peer: false },
+        hostSaved: false,
+        pendingSave: null,
+        disconnectReason: null
+    };
+
+    session.transport.onMessage(message => {
+        try {
+            handleSessionMessage(session, message);
+        } catch (error) {
+            console.error('Error handling session message:', error);
+        }
+    });
+
+    // Tell the other tab straight away when this one closes
+    window.addEventListener('pagehide', () => leaveSession(session));
+
+    // Tell the other tab when this one goes to the background, and catch up on coming back
+    document.addEventListener('visibilitychange', () => {
+        try {
+            sendHeartbeat(session);
+            checkPeerTimeout(session);
+        } catch (error) {
+            console.error('Error sending heartbeat:', error);
+        }
+    });
+
+    return session;
+}
+
+/**
+ * Create the message transport for a game's channel
+ * @param {string} game - Game name
+ * @returns {Object} { kind, send(message), onMessage(listener), close() }
+ */
+function createSessionTransport(game) {
+    const channelName = `${SESSION_CHANNEL_PREFIX}${game}`;
+    const listeners = [];
+    const deliver = message => {
+        if (message && message.tab !== SESSION_TAB_ID) {
+            listeners.forEach(listener => listener(message));
+        }
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+        const channel = new BroadcastChannel(channelName);
+        channel.addEventListener('message', event => deliver(event.data));
+        return {
+            kind: 'broadcast',
+            send: message => channel.postMessage(message),
+            onMessage: listener => listeners.push(listener),
+            close: () => channel.close()
+        };
+    }
+
+    // Other tabs get a storage event for every write; the nonce makes repeated messages distinct
+    const onStorage = event => {
+        if (event.key !== channelName || !event.newValue) return;
+        try {
+            deliver(JSON.parse(event.newValue).message);
+        } catch (error) {
+            console.error('Error reading session message:', error);
+        }
+    };
+    window.addEventListener('storage', onStorage);
+
+    return {
+        kind: 'storage',
+        send: message => {
+            localStorage.setItem(channelName, JSON.stringify({ message, nonce: storage.generateId('msg') }));
+            localStorage.removeItem(channelName);
+        },
+        onMessage: listener => listeners.push(listener),
+        close: () => window.removeEventListener('storage', onStorage)
+    };
+}
+
+/**
+ * Open a game in the lobby and wait for another tab to join
+ * @param {Object} session - Session
+ * @param {Object} profile - Profile hosting the game
+ * @param {Object} settings - Game settings the guest plays with (rules, board size, ...)
+ */
+export function hostSession(session, profile, settings) {
+    leaveSession(session);
+
+    session.id = storage.generateId('session');
+    session.role = 'host';
+    session.self = { id: profile.id, name: profile.name };
+    session.settings = settings;
+    setSessionState(session, 'waiting');
+
+    announceSession(session);
+    startHeartbeat(session);
+}
+
+/**
+ * Ask hosting tabs to announce their open games
+ * @param {Object} session - Session
+ */
+export function findSessions(session) {
+    pruneLobby(session);
+    sendSessionMessage(session, 'discover');
+    notifySessionListeners(session);
+}
+
+/**
+ * Get the open games other tabs have announced
+ * @param {Object} session - Session
+ * @returns {Array} Lobby entries: { id, host, settings }
+ */
+export function getLobby(session) {
+    pruneLobby(session);
+    return Object.values(session.lobby);
+}
+
+/**
+ * Join an open game from the lobby
+ * @param {Object} session - Session
+ * @param {string} sessionId - Id of the game to join
+ * @param {Object} profile - Profile joining the game
+ */
+export function joinSession(session, sessionId, profile) {
+    const entry = session.lobby[sessionId];
+    if (!entry) {
+        throw new Error('That game is no longer open');
+    }
+
+    leaveSession(session);
+
+    session.id = sessionId;
+    session.role = 'guest';
+    session.self = { id: profile.id, name: profile.name };
+    session.settings = entry.settings;
+    setSessionState(session, 'joining');
+
+    sendSessionMessage(session, 'join', { player: session.self });
+}
+
+/**
+ * Leave the current game (or stop hosting one), telling the other tab
+ * @param {Object} session - Session
+ */
+export function leaveSession(session) {
+    if (session.state === 'idle') return;
+
+    if (session.state !== 'disconnected') {
+        sendSessionMessage(session, 'leave');
+    }
+
+    stopHeartbeat(session);
+    session.id = null;
+    session.role = null;
+    session.peer = null;
+    session.peerTab = null;
+    session.disconnectReason = null;
+    resetSessionGame(session);
+    session.games = 0;
+    setSessionState(session, 'idle');
+}
+
+/**
+ * Check whether two tabs are connected
+ * @param {Object} session - Session (may be null)
+ * @returns {boolean} True while a game with another tab is on
+ */
+export function isSessionConnected(session) {
+    return Boolean(session) && session.state === 'connected';
+}
+
+/**
+ * Check whether it's this tab's turn in a turn-based game
+ * @param {Object} session - Session
+ * @returns {boolean} True if this tab may act
+ */
+export function isMyTurn(session) {
+    return isSessionConnected(session) && session.turn === session.role;
+}
+
+/**
+ * Send a game action to the other tab
+ * @param {Object} session - Session
+ * @param {Object} action - Game-defined action (e.g. { type: 'flip', index: 3 })
+ * @param {boolean} turnBased - True if only the player whose turn it is may send it
+ */
+export function sendSessionAction(session, action, turnBased = false) {
+    if (!isSessionConnected(session)) {
+        throw new Error('Not connected to another tab');
+    }
+    if (turnBased && !isMyTurn(session)) {
+        throw new Error('It is not your turn');
+    }
+    sendSessionMessage(session, 'action', { action, turnBased });
+}
+
+/**
+ * Hand the turn to the other tab
+ * @param {Object} session - Session
+ */
+export function passTurn(session) {
+    if (!isMyTurn(session)) return;
+    session.turn = getPeerRole(session);
+    sendSessionMessage(session, 'turn', { turn: session.turn });
+    notifySessionListeners(session);
+}
+
+/**
+ * Lock in a hidden choice for a round. Only a SHA-256 hash of the choice and a
+ * random nonce is sent at first; each side reveals its choice once it has the
+ * other's hash, and reveals that don't match their hash are rejected.
+ * @param {Object} session - Session
+ * @param {string} round - Round id (the same on both sides)
+ * @param {string} choice - Chosen move
+ * @param {Array<string>} moves - Moves allowed this round; the peer's reveal must be one of them
+ * @returns {Promise} Resolves once the commitment has been sent
+ */
+export async function commitChoice(session, round, choice, moves) {
+    if (!isSessionConnected(session)) {
+        throw new Error('Not connected to another tab');
+    }
+
+    const commit = getRoundCommit(session, round);
+    if (commit.own) {
+        throw new Error('You already chose a move this round');
+    }
+
+    const nonce = createNonce();
+    commit.own = { choice, nonce, hash: await hashCommitment(round, choice, nonce), moves };
+    sendSessionMessage(session, 'commit', { round, hash: commit.own.hash });
+    revealIfReady(session, round);
+}
+
+/**
+ * Ask for a rematch; it starts once both tabs have asked
+ * @param {Object} session - Session
+ */
+export function requestRematch(session) {
+    if (!isSessionConnected(session) || session.rematch.self) return;
+    session.rematch.self = true;
+    sendSessionMessage(session, 'rematch');
+    startRematchIfAgreed(session);
+    notifySessionListeners(session);
+}
+
+/**
+ * Save a finished game's result without the two tabs overwriting each other.
+ * Tabs share storage but each writes whole records, so the host saves first
+ * and the guest waits for it; each reloads the other's changes before saving.
+ * @param {Object} session - Session
+ * @param {Function} save - Saves this tab's result
+ */
+export function saveSessionResult(session, save) {
+    if (session.role === 'host') {
+        user.refreshUserData();
+        save();
+        session.hostSaved = true;
+        sendSessionMessage(session, 'saved');
+        return;
+    }
+
+    session.pendingSave = save;
+    if (session.hostSaved || session.state === 'disconnected') {
+        runPendingSave(session);
+    }
+}
+
+/**
+ * Get the role of the other tab
+ * @param {Object} session - Session
+ * @returns {string} 'host' or 'guest'
+ */
+export function getPeerRole(session) {
+    return session.role === 'host' ? 'guest' : 'host';
+}
+
+/**
+ * Subscribe to session changes (state, lobby, turn, rematch requests)
+ * @param {Object} session - Session
+ * @param {Function} listener - Called with the session after every change
+ */
+export function onSessionChange(session, listener) {
+    session.listeners.push(listener);
+}
+
+/**
+ * Render the cross-tab lobby: host, find and join games, and the connection status
+ * @param {HTMLElement} container - Container to render into
+ * @param {Object} session - Session
+ * @param {Object} options - getSettings() for hosting, describeSettings(settings) for lobby entries
+ */
+export function createSessionPanel(container, session, options = {}) {
+    const describe = options.describeSettings || (() => '');
+    const peerName = session.peer ? utils.escapeHTML(session.peer.name) : '';
+    let body = '';
+
+    switch (session.state) {
+        case 'waiting':
+            body = `
+                <p class="session-status">Waiting for someone to join from another tab...</p>
+                <button type="button" class="btn btn-secondary" data-session-action="leave">Stop Hosting</button>
+            `;
+            break;
+        case 'joining':
+            body = '<p class="session-status">Joining...</p>';
+            break;
+        case 'connected':
+            body = `
+                <p class="session-status">Playing against <strong>${peerName}</strong> in another tab.</p>
+                ${session.rematch.peer && !session.rematch.self ? `<p class="session-status">${peerName} wants a rematch!</p>` : ''}
+                <button type="button" class="btn btn-secondary" data-session-action="leave">Leave Game</button>
+            `;
+            break;
+        default: {
+            const lobby = getLobby(session);
+            const notice = session.state === 'disconnected' ? `<p class="session-status">${utils.escapeHTML(describeDisconnect(session))}</p>` : '';
+            body = `
+                ${notice}
+                <div class="session-actions">
+                    <button type="button" class="btn btn-success" data-session-action="host">Host a Game</button>
+                    <button type="button" class="btn btn-secondary" data-session-action="find">Find Games</button>
+                </div>
+                ${lobby.length === 0 ? '<p class="session-status">No open games yet. Host one here, or open this page in another tab and host it there.</p>' : `
+                    <ul class="session-lobby">
+                        ${lobby.map(entry => `
+                            <li>
+                                <span>${utils.escapeHTML(entry.host.name)}'s game${describe(entry.settings) ? ` - ${utils.escapeHTML(describe(entry.settings))}` : ''}</span>
+                                <button type="button" class="btn btn-success" data-session-action="join" data-session-id="${utils.escapeHTML(entry.id)}">Join</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            `;
+        }
+    }
+
+    container.innerHTML = `<div class="session-panel"><h3>🔗 Play in Another Tab</h3>${body}</div>`;
+
+    container.querySelectorAll('[data-session-action]').forEach(button => {
+        button.addEventListener('click', function() {
+            try {
+                const action = this.dataset.sessionAction;
+                if ((action === 'host' || action === 'join') && !user.currentUser) {
+                    ui.showMessage('Choose who is playing first', 'error');
+                    return;
+                }
+
+                if (action === 'host') {
+                    hostSession(session, user.currentUser, options.getSettings ? options.getSettings() : {});
+                } else if (action === 'find') {
+                    findSessions(session);
+                } else if (action === 'join') {
+                    joinSession(session, this.dataset.sessionId, user.currentUser);
+                } else if (action === 'leave') {
+                    leaveSession(session);
+                }
+            } catch (error) {
+                console.error('Error in session panel:', error);
+                ui.showErrorMessage(error.message || 'Failed to reach the other tab. Please try again.');
+            }
+        });
+    });
+}
+
+/**
+ * Describe why the last game with another tab ended
+ * @param {Object} session - Session
+ * @returns {string} Message
+ */
+export function describeDisconnect(session) {
+    const name = session.peer ? session.peer.name : 'The other player';
+    if (session.disconnectReason === 'timeout') {
+        return `Lost contact with ${name}. Their tab may have been closed or put to sleep.`;
+    }
+    if (session.disconnectReason === 'rejected') {
+        return 'That game could not be joined. It may already have two players, or you are signed in as the same player in both tabs.';
+    }
+    return `${name} left the game.`;
+}
+
+/**
+ * Handle a message from another tab
+ * @param {Object} session - Session
+ * @param {Object} message - { tab, game, sessionId, type, payload }
+ */
+function handleSessionMessage(session, message) {
+    const { type, payload = {} } = message;
+
+    // Lobby traffic isn't tied to this tab's game
+    if (type === 'discover') {
+        if (session.state === 'waiting') announceSession(session);
+        return;
+    }
+    if (type === 'announce') {
+        session.lobby[message.sessionId] = { id: message.sessionId, host: payload.host, settings: payload.settings, hidden: Boolean(payload.hidden), seen: Date.now() };
+        if (session.state !== 'waiting' && session.state !== 'connected') {
+            notifySessionListeners(session);
+        }
+        return;
+    }
+    if ((type === 'closed' || type === 'leave') && session.lobby[message.sessionId]) {
+        delete session.lobby[message.sessionId];
+        notifySessionListeners(session);
+    }
+    if (type === 'closed') return;
+
+    if (!session.id || message.sessionId !== session.id) return;
+
+    // A host takes the first tab that joins; any later ones are turned away
+    if (type === 'join') {
+        if (session.state === 'waiting' && payload.player && payload.player.id !== session.self.id) {
+            // Accept before connecting, so the guest is connected before any game messages arrive
+            sendSessionMessage(session, 'accept', { player: session.self, settings: session.settings, to: message.tab });
+            sendSessionMessage(session, 'closed');
+            connectSession(session, payload.player, message.tab);
+        } else {
+            sendSessionMessage(session, 'reject', { to: message.tab });
+        }
+        return;
+    }
+
+    if (payload.to && payload.to !== SESSION_TAB_ID) return;
+
+    if (type === 'accept' && session.state === 'joining') {
+        session.settings = payload.settings;
+        connectSession(session, payload.player, message.tab);
+        return;
+    }
+    if (type === 'reject' && session.state === 'joining') {
+        disconnectSession(session, 'rejected');
+        return;
+    }
+
+    // Everything else comes from the connected peer only
+    if (session.state !== 'connected' || message.tab !== session.peerTab) return;
+    session.lastSeen = Date.now();
+
+    switch (type) {
+        case 'leave':
+            disconnectSession(session, 'left');
+            break;
+        case 'action':
+            // Turn-based actions from a peer whose turn it isn't are ignored
+            if (payload.turnBased && session.turn !== getPeerRole(session)) return;
+            callSessionHandler(session, 'onAction', payload.action, true);
+            break;
+        case 'heartbeat':
+            session.peerHidden = Boolean(payload.hidden);
+            break;
+        case 'turn':
+            session.turn = payload.turn;
+            notifySessionListeners(session);
+            break;
+        case 'commit':
+            handlePeerCommit(session, payload.round, payload.hash);
+            break;
+        case 'reveal':
+            handlePeerReveal(session, payload.round, payload.choice, payload.nonce).catch(error => {
+                console.error('Error checking revealed move:', error);
+                callSessionHandler(session, 'onError', error.message);
+                leaveSession(session);
+            });
+            break;
+        case 'rematch':
+            session.rematch.peer = true;
+            callSessionHandler(session, 'onRematchRequested');
+            startRematchIfAgreed(session);
+            notifySessionListeners(session);
+            break;
+        case 'saved':
+            session.hostSaved = true;
+            runPendingSave(session);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Mark two tabs as connected and start watching the peer
+ * @param {Object} session - Session
+ * @param {Object} peer - Peer player { id, name }
+ * @param {string} peerTab - Peer tab id
+ */
+function connectSession(session, peer, peerTab) {
+    session.peer = peer;
+    session.peerTab = peerTab;
+    session.lastSeen = Date.now();
+    session.peerHidden = false;
+    session.disconnectReason = null;
+    session.games = 0;
+    resetSessionGame(session);
+    setSessionState(session, 'connected');
+    startHeartbeat(session);
+    callSessionHandler(session, 'onConnect');
+}
+
+/**
+ * End the connection after the peer left, went silent or turned this tab away
+ * @param {Object} session - Session
+ * @param {string} reason - 'left', 'timeout' or 'rejected'
+ */
+function disconnectSession(session, reason) {
+    const wasConnected = session.state === 'connected';
+
+    stopHeartbeat(session);
+    session.disconnectReason = reason;
+    setSessionState(session, 'disconnected');
+
+    // A guest waiting on the host's save goes ahead on its own
+    runPendingSave(session);
+
+    if (wasConnected) {
+        callSessionHandler(session, 'onDisconnect', reason);
+    }
+}
+
+/**
+ * Clear per-game state: turns, commitments and rematch requests
+ * @param {Object} session - Session
+ */
+function resetSessionGame(session) {
+    // The host starts the first game and players take turns starting after that
+    session.turn = session.games % 2 === 0 ? 'host' : 'guest';
+    session.commits = {};
+    session.rematch = { self: false, peer: false };
+    session.hostSaved = false;
+    session.pendingSave = null;
+}
+
+/**
+ * Start a rematch once both tabs have asked for one
+ * @param {Object} session - Session
+ */
+function startRematchIfAgreed(session) {
+    if (!session.rematch.self || !session.rematch.peer) return;
+    session.games++;
+    resetSessionGame(session);
+    callSessionHandler(session, 'onRematch');
+}
+
+/**
+ * Get (or create) the commitments for a round
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ * @returns {Object} { own, peerHash, revealed }
+ */
+function getRoundCommit(session, round) {
+    session.commits[round] = session.commits[round] || { own: null, peerHash: null, revealed: false };
+    return session.commits[round];
+}
+
+/**
+ * Record the peer's commitment for a round
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ * @param {string} hash - Commitment hash
+ */
+function handlePeerCommit(session, round, hash) {
+    const commit = getRoundCommit(session, round);
+    if (commit.peerHash) return; // A commitment can't be changed
+
+    commit.peerHash = hash;
+    callSessionHandler(session, 'onPeerCommitted', round);
+    revealIfReady(session, round);
+}
+
+/**
+ * Reveal this tab's choice once both sides are committed
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ */
+function revealIfReady(session, round) {
+    const commit = getRoundCommit(session, round);
+    if (!commit.own || !commit.peerHash || commit.revealed) return;
+
+    commit.revealed = true;
+    sendSessionMessage(session, 'reveal', { round, choice: commit.own.choice, nonce: commit.own.nonce });
+}
+
+/**
+ * Check the peer's revealed choice against their commitment
+ * @param {Object} session - Session
+ * @param {string} round - Round id
+ * @param {string} choice - Revealed choice
+ * @param {string} nonce - Revealed nonce
+ */
+async function handlePeerReveal(session, round, choice, nonce) {
+    const commit = getRoundCommit(session, round);
+    if (!commit.own || !commit.peerHash) return;
+
+    const hash = await hashCommitment(round, choice, nonce);
+    if (hash !== commit.peerHash) {
+        callSessionHandler(session, 'onError', 'The other tab\'s move did not match the move it locked in.');
+        leaveSession(session);
+        return;
+    }
+    if (!commit.own.moves.includes(choice)) {
+        callSessionHandler(session, 'onError', 'The other tab played a move that isn\'t in this game.');
+        leaveSession(session);
+        return;
+    }
+
+    callSessionHandler(session, 'onReveal', round, commit.own.choice, choice);
+}
+
+/**
+ * Hash a choice commitment
+ * @param {string} round - Round id
+ * @param {string} choice - Chosen move
+ * @param {string} nonce - Random nonce
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export async function hashCommitment(round, choice, nonce) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('This browser can\'t lock in moves securely. Try opening the page over https or localhost.');
+    }
+    const data = new TextEncoder().encode(`${round}:${choice}:${nonce}`);
+    const digest = await window.crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a random nonce for a commitment
+ * @returns {string} 32 hex characters
+ */
+function createNonce() {
+    const bytes = new Uint8Array(16);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Tell other tabs about this tab's open game
+ * @param {Object} session - Session
+ */
+function announceSession(session) {
+    sendSessionMessage(session, 'announce', { host: session.self, settings: session.settings, hidden: document.hidden });
+}
+
+/**
+ * Drop lobby entries whose host has gone quiet
+ * @param {Object} session - Session
+ */
+function pruneLobby(session) {
+    Object.keys(session.lobby).forEach(id => {
+        if (Date.now() - session.lobby[id].seen > getSilenceTimeout(session.lobby[id].hidden)) {
+            delete session.lobby[id];
+        }
+    });
+}
+
+/**
+ * Send heartbeats while hosting or connected, and notice when the peer goes quiet
+ * @param {Object} session - Session
+ */
+function startHeartbeat(session) {
+    stopHeartbeat(session);
+    session.heartbeat = setInterval(() => {
+        try {
+            sendHeartbeat(session);
+            checkPeerTimeout(session);
+        } catch (error) {
+            console.error('Error sending heartbeat:', error);
+        }
+    }, SESSION_HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Tell other tabs this one is still here, and whether it is in the background
+ * @param {Object} session - Session
+ */
+function sendHeartbeat(session) {
+    if (session.state === 'waiting') {
+        announceSession(session);
+    } else if (session.state === 'connected') {
+        sendSessionMessage(session, 'heartbeat', { hidden: document.hidden });
+    }
+}
+
+/**
+ * Disconnect from a peer that has gone quiet for too long. A tab in the background
+ * doesn't check, as its own timers (and so its view of the peer) may be running late.
+ * @param {Object} session - Session
+ */
+function checkPeerTimeout(session) {
+    if (session.state !== 'connected' || document.hidden) return;
+
+    if (Date.now() - session.lastSeen > getSilenceTimeout(session.peerHidden)) {
+        disconnectSession(session, 'timeout');
+    }
+}
+
+/**
+ * How long a tab can go quiet before it counts as gone
+ * @param {boolean} hidden - True if the tab last said it was in the background
+ * @returns {number} Milliseconds
+ */
+function getSilenceTimeout(hidden) {
+    return hidden ? SESSION_HIDDEN_TIMEOUT : SESSION_TIMEOUT;
+}
+
+/**
+ * Stop sending heartbeats
+ * @param {Object} session - Session
+ */
+function stopHeartbeat(session) {
+    if (session.heartbeat) {
+        clearInterval(session.heartbeat);
+        session.heartbeat = null;
+    }
+}
+
+/**
+ * Run the guest's save once the host has saved (or gone)
+ * @param {Object} session - Session
+ */
+function runPendingSave(session) {
+    const save = session.pendingSave;
+    if (!save) return;
+
+    session.pendingSave = null;
+    user.refreshUserData();
+    save();
+}
+
+/**
+ * Change the session state and tell listeners
+ * @param {Object} session - Session
+ * @param {string} state - 'idle', 'waiting', 'joining', 'connected' or 'disconnected'
+ */
+function setSessionState(session, state) {
+    session.state = state;
+    notifySessionListeners(session);
+}
+
+/**
+ * Call every change listener
+ * @param {Object} session - Session
+ */
+function notifySessionListeners(session) {
+    session.listeners.forEach(listener => listener(session));
+}
+
+/**
+ * Call one of the game's session handlers, if it has one
+ * @param {Object} session - Session
+ * @param {string} name - Handler name
+ * @param {...*} args - Extra arguments after the session
+ */
+function callSessionHandler(session, name, ...args) {
+    if (typeof session.handlers[name] === 'function') {
+        session.handlers[name](session, ...args);
+    }
+}
+
+/**
+ * Send a message to the other tabs on the game's channel
+ * @param {Object} session - Session
+ * @param {string} type - Message type
+ * @param {Object} payload - Message data
+ */
+function sendSessionMessage(session, type, payload = {}) {
+    session.transport.send({ tab: SESSION_TAB_ID, game: session.game, sessionId: session.id, type, payload });
+}
@@ -0,0 +1,304 @@
+/**
+ * Player Statistics Dashboard - JavaScript Implementation
+ * Per-profile, per-game statistics and score charts computed from the score history
+ */
+
+import * as utils from './utils.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as games from './games.js';
+import * as router from './router.js';
+
+// Chart dimensions (SVG user units)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 36;
+
+// DOM elements
+let profileSelect, statsContainer;
+
+router.registerPage('stats.html', {
+    init: initializeDashboard,
+    enter: showDashboard,
+    errorMessage: 'Failed to load your statistics. Please refresh the page.'
+});
+
+/**
+ * Initialize the dashboard the first time it is shown
+ */
+function initializeDashboard() {
+    initializeElements();
+    profileSelect.addEventListener('change', renderStats);
+
+    // Re-render once an asynchronous storage backend has loaded
+    document.addEventListener('revofun:storageready', showDashboard);
+}
+
+/**
+ * Show the dashboard with the latest profiles and scores
+ */
+function showDashboard() {
+    ui.fillProfileSelect(profileSelect);
+    renderStats();
+}
+
+/**
+ * Initialize DOM elements
+ */
+function initializeElements() {
+    profileSelect = document.getElementById('statsProfileSelect');
+    statsContainer = document.getElementById('statsContainer');
+
+    if (!profileSelect || !statsContainer) {
+        throw new Error('Missing required DOM elements for the statistics dashboard');
+    }
+}
+
+/**
+ * Render statistics for the selected profile
+ */
+function renderStats() {
+    const profileId = profileSelect.value;
+    statsContainer.innerHTML = '';
+
+    if (!profileId) {
+        statsContainer.innerHTML = '<p class="stats-empty">No players yet. Play a game to create your profile!</p>';
+        return;
+    }
+
+    games.getGames().forEach(game => {
+        const entries = scores.getScoreHistory({ game: game.id, playerId: profileId });
+        statsContainer.appendChild(createGameStatsSection(game, entries));
+    });
+}
+
+/**
+ * Create the statistics section for one game
+ * @param {Object} game - Game from the registry (see games.js)
+ * @param {Array} entries - The player's history entries for the game, oldest first
+ * @returns {HTMLElement} Section element
+ */
+function createGameStatsSection(game, entries) {
+    const section = document.createElement('section');
+    section.className = 'stats-game';
+
+    const title = document.createElement('h2');
+    title.textContent = `${game.icon} ${game.title}`;
+    section.appendChild(title);
+
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'stats-empty';
+        empty.textContent = 'No games played yet.';
+        section.appendChild(empty);
+        return section;
+    }
+
+    const stats = computeGameStats(entries);
+    section.appendChild(createStatRow([
+        ['Played', utils.formatNumber(stats.played)],
+        ['Win Rate', formatPercent(stats.winRate)],
+        ['Avg Score', utils.formatNumber(Math.round(stats.averageScore))],
+        ['Best Score', utils.formatNumber(stats.bestScore)],
+        ['Current Streak', stats.currentStreak],
+        ['Best Streak', stats.bestStreak]
+    ]));
+
+    const extraStats = getGameSpecificStats(game.id, entries);
+    if (extraStats.length > 0) {
+        section.appendChild(createStatRow(extraStats));
+    }
+
+    const chart = document.createElement('div');
+    chart.className = 'stats-chart';
+    chart.innerHTML = createScoreChart(entries);
+    section.appendChild(chart);
+
+    return section;
+}
+
+/**
+ * Compute statistics shared by every game
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Object} Played, winRate, averageScore, bestScore, currentStreak and bestStreak
+ */
+function computeGameStats(entries) {
+    const played = entries.length;
+    const wins = entries.filter(entry => entry.outcome === 'win').length;
+    const totalScore = entries.reduce((sum, entry) => sum + entry.score, 0);
+    const streaks = computeWinStreaks(entries);
+
+    return {
+        played: played,
+        wins: wins,
+        winRate: played > 0 ? wins / played : 0,
+        averageScore: played > 0 ? totalScore / played : 0,
+        bestScore: played > 0 ? Math.max(...entries.map(entry => entry.score)) : 0,
+        currentStreak: streaks.current,
+        bestStreak: streaks.best
+    };
+}
+
+/**
+ * Compute the current and best run of consecutive wins
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Object} Current and best streak lengths
+ */
+function computeWinStreaks(entries) {
+    let current = 0;
+    let best = 0;
+
+    entries.forEach(entry => {
+        current = entry.outcome === 'win' ? current + 1 : 0;
+        best = Math.max(best, current);
+    });
+
+    return { current, best };
+}
+
+/**
+ * Compute the statistics that only make sense for a particular game
+ * @param {string} gameId - Game id
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Array} [label, value] pairs
+ */
+function getGameSpecificStats(gameId, entries) {
+    switch (gameId) {
+        case 'numberGuessing': {
+            const attempts = entries.filter(entry => Number.isFinite(entry.attempts)).map(entry => entry.attempts);
+            return attempts.length > 0 ? [['Avg Attempts', average(attempts).toFixed(1)]] : [];
+        }
+        case 'rockPaperScissors': {
+            const distribution = computeChoiceDistribution(entries);
+            const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+            if (total === 0) return [];
+            return Object.keys(distribution).map(choice => [
+                `${capitalize(choice)} Picks`,
+                formatPercent(distribution[choice] / total)
+            ]);
+        }
+        case 'memoryGame': {
+            const moves = entries.filter(entry => Number.isFinite(entry.moves)).map(entry => entry.moves);
+            const times = entries.filter(entry => Number.isFinite(entry.time)).map(entry => entry.time);
+            const stats = [];
+            if (moves.length > 0) stats.push(['Avg Moves', average(moves).toFixed(1)]);
+            if (times.length > 0) stats.push(['Avg Time', `${Math.round(average(times))}s`]);
+            return stats;
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Count how often each move was picked across RPS games
+ * @param {Array} entries - RPS history entries
+ * @returns {Object} Map of choice to count
+ */
+function computeChoiceDistribution(entries) {
+    const distribution = {};
+
+    entries.forEach(entry => {
+        if (!Array.isArray(entry.choices)) return;
+        entry.choices.forEach(choice => {
+            distribution[choice] = (distribution[choice] || 0) + 1;
+        });
+    });
+
+    return distribution;
+}
+
+/**
+ * Create a row of stat items
+ * @param {Array} stats - [label, value] pairs
+ * @returns {HTMLElement} Stat row element
+ */
+function createStatRow(stats) {
+    const row = document.createElement('div');
+    row.className = 'game-stats stats-row';
+
+    stats.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'stat-item';
+
+        const labelEl = document.createElement('div');
+        labelEl.className = 'label';
+        labelEl.textContent = label;
+
+        const valueEl = document.createElement('div');
+        valueEl.className = 'value';
+        valueEl.textContent = value;
+
+        item.appendChild(labelEl);
+        item.appendChild(valueEl);
+        row.appendChild(item);
+    });
+
+    return row;
+}
+
+/**
+ * Build an SVG line chart of score over time
+ * @param {Array} entries - History entries, oldest first
+ * @returns {string} SVG markup
+ */
+function createScoreChart(entries) {
+    if (entries.length < 2) {
+        return '<p class="stats-empty">Play a few more games to see your progress chart.</p>';
+    }
+
+    const maxScore = Math.max(1, ...entries.map(entry => entry.score));
+    const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+    const points = entries.map((entry, index) => ({
+        x: CHART_PADDING + (index / (entries.length - 1)) * plotWidth,
+        y: CHART_PADDING + plotHeight - (entry.score / maxScore) * plotHeight,
+        entry: entry
+    }));
+
+    const polyline = points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+    const bottom = CHART_PADDING + plotHeight;
+
+    return `
+        <svg class="score-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Score over time">
+            <line class="chart-axis" x1="${CHART_PADDING}" y1="${CHART_PADDING}" x2="${CHART_PADDING}" y2="${bottom}" />
+            <line class="chart-axis" x1="${CHART_PADDING}" y1="${bottom}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${bottom}" />
+            <text class="chart-label" x="${CHART_PADDING - 6}" y="${CHART_PADDING + 4}" text-anchor="end">${utils.formatNumber(maxScore)}</text>
+            <text class="chart-label" x="${CHART_PADDING - 6}" y="${bottom + 4}" text-anchor="end">0</text>
+            <text class="chart-label" x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT - 8}" text-anchor="middle">Games played →</text>
+            <polyline class="chart-line" points="${polyline}" />
+            ${points.map(point => `
+                <circle class="chart-point ${point.entry.outcome === 'win' ? 'win' : 'loss'}" cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="4">
+                    <title>${new Date(point.entry.date).toLocaleDateString()}: ${utils.formatNumber(point.entry.score)}</title>
+                </circle>
+            `).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Average of a list of numbers
+ * @param {Array} values - Numbers to average
+ * @returns {number} Average, or 0 for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Format a 0-1 ratio as a whole percentage
+ * @param {number} ratio - Ratio to format
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} word - Word to capitalize
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
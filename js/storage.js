@@ -0,0 +1,836 @@
+/**
+ * RevoFun Gaming Company - Storage Layer
+ * Versioned persistence with schema migrations, per-record validation,
+ * quarantine of corrupt data and pluggable backends (localStorage, IndexedDB, in-memory)
+ */
+
+// Storage keys used by the application
+export const STORAGE_KEYS = {
+    meta: 'revoFunMeta',
+    profiles: 'revoFunProfiles',
+    history: 'revoFunHistory',
+    settings: 'revoFunSettings',
+    achievements: 'revoFunAchievements',
+    rpsModels: 'revoFunRpsModels',
+    rpsRuleSets: 'revoFunRpsRuleSets',
+    dailyAttempts: 'revoFunDailyAttempts',
+    savedGames: 'revoFunSavedGames',
+    scores: 'revoFunScores',
+    legacyUser: 'revoFunUser'
+};
+
+// Records kept per profile, keyed by profile id (custom-rules RPS models by "profileId:ruleSetId")
+const PROFILE_RECORD_KEYS = [
+    STORAGE_KEYS.achievements,
+    STORAGE_KEYS.rpsModels,
+    STORAGE_KEYS.dailyAttempts,
+    STORAGE_KEYS.savedGames
+];
+
+// Prefix for backed-up and quarantined records
+const BACKUP_KEY_PREFIX = 'revoFunBackup:';
+const MAX_BACKUP_RECORDS = 20;
+
+// Defaults for profile fields that older data may not have
+const DEFAULT_PROFILE_AVATAR = '😀';
+const DEFAULT_PROFILE_COLOR = '#00d4ff';
+
+// Active backend and quarantine listeners
+let storageBackend = null;
+const quarantineListeners = [];
+
+/**
+ * Ordered list of schema migrations. Each migration upgrades the stored data
+ * from the previous version to its own version and must be safe to re-run.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move the single revoFunUser record into the profile list',
+        migrate(store) {
+            const rawUser = store.readRaw(STORAGE_KEYS.legacyUser);
+            if (!rawUser) return;
+
+            // Builds that introduced profiles migrated without removing the old key
+            if (store.readRaw(STORAGE_KEYS.profiles)) {
+                store.backup(STORAGE_KEYS.legacyUser, rawUser, 'Superseded by profiles');
+                store.remove(STORAGE_KEYS.legacyUser);
+                return;
+            }
+
+            const legacyUser = parseJSON(rawUser);
+            if (!legacyUser || typeof legacyUser !== 'object' || !legacyUser.name) {
+                store.quarantine(STORAGE_KEYS.legacyUser, rawUser, 'Unreadable legacy user record');
+                store.remove(STORAGE_KEYS.legacyUser);
+                return;
+            }
+
+            const profile = validateProfileRecord({
+                id: generateId('profile'),
+                name: legacyUser.name,
+                joinDate: legacyUser.joinDate,
+                totalGamesPlayed: legacyUser.totalGamesPlayed
+            });
+
+            // Attribute the legacy user's existing scores to the new profile
+            const scores = store.read(STORAGE_KEYS.scores);
+            Object.values(scores).forEach(entries => {
+                entries.forEach(entry => {
+                    if (entry.player === profile.name && !entry.playerId) {
+                        entry.playerId = profile.id;
+                    }
+                });
+            });
+
+            store.write(STORAGE_KEYS.scores, scores);
+            store.write(STORAGE_KEYS.profiles, { activeProfileId: profile.id, profiles: [profile] });
+            store.backup(STORAGE_KEYS.legacyUser, rawUser, 'Migrated into profiles');
+            store.remove(STORAGE_KEYS.legacyUser);
+        }
+    },
+    {
+        version: 2,
+        description: 'Turn the per-game top-10 score lists into one score history',
+        migrate(store) {
+            const rawScores = store.readRaw(STORAGE_KEYS.scores);
+            if (!rawScores) return;
+
+            const history = store.read(STORAGE_KEYS.history);
+            const scores = store.read(STORAGE_KEYS.scores);
+            Object.keys(scores).forEach(gameName => {
+                scores[gameName].forEach(entry => {
+                    // Only wins were ever saved, except for RPS which recorded the winner
+                    const outcome = entry.winner && entry.winner !== 'player' ? 'loss' : 'win';
+                    history.push({
+                        ...entry,
+                        id: entry.id || generateId('score'),
+                        game: gameName,
+                        playerId: entry.playerId || null,
+                        outcome: entry.outcome || outcome
+                    });
+                });
+            });
+
+            history.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+            store.write(STORAGE_KEYS.history, history);
+            store.backup(STORAGE_KEYS.scores, rawScores, 'Migrated into score history');
+            store.remove(STORAGE_KEYS.scores);
+        }
+    }
+];
+
+// Current schema version is the version of the last migration
+export const STORAGE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Record schemas: a fallback value for missing or corrupt data and a validator.
+ * Validators return the cleaned value, or null if the record as a whole is unusable.
+ * Individual bad items are passed to reject() and dropped.
+ */
+const RECORD_SCHEMAS = {
+    [STORAGE_KEYS.meta]: {
+        fallback: () => ({ schemaVersion: 0 }),
+        validate(value) {
+            if (!isPlainObject(value) || !Number.isInteger(value.schemaVersion) || value.schemaVersion < 0) {
+                return null;
+            }
+            return value;
+        }
+    },
+    [STORAGE_KEYS.profiles]: {
+        fallback: () => ({ activeProfileId: null, profiles: [] }),
+        validate(value, reject) {
+            if (!isPlainObject(value) || !Array.isArray(value.profiles)) {
+                return null;
+            }
+
+            const profiles = [];
+            value.profiles.forEach(item => {
+                const profile = validateProfileRecord(item);
+                if (profile) {
+                    profiles.push(profile);
+                } else {
+                    reject(item, 'Invalid profile');
+                }
+            });
+
+            const activeProfileId = profiles.some(profile => profile.id === value.activeProfileId)
+                ? value.activeProfileId
+                : null;
+
+            return { activeProfileId, profiles };
+        }
+    },
+    [STORAGE_KEYS.history]: {
+        fallback: () => [],
+        validate(value, reject) {
+            if (!Array.isArray(value)) {
+                return null;
+            }
+
+            return value.filter(entry => {
+                const valid = isValidScoreRecord(entry) && typeof entry.id === 'string' && typeof entry.game === 'string';
+                if (!valid) {
+                    reject(entry, 'Invalid history entry');
+                }
+                return valid;
+            });
+        }
+    },
+    [STORAGE_KEYS.settings]: {
+        fallback: () => ({ history: { maxEntries: 1000, maxAgeDays: null } }),
+        validate(value) {
+            if (!isPlainObject(value) || !isPlainObject(value.history)) {
+                return null;
+            }
+
+            const { maxEntries, maxAgeDays } = value.history;
+            const validLimit = limit => limit === null || (Number.isFinite(limit) && limit > 0);
+            if (!validLimit(maxEntries) || !validLimit(maxAgeDays)) {
+                return null;
+            }
+
+            return value;
+        }
+    },
+    [STORAGE_KEYS.achievements]: {
+        fallback: () => ({}),
+        validate(value, reject) {
+            if (!isPlainObject(value)) {
+                return null;
+            }
+
+            const achievements = {};
+            Object.keys(value).forEach(profileId => {
+                const unlocks = value[profileId];
+                if (!isPlainObject(unlocks) || !Object.values(unlocks).every(isValidDateString)) {
+                    reject(unlocks, `Invalid achievements for ${profileId}`);
+                    return;
+                }
+                achievements[profileId] = unlocks;
+            });
+
+            return achievements;
+        }
+    },
+    [STORAGE_KEYS.rpsModels]: {
+        fallback: () => ({}),
+        validate(value, reject) {
+            if (!isPlainObject(value)) {
+                return null;
+            }
+
+            const models = {};
+            Object.keys(value).forEach(profileId => {
+                if (!isValidRpsModel(value[profileId])) {
+                    reject(value[profileId], `Invalid opponent model for ${profileId}`);
+                    return;
+                }
+                models[profileId] = value[profileId];
+            });
+
+            return models;
+        }
+    },
+    [STORAGE_KEYS.rpsRuleSets]: {
+        fallback: () => [],
+        validate(value, reject) {
+            if (!Array.isArray(value)) {
+                return null;
+            }
+
+            // Structure only; the rules themselves are checked by getRuleSetErrors() in rps-rules.js
+            return value.filter(ruleSet => {
+                const valid = isPlainObject(ruleSet) &&
+                    typeof ruleSet.id === 'string' &&
+                    typeof ruleSet.name === 'string' &&
+                    Array.isArray(ruleSet.moves) &&
+                    Array.isArray(ruleSet.beats);
+                if (!valid) {
+                    reject(ruleSet, 'Invalid rule set');
+                }
+                return valid;
+            });
+        }
+    },
+    [STORAGE_KEYS.dailyAttempts]: {
+        fallback: () => ({}),
+        validate(value, reject) {
+            if (!isPlainObject(value)) {
+                return null;
+            }
+
+            // { profileId: { day: { game: start date } } }
+            const isDayAttempts = day => isPlainObject(day) && Object.values(day).every(isValidDateString);
+            const attempts = {};
+            Object.keys(value).forEach(profileId => {
+                const days = value[profileId];
+                if (!isPlainObject(days) || !Object.values(days).every(isDayAttempts)) {
+                    reject(days, `Invalid daily challenge attempts for ${profileId}`);
+                    return;
+                }
+                attempts[profileId] = days;
+            });
+
+            return attempts;
+        }
+    },
+    [STORAGE_KEYS.savedGames]: {
+        fallback: () => ({}),
+        validate(value, reject) {
+            if (!isPlainObject(value)) {
+                return null;
+            }
+
+            // { profileId: { game: { savedAt, expiresAt, state } } }
+            const isSave = save => isPlainObject(save) &&
+                isValidDateString(save.savedAt) &&
+                isValidDateString(save.expiresAt) &&
+                isPlainObject(save.state);
+            const saves = {};
+            Object.keys(value).forEach(profileId => {
+                const games = value[profileId];
+                if (!isPlainObject(games) || !Object.values(games).every(isSave)) {
+                    reject(games, `Invalid saved games for ${profileId}`);
+                    return;
+                }
+                saves[profileId] = games;
+            });
+
+            return saves;
+        }
+    },
+    [STORAGE_KEYS.scores]: {
+        fallback: () => ({}),
+        validate(value, reject) {
+            if (!isPlainObject(value)) {
+                return null;
+            }
+
+            const scores = {};
+            Object.keys(value).forEach(gameName => {
+                if (!Array.isArray(value[gameName])) {
+                    reject(value[gameName], `Scores for ${gameName} are not a list`);
+                    return;
+                }
+                scores[gameName] = value[gameName].filter(entry => {
+                    const valid = isValidScoreRecord(entry);
+                    if (!valid) {
+                        reject(entry, `Invalid ${gameName} score`);
+                    }
+                    return valid;
+                });
+            });
+
+            return scores;
+        }
+    }
+};
+
+/**
+ * Validate a stored profile and fill in defaults for optional fields
+ * @param {Object} profile - Profile to validate
+ * @returns {Object|null} Cleaned profile or null if invalid
+ */
+function validateProfileRecord(profile) {
+    if (!isPlainObject(profile) || typeof profile.id !== 'string' || !profile.id) {
+        return null;
+    }
+
+    if (typeof profile.name !== 'string' || profile.name.trim().length === 0) {
+        return null;
+    }
+
+    const totalGamesPlayed = Number(profile.totalGamesPlayed);
+    const joinDate = isValidDateString(profile.joinDate) ? profile.joinDate : new Date().toISOString();
+
+    return {
+        ...profile,
+        name: profile.name.trim(),
+        avatar: typeof profile.avatar === 'string' && profile.avatar ? profile.avatar : DEFAULT_PROFILE_AVATAR,
+        color: typeof profile.color === 'string' && profile.color ? profile.color : DEFAULT_PROFILE_COLOR,
+        joinDate: joinDate,
+        totalGamesPlayed: Number.isFinite(totalGamesPlayed) && totalGamesPlayed > 0 ? Math.floor(totalGamesPlayed) : 0
+    };
+}
+
+/**
+ * Check that a stored score entry is usable
+ * @param {Object} entry - Score entry to check
+ * @returns {boolean} True if valid
+ */
+function isValidScoreRecord(entry) {
+    return isPlainObject(entry) &&
+        typeof entry.player === 'string' &&
+        Number.isFinite(entry.score) &&
+        isValidDateString(entry.date);
+}
+
+/**
+ * Check a stored Rock, Paper, Scissors opponent model (see rps-ai.js)
+ * @param {Object} model - Model to check
+ * @returns {boolean} True if valid
+ */
+function isValidRpsModel(model) {
+    const isCountTable = table => isPlainObject(table) &&
+        Object.values(table).every(count => Number.isFinite(count) && count >= 0);
+    const isNullableString = value => value === null || typeof value === 'string';
+
+    return isPlainObject(model) &&
+        isCountTable(model.counts) &&
+        isPlainObject(model.transitions) && Object.values(model.transitions).every(isCountTable) &&
+        isPlainObject(model.reactions) && Object.values(model.reactions).every(isCountTable) &&
+        Array.isArray(model.recentMoves) && model.recentMoves.every(move => typeof move === 'string') &&
+        isNullableString(model.lastOutcome) &&
+        isNullableString(model.lastComputerMove) &&
+        Number.isInteger(model.rounds) && model.rounds >= 0;
+}
+
+/**
+ * Create a backend on top of window.localStorage
+ * @returns {Object} Storage backend
+ */
+export function createLocalStorageBackend() {
+    return {
+        name: 'localStorage',
+        ready: Promise.resolve(),
+        isReady: () => true,
+        isAvailable() {
+            try {
+                const test = '__localStorage_test__';
+                localStorage.setItem(test, test);
+                localStorage.removeItem(test);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+        getItem: key => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, String(value)),
+        removeItem: key => localStorage.removeItem(key),
+        keys: () => Object.keys(localStorage)
+    };
+}
+
+/**
+ * Create a backend that keeps everything in memory (nothing persists)
+ * @param {Object} initialData - Optional key/value pairs to start with
+ * @returns {Object} Storage backend
+ */
+export function createMemoryBackend(initialData = {}) {
+    const items = new Map(Object.entries(initialData).map(([key, value]) => [key, String(value)]));
+
+    return {
+        name: 'memory',
+        ready: Promise.resolve(),
+        isReady: () => true,
+        isAvailable: () => true,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: key => {
+            items.delete(key);
+        },
+        keys: () => [...items.keys()]
+    };
+}
+
+/**
+ * Create a backend on top of IndexedDB. Reads are served from an in-memory
+ * copy that is loaded once when the database opens; writes update the copy
+ * immediately and are persisted in the background.
+ * @param {string} databaseName - IndexedDB database name
+ * @param {string} storeName - Object store name
+ * @returns {Object} Storage backend
+ */
+export function createIndexedDBBackend(databaseName = 'revoFun', storeName = 'records') {
+    const items = new Map();
+    const touchedKeys = new Set();
+    let database = null;
+    let loaded = false;
+
+    const ready = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName);
+        };
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            database = request.result;
+            const cursorRequest = database.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    // Writes made while loading win over what was on disk
+                    if (!touchedKeys.has(cursor.key)) {
+                        items.set(cursor.key, cursor.value);
+                    }
+                    cursor.continue();
+                } else {
+                    loaded = true;
+                    resolve();
+                }
+            };
+        };
+    });
+
+    /**
+     * Persist a change to the object store once the database is open
+     * @param {string} key - Record key
+     * @param {string|undefined} value - New value, or undefined to delete
+     */
+    function persist(key, value) {
+        touchedKeys.add(key);
+        ready.then(() => {
+            const transaction = database.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            if (value === undefined) {
+                store.delete(key);
+            } else {
+                store.put(value, key);
+            }
+            transaction.onerror = () => console.error(`Error writing '${key}' to IndexedDB:`, transaction.error);
+        }).catch(error => {
+            console.error(`Error writing '${key}' to IndexedDB:`, error);
+        });
+    }
+
+    return {
+        name: 'indexedDB',
+        ready: ready,
+        isReady: () => loaded,
+        isAvailable: () => typeof indexedDB !== 'undefined',
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+            persist(key, String(value));
+        },
+        removeItem: key => {
+            items.delete(key);
+            persist(key, undefined);
+        },
+        keys: () => [...items.keys()]
+    };
+}
+
+/**
+ * Pick the default backend: localStorage when usable, otherwise in-memory
+ * @returns {Object} Storage backend
+ */
+function getDefaultStorageBackend() {
+    const backend = createLocalStorageBackend();
+    if (backend.isAvailable()) {
+        return backend;
+    }
+
+    console.warn('localStorage is not available. Data will not persist.');
+    return createMemoryBackend();
+}
+
+/**
+ * Set the backend used by the storage layer. Call before initStorage().
+ * @param {Object} backend - Backend created by one of the create*Backend functions
+ */
+export function setStorageBackend(backend) {
+    if (!backend || typeof backend.getItem !== 'function' || typeof backend.setItem !== 'function') {
+        throw new Error('Invalid storage backend');
+    }
+    storageBackend = backend;
+}
+
+/**
+ * Get the active backend, falling back to the default one
+ * @returns {Object} Storage backend
+ */
+export function getStorageBackend() {
+    if (!storageBackend) {
+        storageBackend = getDefaultStorageBackend();
+    }
+    return storageBackend;
+}
+
+/**
+ * Initialize storage and bring stored data up to the current schema.
+ * Synchronous backends are migrated before this returns; asynchronous
+ * ones (IndexedDB) are migrated once they finish loading.
+ * @param {Object} backend - Optional backend to use instead of the default
+ * @returns {Promise} Resolves when the data is ready to use
+ */
+export function initStorage(backend) {
+    if (backend) {
+        setStorageBackend(backend);
+    }
+
+    const activeBackend = getStorageBackend();
+    if (activeBackend.isReady()) {
+        runMigrations();
+        return Promise.resolve(activeBackend);
+    }
+
+    return activeBackend.ready.then(() => {
+        runMigrations();
+        return activeBackend;
+    });
+}
+
+/**
+ * Get the schema version of the stored data
+ * @returns {number} Stored schema version
+ */
+export function getStoredSchemaVersion() {
+    return readRecord(STORAGE_KEYS.meta).schemaVersion;
+}
+
+/**
+ * Run every migration newer than the stored schema version, in order
+ * @returns {number} Schema version after migrating
+ */
+export function runMigrations() {
+    let version = getStoredSchemaVersion();
+
+    if (version > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Stored data uses schema v${version}, newer than this build (v${STORAGE_SCHEMA_VERSION})`);
+        return version;
+    }
+
+    const store = {
+        read: readRecord,
+        readRaw: key => getStorageBackend().getItem(key),
+        write: writeRecord,
+        remove: removeRecord,
+        backup: backupRecord,
+        quarantine: quarantineRecord
+    };
+
+    MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+        try {
+            migration.migrate(store);
+            version = migration.version;
+            writeRecord(STORAGE_KEYS.meta, {
+                schemaVersion: version,
+                migratedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            // Stop here so the failed migration is retried on the next load
+            console.error(`Storage migration to v${migration.version} failed:`, error);
+            throw error;
+        }
+    });
+
+    return version;
+}
+
+/**
+ * Read and validate a record. Corrupt data is quarantined and the
+ * schema's fallback value is returned in its place.
+ * @param {string} key - Storage key
+ * @returns {*} Validated value
+ */
+export function readRecord(key) {
+    const schema = RECORD_SCHEMAS[key];
+    const fallback = schema ? schema.fallback() : null;
+    const raw = getStorageBackend().getItem(key);
+
+    if (raw === null || raw === undefined) {
+        return fallback;
+    }
+
+    const parsed = parseJSON(raw);
+    if (parsed === undefined) {
+        quarantineRecord(key, raw, 'Could not parse stored JSON');
+        removeRecord(key);
+        return fallback;
+    }
+
+    if (!schema) {
+        return parsed;
+    }
+
+    const rejected = [];
+    const value = schema.validate(parsed, (item, reason) => rejected.push({ item, reason }));
+    if (value === null) {
+        quarantineRecord(key, raw, 'Stored data has an unexpected shape');
+        removeRecord(key);
+        return fallback;
+    }
+
+    if (rejected.length > 0) {
+        quarantineRecord(key, JSON.stringify(rejected), `${rejected.length} invalid item(s) removed`);
+        writeRecord(key, value);
+    }
+
+    return value;
+}
+
+/**
+ * Validate and write a record
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+export function writeRecord(key, value) {
+    const schema = RECORD_SCHEMAS[key];
+    if (schema && schema.validate(value, () => {}) === null) {
+        throw new Error(`Refusing to save invalid data for '${key}'`);
+    }
+
+    getStorageBackend().setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Remove a record
+ * @param {string} key - Storage key
+ */
+export function removeRecord(key) {
+    getStorageBackend().removeItem(key);
+}
+
+/**
+ * Remove a profile's entries from every record kept per profile
+ * @param {string} profileId - Profile id
+ */
+export function removeProfileRecords(profileId) {
+    PROFILE_RECORD_KEYS.forEach(key => {
+        const record = readRecord(key);
+        const profileKeys = Object.keys(record).filter(id => id === profileId || id.startsWith(`${profileId}:`));
+        if (profileKeys.length === 0) return;
+
+        profileKeys.forEach(id => delete record[id]);
+        writeRecord(key, record);
+    });
+}
+
+/**
+ * Keep a copy of raw data under a backup key
+ * @param {string} key - Original storage key
+ * @param {string} raw - Raw stored value
+ * @param {string} reason - Why the data was backed up
+ * @returns {string} Backup key
+ */
+export function backupRecord(key, raw, reason) {
+    const backend = getStorageBackend();
+    const baseKey = `${BACKUP_KEY_PREFIX}${key}:${new Date().toISOString()}`;
+    let backupKey = baseKey;
+    for (let copy = 1; backend.getItem(backupKey) !== null; copy++) {
+        backupKey = `${baseKey}#${copy}`;
+    }
+
+    backend.setItem(backupKey, JSON.stringify({
+        key: key,
+        reason: reason,
+        date: new Date().toISOString(),
+        raw: raw
+    }));
+
+    // Drop the oldest backups once there are too many
+    const backupKeys = backend.keys().filter(k => k.startsWith(BACKUP_KEY_PREFIX)).sort();
+    backupKeys.slice(0, Math.max(0, backupKeys.length - MAX_BACKUP_RECORDS)).forEach(k => backend.removeItem(k));
+
+    return backupKey;
+}
+
+/**
+ * Move corrupt data out of the way, keeping it under a backup key
+ * @param {string} key - Original storage key
+ * @param {string} raw - Raw stored value
+ * @param {string} reason - What was wrong with it
+ * @returns {string} Backup key
+ */
+export function quarantineRecord(key, raw, reason) {
+    console.warn(`Quarantined corrupt data from '${key}': ${reason}`);
+    const backupKey = backupRecord(key, raw, reason);
+
+    quarantineListeners.forEach(listener => {
+        try {
+            listener({ key, reason, backupKey });
+        } catch (error) {
+            console.error('Error in quarantine listener:', error);
+        }
+    });
+
+    return backupKey;
+}
+
+/**
+ * Register a callback for whenever data is quarantined
+ * @param {Function} listener - Called with { key, reason, backupKey }
+ */
+export function onStorageQuarantine(listener) {
+    if (typeof listener === 'function') {
+        quarantineListeners.push(listener);
+    }
+}
+
+/**
+ * List backed-up and quarantined records, newest first
+ * @returns {Array} Backup records with their backup keys
+ */
+export function getBackupRecords() {
+    const backend = getStorageBackend();
+    return backend.keys()
+        .filter(key => key.startsWith(BACKUP_KEY_PREFIX))
+        .sort()
+        .reverse()
+        .map(backupKey => ({ backupKey, ...(parseJSON(backend.getItem(backupKey)) || {}) }));
+}
+
+/**
+ * Parse JSON without throwing
+ * @param {string} raw - JSON text
+ * @returns {*} Parsed value, or undefined if it could not be parsed
+ */
+function parseJSON(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a plain object
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a value is a parseable date string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a valid date string
+ */
+function isValidDateString(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+/**
+ * Generate a reasonably unique id for locally stored records
+ * @param {string} prefix - Prefix describing the record type
+ * @returns {string} Generated id
+ */
+export function generateId(prefix = 'id') {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Check if localStorage is available
+ * @returns {boolean} True if localStorage is available
+ */
+export function isLocalStorageAvailable() {
+    try {
+        const test = '__localStorage_test__';
+        localStorage.setItem(test, test);
+        localStorage.removeItem(test);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,670 @@
+/**
+ * RevoFun Gaming Company - Shared UI
+ * Navigation, messages, leaderboards, the profile picker and other pieces every page shows
+ */
+
+import * as utils from './utils.js';
+import * as user from './user.js';
+import * as scores from './scores.js';
+
+// Leaderboard columns for games that don't name their own
+const DEFAULT_LEADERBOARD_COLUMNS = [
+    { key: 'score', label: 'Score', format: utils.formatNumber }
+];
+
+// Leaderboard control choices per game, kept while the page is open
+const leaderboardViewState = {};
+
+// Screen reader announcements waiting to be read out, per aria-live politeness (see announce)
+const pendingAnnouncements = {};
+
+/**
+ * Initialize navigation functionality. Following links between pages (and to sections
+ * within a page) is the router's job (see router.js).
+ */
+export function initializeNavigation() {
+    try {
+        // Add click handlers for navigation links
+        const navLinks = document.querySelectorAll('.nav-menu a');
+        if (navLinks.length === 0) {
+            console.warn('No navigation links found');
+            return;
+        }
+
+        navLinks.forEach((link, index) => {
+            try {
+                link.addEventListener('click', function() {
+                    try {
+                        // Add smooth transition effect
+                        this.style.transform = 'scale(0.95)';
+                        setTimeout(() => {
+                            try {
+                                this.style.transform = 'scale(1)';
+                            } catch (error) {
+                                console.warn('Error resetting transform:', error);
+                            }
+                        }, 150);
+                    } catch (error) {
+                        console.error('Error handling navigation click:', error);
+                    }
+                });
+            } catch (error) {
+                console.error(`Error adding event listener to nav link ${index}:`, error);
+            }
+        });
+    } catch (error) {
+        console.error('Error initializing navigation:', error);
+        showErrorMessage('Failed to initialize navigation. Some features may not work properly.');
+    }
+}
+
+/**
+ * Add fade-in animation to elements (skipped for players who prefer reduced motion)
+ */
+export function addFadeInAnimation() {
+    if (utils.prefersReducedMotion()) {
+        return;
+    }
+    
+    const elements = document.querySelectorAll('.game-card, .hero, .game-container');
+    elements.forEach((element, index) => {
+        element.style.opacity = '0';
+        element.style.transform = 'translateY(20px)';
+        
+        setTimeout(() => {
+            element.style.transition = 'all 0.6s ease-out';
+            element.style.opacity = '1';
+            element.style.transform = 'translateY(0)';
+        }, index * 100);
+    });
+}
+
+/**
+ * Show a message to the user
+ * @param {string} message - Message to display
+ * @param {string} type - Type of message (success, error, info)
+ * @param {number} duration - Duration to show message (ms)
+ */
+export function showMessage(message, type = 'info', duration = 3000) {
+    try {
+        // Validate inputs
+        if (!message || typeof message !== 'string') {
+            console.error('Invalid message provided to showMessage');
+            return;
+        }
+
+        if (!['success', 'error', 'info', 'warning'].includes(type)) {
+            type = 'info';
+        }
+
+        // Remove existing messages (only toasts: pages use .game-message for their own status lines)
+        const existingMessages = document.querySelectorAll('.toast-message');
+        existingMessages.forEach(msg => {
+            try {
+                msg.remove();
+            } catch (e) {
+                console.warn('Error removing existing message:', e);
+            }
+        });
+        
+        // Create new message element
+        const messageElement = document.createElement('div');
+        messageElement.className = `game-message toast-message ${type}`;
+        messageElement.textContent = message;
+        announce(message, type === 'error' ? 'assertive' : 'polite');
+        
+        // Add to game area or body if game area not found
+        const gameArea = document.querySelector('.game-area');
+        const targetContainer = gameArea || document.body;
+        
+        if (targetContainer) {
+            targetContainer.insertBefore(messageElement, targetContainer.firstChild);
+            
+            // Auto-remove after duration
+            setTimeout(() => {
+                try {
+                    if (messageElement.parentNode) {
+                        messageElement.remove();
+                    }
+                } catch (e) {
+                    console.warn('Error removing message element:', e);
+                }
+            }, duration);
+        } else {
+            console.error('No suitable container found for message display');
+        }
+    } catch (error) {
+        console.error('Error showing message:', error);
+        // Fallback to alert if DOM manipulation fails
+        alert(message);
+    }
+}
+
+/**
+ * Show error message with enhanced styling
+ * @param {string} message - Error message to display
+ */
+export function showErrorMessage(message) {
+    showMessage(message, 'error', 5000);
+}
+
+/**
+ * Read a message out to screen reader users through a shared aria-live region
+ * @param {string} message - Message to announce
+ * @param {string} politeness - 'polite' (after what is being read) or 'assertive' (straight away)
+ */
+export function announce(message, politeness = 'polite') {
+    if (!message || !document.body) {
+        return;
+    }
+    
+    const id = `liveRegion-${politeness}`;
+    let region = document.getElementById(id);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    
+    // Messages in quick succession are read out together
+    if (pendingAnnouncements[politeness]) {
+        pendingAnnouncements[politeness].push(message);
+        return;
+    }
+    pendingAnnouncements[politeness] = [message];
+    
+    // Clear first, so the same message twice in a row is still read out
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = pendingAnnouncements[politeness].join(' ');
+        pendingAnnouncements[politeness] = null;
+    }, 50);
+}
+
+/**
+ * Show a game's seed with a button to copy a link that replays it
+ * @param {HTMLElement} container - Container to render into
+ * @param {string} seed - Seed to show (defaults to the game in progress)
+ */
+export function renderSeedDisplay(container, seed = utils.getGameSeed()) {
+    if (!container) {
+        return;
+    }
+    if (!seed) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const replaying = seed === utils.getUrlSeed();
+    container.innerHTML = `
+        <span class="seed-label">${replaying ? 'Replaying seed' : 'Seed'}</span>
+        <code class="seed-value">${utils.escapeHTML(seed)}</code>
+        <button type="button" class="seed-copy" title="Copy a link that replays this game">🔗 Copy link</button>
+        ${replaying ? `<a class="seed-new" href="${utils.escapeHTML(window.location.pathname)}">New seed</a>` : ''}
+    `;
+    
+    container.querySelector('.seed-copy').addEventListener('click', function() {
+        copySeedUrl(seed);
+    });
+}
+
+/**
+ * Copy a seed's replay link, falling back to a prompt the player can copy from
+ * @param {string} seed - Seed to share
+ */
+function copySeedUrl(seed) {
+    const url = utils.getSeedUrl(seed);
+    const showPrompt = () => prompt('Copy this link to replay the game:', url);
+    
+    if (!navigator.clipboard) {
+        showPrompt();
+        return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+        showMessage('Replay link copied!', 'success');
+    }).catch(showPrompt);
+}
+
+/**
+ * Add loading state to a button
+ * @param {HTMLElement} button - Button element
+ * @param {string} loadingText - Text to show while loading
+ */
+export function setButtonLoading(button, loadingText = 'Loading...') {
+    button.disabled = true;
+    button.dataset.originalText = button.textContent;
+    button.textContent = loadingText;
+}
+
+/**
+ * Remove loading state from a button
+ * @param {HTMLElement} button - Button element
+ */
+export function removeButtonLoading(button) {
+    button.disabled = false;
+    button.textContent = button.dataset.originalText || 'Submit';
+    delete button.dataset.originalText;
+}
+
+/**
+ * Create a leaderboard display with time window, sort and "only me" controls
+ * @param {string} gameName - Name of the game
+ * @param {HTMLElement} container - Container to add leaderboard to
+ * @param {Object} options - Optional display settings:
+ *   title       - Heading text
+ *   columns     - [{ key, label, value(entry), format(value, entry) }] shown after the player name
+ *   sortKeys    - [{ key, label, value(entry), direction: 'asc' | 'desc' }] offered in the sort control
+ *   timeWindows - Keys of LEADERBOARD_TIME_WINDOWS to offer
+ *   partition, partitionDefaults - Restrict the board to one partition (see getLeaderboard)
+ */
+export function createLeaderboard(gameName, container, options = {}) {
+    if (!container) {
+        console.error('No container provided for leaderboard');
+        return;
+    }
+    
+    const columns = options.columns || DEFAULT_LEADERBOARD_COLUMNS;
+    const sortKeys = options.sortKeys || scores.DEFAULT_LEADERBOARD_SORT_KEYS;
+    const timeWindows = options.timeWindows || Object.keys(scores.LEADERBOARD_TIME_WINDOWS);
+    
+    // Remember the player's control choices while the page is open
+    const state = {
+        timeWindow: timeWindows[0],
+        sortKey: sortKeys[0].key,
+        onlyMe: false,
+        ...leaderboardViewState[gameName]
+    };
+    if (!timeWindows.includes(state.timeWindow)) state.timeWindow = timeWindows[0];
+    if (!sortKeys.some(sortKey => sortKey.key === state.sortKey)) state.sortKey = sortKeys[0].key;
+    if (!user.currentUser) state.onlyMe = false;
+    leaderboardViewState[gameName] = state;
+    
+    const leaderboard = scores.getLeaderboard(gameName, {
+        timeWindow: state.timeWindow,
+        sortKey: sortKeys.find(sortKey => sortKey.key === state.sortKey),
+        playerId: state.onlyMe ? user.currentUser.id : null,
+        partition: options.partition,
+        partitionDefaults: options.partitionDefaults
+    });
+    
+    const isFiltered = state.timeWindow !== 'all' || state.onlyMe;
+    const emptyMessage = isFiltered ? 'No scores match these filters yet.' : 'No scores yet. Be the first to play!';
+    
+    const leaderboardHTML = `
+        <div class="leaderboard">
+            <h3>🏆 ${utils.escapeHTML(options.title || 'High Scores')}</h3>
+            <div class="leaderboard-controls">
+                <select data-control="timeWindow" aria-label="Time window">
+                    ${timeWindows.map(key => `
+                        <option value="${key}" ${key === state.timeWindow ? 'selected' : ''}>${scores.LEADERBOARD_TIME_WINDOWS[key]}</option>
+                    `).join('')}
+                </select>
+                <select data-control="sortKey" aria-label="Sort by">
+                    ${sortKeys.map(sortKey => `
+                        <option value="${sortKey.key}" ${sortKey.key === state.sortKey ? 'selected' : ''}>${utils.escapeHTML(sortKey.label)}</option>
+                    `).join('')}
+                </select>
+                <label class="leaderboard-only-me">
+                    <input type="checkbox" data-control="onlyMe" ${state.onlyMe ? 'checked' : ''} ${user.currentUser ? '' : 'disabled'}>
+                    Only me
+                </label>
+            </div>
+            ${leaderboard.length === 0 ? `<p class="leaderboard-empty">${emptyMessage}</p>` : `
+                <ul class="leaderboard-list">
+                    <li class="leaderboard-item leaderboard-header">
+                        <span class="leaderboard-rank">#</span>
+                        <span class="leaderboard-name">Player</span>
+                        ${columns.map(column => `<span class="leaderboard-score">${utils.escapeHTML(column.label)}</span>`).join('')}
+                    </li>
+                    ${leaderboard.map((entry, index) => `
+                        <li class="leaderboard-item ${user.currentUser && entry.playerId === user.currentUser.id ? 'mine' : ''}">
+                            <span class="leaderboard-rank">#${index + 1}</span>
+                            <span class="leaderboard-name">${utils.escapeHTML(entry.player)}${entry.seed && !entry.daily ? `
+                                <a class="leaderboard-seed" href="${utils.escapeHTML(utils.getSeedUrl(entry.seed))}" title="Play this game again (seed ${utils.escapeHTML(entry.seed)})">🎲</a>
+                            ` : ''}${entry.replay ? `
+                                <a class="leaderboard-replay" href="${utils.escapeHTML(utils.getReplayUrl(entry))}" title="Watch the replay">▶️</a>
+                            ` : ''}</span>
+                            ${columns.map(column => `
+                                <span class="leaderboard-score">${utils.escapeHTML(formatLeaderboardValue(column, entry))}</span>
+                            `).join('')}
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        </div>
+    `;
+    
+    container.innerHTML = leaderboardHTML;
+    
+    // Re-render when a control changes
+    container.querySelectorAll('[data-control]').forEach(control => {
+        control.addEventListener('change', function() {
+            state[this.dataset.control] = this.type === 'checkbox' ? this.checked : this.value;
+            createLeaderboard(gameName, container, options);
+        });
+    });
+}
+
+/**
+ * Format one leaderboard cell
+ * @param {Object} column - Column definition
+ * @param {Object} entry - History entry
+ * @returns {string} Cell text
+ */
+function formatLeaderboardValue(column, entry) {
+    const value = scores.getLeaderboardValueGetter(column)(entry);
+    if (value === undefined || value === null || Number.isNaN(value)) {
+        return '-';
+    }
+    return column.format ? column.format(value, entry) : String(value);
+}
+
+/**
+ * Show the profile picker so a player can choose, add, rename or delete a profile
+ * @param {HTMLElement} container - Container to render the picker into
+ * @param {Function} onSelect - Called with the chosen profile once the picker closes
+ * @param {Object} options - Optional title, excludeIds (profiles to leave out) and
+ *   activate (false picks a profile without making it the active one, e.g. a second player)
+ */
+export function showProfilePicker(container, onSelect, options = {}) {
+    if (!container) {
+        console.error('No container provided for the profile picker');
+        return;
+    }
+
+    container.innerHTML = '';
+    container.classList.add('profile-picker');
+    container.style.display = 'block';
+
+    const title = document.createElement('h3');
+    title.textContent = options.title || 'Who\'s playing?';
+    container.appendChild(title);
+
+    const excludeIds = options.excludeIds || [];
+    const choices = user.profiles.filter(profile => !excludeIds.includes(profile.id));
+    
+    const list = document.createElement('div');
+    list.className = 'profile-list';
+    if (choices.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'profile-empty';
+        empty.textContent = 'No players yet. Add one below!';
+        list.appendChild(empty);
+    }
+    choices.forEach(profile => {
+        list.appendChild(createProfileCard(profile, container, onSelect, options));
+    });
+    container.appendChild(list);
+
+    container.appendChild(createProfileForm(container, onSelect, options));
+}
+
+/**
+ * Fill a <select> with every profile, selecting the active one
+ * @param {HTMLSelectElement} select - Select element to fill
+ */
+export function fillProfileSelect(select) {
+    select.innerHTML = '';
+    
+    user.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.avatar} ${profile.name}`;
+        option.selected = Boolean(user.currentUser && user.currentUser.id === profile.id);
+        select.appendChild(option);
+    });
+    
+    select.disabled = user.profiles.length === 0;
+}
+
+/**
+ * Close the profile picker and hand the chosen profile to the game
+ * @param {HTMLElement} container - Picker container
+ * @param {Object} profile - Chosen profile
+ * @param {Function} onSelect - Selection callback
+ */
+function closeProfilePicker(container, profile, onSelect) {
+    container.style.display = 'none';
+    if (typeof onSelect === 'function') {
+        onSelect(profile);
+    }
+}
+
+/**
+ * Create the card for a single profile in the picker
+ * @param {Object} profile - Profile to show
+ * @param {HTMLElement} container - Picker container (re-rendered after edits)
+ * @param {Function} onSelect - Selection callback
+ * @param {Object} options - Picker options (see showProfilePicker)
+ * @returns {HTMLElement} Profile card element
+ */
+function createProfileCard(profile, container, onSelect, options = {}) {
+    const card = document.createElement('div');
+    card.className = 'profile-card';
+    card.style.setProperty('--profile-color', profile.color);
+    if (user.currentUser && user.currentUser.id === profile.id) {
+        card.classList.add('active');
+    }
+
+    const selectBtn = document.createElement('button');
+    selectBtn.type = 'button';
+    selectBtn.className = 'profile-select';
+    selectBtn.title = `Play as ${profile.name}`;
+
+    const avatar = document.createElement('span');
+    avatar.className = 'profile-avatar';
+    avatar.textContent = profile.avatar;
+
+    const name = document.createElement('span');
+    name.className = 'profile-name';
+    name.textContent = profile.name;
+
+    selectBtn.appendChild(avatar);
+    selectBtn.appendChild(name);
+    selectBtn.addEventListener('click', function() {
+        try {
+            const chosen = options.activate === false ? profile : user.switchProfile(profile.id);
+            closeProfilePicker(container, chosen, onSelect);
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            showErrorMessage('Failed to switch player. Please try again.');
+        }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-actions';
+
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.className = 'profile-action';
+    renameBtn.title = `Rename ${profile.name}`;
+    renameBtn.textContent = '✏️';
+    renameBtn.addEventListener('click', function() {
+        const newName = prompt('Enter a new name:', profile.name);
+        if (newName === null) return;
+        try {
+            user.renameProfile(profile.id, newName);
+            showProfilePicker(container, onSelect, options);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'profile-action';
+    deleteBtn.title = `Delete ${profile.name}`;
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.addEventListener('click', function() {
+        if (!confirm(`Delete ${profile.name}? Their scores stay on the leaderboards; their badges and saved games are removed.`)) return;
+        try {
+            user.deleteProfile(profile.id);
+            showProfilePicker(container, onSelect, options);
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            showErrorMessage('Failed to delete player. Please try again.');
+        }
+    });
+
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+    card.appendChild(selectBtn);
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Create the "add player" form for the picker
+ * @param {HTMLElement} container - Picker container
+ * @param {Function} onSelect - Selection callback
+ * @param {Object} options - Picker options (see showProfilePicker)
+ * @returns {HTMLElement} Form element
+ */
+function createProfileForm(container, onSelect, options = {}) {
+    let selectedAvatar = user.PROFILE_AVATARS[user.profiles.length % user.PROFILE_AVATARS.length];
+    let selectedColor = user.PROFILE_COLORS[user.profiles.length % user.PROFILE_COLORS.length];
+
+    const form = document.createElement('form');
+    form.className = 'profile-form form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'newProfileName';
+    label.textContent = 'Add a new player:';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'newProfileName';
+    nameInput.placeholder = 'Your name here...';
+    nameInput.maxLength = user.MAX_PROFILE_NAME_LENGTH;
+
+    const avatarRow = createSwatchRow(user.PROFILE_AVATARS, selectedAvatar, 'profile-avatar-option', (button, avatar) => {
+        button.textContent = avatar;
+        button.title = `Avatar ${avatar}`;
+    }, avatar => {
+        selectedAvatar = avatar;
+    });
+
+    const colorRow = createSwatchRow(user.PROFILE_COLORS, selectedColor, 'profile-color-option', (button, color) => {
+        button.style.background = color;
+        button.title = `Color ${color}`;
+    }, color => {
+        selectedColor = color;
+    });
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn';
+    submitBtn.textContent = 'Add Player';
+
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        try {
+            const profile = user.createProfile(nameInput.value, {
+                avatar: selectedAvatar,
+                color: selectedColor,
+                activate: options.activate
+            });
+            closeProfilePicker(container, profile, onSelect);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    });
+
+    form.appendChild(label);
+    form.appendChild(nameInput);
+    form.appendChild(avatarRow);
+    form.appendChild(colorRow);
+    form.appendChild(submitBtn);
+    return form;
+}
+
+/**
+ * Create a row of selectable swatch buttons
+ * @param {Array} values - Values to offer
+ * @param {*} selectedValue - Initially selected value
+ * @param {string} className - Class name for each swatch
+ * @param {Function} decorate - Called with (button, value) to style each swatch
+ * @param {Function} onChange - Called with the newly selected value
+ * @returns {HTMLElement} Swatch row element
+ */
+function createSwatchRow(values, selectedValue, className, decorate, onChange) {
+    const row = document.createElement('div');
+    row.className = 'profile-swatches';
+
+    values.forEach(value => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        if (value === selectedValue) {
+            button.classList.add('selected');
+        }
+        decorate(button, value);
+        button.addEventListener('click', function() {
+            row.querySelectorAll(`.${className}`).forEach(btn => btn.classList.remove('selected'));
+            this.classList.add('selected');
+            onChange(value);
+        });
+        row.appendChild(button);
+    });
+
+    return row;
+}
+
+/**
+ * Validate DOM element exists and is accessible
+ * @param {HTMLElement} element - Element to validate
+ * @param {string} name - Name of element for error messages
+ * @returns {boolean} True if element is valid
+ */
+export function validateElement(element, name) {
+    if (!element) {
+        console.error(`Element '${name}' not found`);
+        return false;
+    }
+    if (!element.isConnected) {
+        console.error(`Element '${name}' is not connected to DOM`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Safe DOM query selector with error handling
+ * @param {string} selector - CSS selector
+ * @param {string} name - Name for error messages
+ * @returns {HTMLElement|null} Found element or null
+ */
+export function safeQuerySelector(selector, name) {
+    try {
+        const element = document.querySelector(selector);
+        if (!element) {
+            console.warn(`Element '${name}' not found with selector: ${selector}`);
+        }
+        return element;
+    } catch (error) {
+        console.error(`Error querying selector '${selector}' for '${name}':`, error);
+        return null;
+    }
+}
+
+/**
+ * Safe DOM query selector all with error handling
+ * @param {string} selector - CSS selector
+ * @param {string} name - Name for error messages
+ * @returns {NodeList} Found elements or empty NodeList
+ */
+export function safeQuerySelectorAll(selector, name) {
+    try {
+        const elements = document.querySelectorAll(selector);
+        if (elements.length === 0) {
+            console.warn(`No elements found with selector: ${selector} for '${name}'`);
+        }
+        return elements;
+    } catch (error) {
+        console.error(`Error querying selector '${selector}' for '${name}':`, error);
+        return document.querySelectorAll(''); // Return empty NodeList
+    }
+}
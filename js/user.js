@@ -0,0 +1,286 @@
+/**
+ * RevoFun Gaming Company - User Profiles
+ * The players on this device, and which of them is playing
+ */
+
+import * as storage from './storage.js';
+import * as scores from './scores.js';
+import * as ui from './ui.js';
+import * as events from './events.js';
+
+// The active profile and everyone who has played on this device
+export let currentUser = null;
+export let profiles = [];
+
+// Profile configuration
+export const MAX_PROFILE_NAME_LENGTH = 20;
+export const PROFILE_AVATARS = ['😀', '🦊', '🐼', '🐸', '🦄', '🐱', '🐶', '🐵', '🐯', '🐙', '🚀', '👾'];
+export const PROFILE_COLORS = ['#00d4ff', '#ff0080', '#39ff14', '#ffd700', '#a855f7', '#ff8c00'];
+
+/**
+ * Load profiles and scores through the storage layer
+ */
+export function loadUserData() {
+    try {
+        const storedProfiles = storage.readRecord(storage.STORAGE_KEYS.profiles);
+        profiles = storedProfiles.profiles;
+        currentUser = profiles.find(profile => profile.id === storedProfiles.activeProfileId) || null;
+    } catch (error) {
+        console.error('Error loading user data:', error);
+        // Keep running with empty data; nothing stored is touched
+        currentUser = null;
+        profiles = [];
+        ui.showErrorMessage('Failed to load saved data. Your progress may not be saved.');
+    }
+    scores.loadScoreHistory();
+}
+
+/**
+ * Reload profiles and scores another tab may have saved, keeping this tab's player
+ */
+export function refreshUserData() {
+    const active = currentUser;
+    loadUserData();
+    
+    if (active) {
+        currentUser = profiles.find(profile => profile.id === active.id) || null;
+        
+        // Another tab may have saved before it knew about this profile
+        if (!currentUser) {
+            currentUser = active;
+            profiles.push(active);
+        }
+    }
+}
+
+/**
+ * Save profiles through the storage layer
+ */
+function saveUserData() {
+    try {
+        storage.writeRecord(storage.STORAGE_KEYS.profiles, {
+            activeProfileId: currentUser ? currentUser.id : null,
+            profiles: profiles
+        });
+    } catch (error) {
+        console.error('Error saving user data:', error);
+        ui.showErrorMessage('Failed to save data. Your progress may not be saved.');
+    }
+}
+
+/**
+ * Validate and normalise a profile name
+ * @param {string} name - Name to validate
+ * @returns {string} Trimmed name
+ */
+function validateProfileName(name) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Invalid name provided');
+    }
+
+    const trimmedName = name.trim();
+    if (trimmedName.length === 0) {
+        throw new Error('Name cannot be empty');
+    }
+
+    if (trimmedName.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`Name is too long (max ${MAX_PROFILE_NAME_LENGTH} characters)`);
+    }
+
+    return trimmedName;
+}
+
+/**
+ * Build a new profile object without saving it
+ * @param {string} name - Profile name
+ * @param {Object} options - Optional avatar, color, joinDate and totalGamesPlayed
+ * @returns {Object} Profile object
+ */
+function buildProfile(name, options = {}) {
+    const index = profiles.length;
+    return {
+        id: storage.generateId('profile'),
+        name: validateProfileName(name),
+        avatar: options.avatar || PROFILE_AVATARS[index % PROFILE_AVATARS.length],
+        color: options.color || PROFILE_COLORS[index % PROFILE_COLORS.length],
+        joinDate: options.joinDate || new Date().toISOString(),
+        totalGamesPlayed: Number(options.totalGamesPlayed) || 0
+    };
+}
+
+/**
+ * Create a new profile and make it the active one
+ * @param {string} name - Profile name
+ * @param {Object} options - Optional avatar and color; activate: false keeps the current profile active
+ * @returns {Object} Created profile
+ */
+export function createProfile(name, options = {}) {
+    const trimmedName = validateProfileName(name);
+    if (findProfileByName(trimmedName)) {
+        throw new Error(`A player named "${trimmedName}" already exists`);
+    }
+
+    const profile = buildProfile(trimmedName, options);
+    profiles.push(profile);
+    if (options.activate !== false) {
+        currentUser = profile;
+    }
+    saveUserData();
+    return profile;
+}
+
+/**
+ * Make an existing profile the active one
+ * @param {string} profileId - Id of the profile to activate
+ * @returns {Object} Activated profile
+ */
+export function switchProfile(profileId) {
+    const profile = getProfile(profileId);
+    if (!profile) {
+        throw new Error('Profile not found');
+    }
+
+    currentUser = profile;
+    saveUserData();
+    return profile;
+}
+
+/**
+ * Update a profile's name, avatar or color
+ * @param {string} profileId - Id of the profile to update
+ * @param {Object} changes - New name, avatar and/or color
+ * @returns {Object} Updated profile
+ */
+export function updateProfile(profileId, changes = {}) {
+    const profile = getProfile(profileId);
+    if (!profile) {
+        throw new Error('Profile not found');
+    }
+
+    if (changes.name !== undefined) {
+        const trimmedName = validateProfileName(changes.name);
+        const existing = findProfileByName(trimmedName);
+        if (existing && existing.id !== profileId) {
+            throw new Error(`A player named "${trimmedName}" already exists`);
+        }
+        profile.name = trimmedName;
+        scores.renamePlayerInHistory(profileId, trimmedName);
+    }
+
+    if (changes.avatar) {
+        profile.avatar = changes.avatar;
+    }
+
+    if (changes.color) {
+        profile.color = changes.color;
+    }
+
+    saveUserData();
+    return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId - Id of the profile to rename
+ * @param {string} name - New name
+ * @returns {Object} Renamed profile
+ */
+export function renameProfile(profileId, name) {
+    return updateProfile(profileId, { name });
+}
+
+/**
+ * Delete a profile. Its scores stay on the leaderboard under its last name; its
+ * achievements, saved games, daily attempts and RPS opponent models are removed.
+ * @param {string} profileId - Id of the profile to delete
+ */
+export function deleteProfile(profileId) {
+    const index = profiles.findIndex(profile => profile.id === profileId);
+    if (index === -1) {
+        throw new Error('Profile not found');
+    }
+
+    profiles.splice(index, 1);
+    if (currentUser && currentUser.id === profileId) {
+        currentUser = null;
+    }
+    saveUserData();
+    storage.removeProfileRecords(profileId);
+}
+
+/**
+ * Get a profile by id
+ * @param {string} profileId - Profile id
+ * @returns {Object|null} Profile or null
+ */
+export function getProfile(profileId) {
+    return profiles.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Find a profile by name (case-insensitive)
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile or null
+ */
+function findProfileByName(name) {
+    const target = name.trim().toLowerCase();
+    return profiles.find(profile => profile.name.toLowerCase() === target) || null;
+}
+
+/**
+ * Get all profiles
+ * @returns {Array} Copy of the profile list
+ */
+export function getProfiles() {
+    return [...profiles];
+}
+
+/**
+ * Set the current user, creating a profile for the name if needed
+ * @param {string} name - User's name
+ */
+export function setCurrentUser(name) {
+    try {
+        const trimmedName = validateProfileName(name);
+        const existing = findProfileByName(trimmedName);
+        if (existing) {
+            switchProfile(existing.id);
+        } else {
+            createProfile(trimmedName);
+        }
+        console.log('User set successfully:', trimmedName);
+    } catch (error) {
+        console.error('Error setting user:', error);
+        ui.showErrorMessage('Failed to set user name. Please try again.');
+        throw error; // Re-throw to allow calling code to handle
+    }
+}
+
+/**
+ * Get the current user (the active profile)
+ * @returns {Object|null} Current user object or null
+ */
+export function getCurrentUser() {
+    return currentUser;
+}
+
+/**
+ * Update a profile's game count
+ * @param {Object} profile - Profile that played (defaults to the active profile)
+ */
+export function incrementGamesPlayed(profile = currentUser) {
+    if (profile) {
+        profile.totalGamesPlayed++;
+        saveUserData();
+    }
+}
+
+/**
+ * Count a finished game for everyone who played it
+ * @param {Object} event - game:end payload ({ game, results })
+ */
+function countGamesPlayed(event) {
+    event.results.forEach(result => incrementGamesPlayed(result.profile));
+}
+
+events.on('game:end', countGamesPlayed);
@@ -0,0 +1,223 @@
+/**
+ * RevoFun Gaming Company - Utilities
+ * Formatting, escaping and the seeded random generator every game draws from
+ */
+
+// Seeded random numbers: every game draws from one generator, so a game's seed replays it exactly
+const SEED_URL_PARAM = 'seed';
+const MAX_SEED_LENGTH = 32;
+
+// Seeds of the daily challenges ("YYYY-MM-DD:game", see daily.js), which links can't replay:
+// that would let a player see the day's game before their one attempt at it
+const DAILY_SEED_PATTERN = /^\d{4}-\d{2}-\d{2}:/;
+let gameSeed = null;
+let seededRandom = null;
+let randomDraws = 0;
+
+// Page that plays back a saved game (see replay.js)
+const REPLAY_PAGE = 'replay.html';
+
+/**
+ * Format a number with commas
+ * @param {number} num - Number to format
+ * @returns {string} Formatted number
+ */
+export function formatNumber(num) {
+    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Format time in MM:SS format
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = seconds % 60;
+    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Escape text for safe use inside HTML markup
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a random number between min and max (inclusive)
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Random number
+ */
+export function getRandomNumber(min, max) {
+    return Math.floor(nextRandom() * (max - min + 1)) + min;
+}
+
+/**
+ * Shuffle an array using Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} Shuffled array
+ */
+export function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(nextRandom() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Next number from the game's seeded generator
+ * @returns {number} Random number in [0, 1)
+ */
+export function nextRandom() {
+    if (!seededRandom) {
+        startSeededGame();
+    }
+    randomDraws++;
+    return seededRandom();
+}
+
+/**
+ * Seed the generator for a new game. Pages opened with ?seed= replay that seed
+ * for every game; otherwise each game gets a fresh one.
+ * @param {string} seed - Seed to use (defaults to the URL seed, then a new seed)
+ * @param {number} draws - Numbers already drawn, to carry on a resumed game where it left off
+ * @returns {string} Seed in use
+ */
+export function startSeededGame(seed = getUrlSeed() || createSeed(), draws = 0) {
+    gameSeed = String(seed);
+    seededRandom = createRandomGenerator(gameSeed);
+    randomDraws = 0;
+    while (randomDraws < draws) {
+        nextRandom();
+    }
+    return gameSeed;
+}
+
+/**
+ * How many numbers the current game has drawn, for saving it mid-game
+ * @returns {number} Numbers drawn since the game was seeded
+ */
+export function getRandomDraws() {
+    return randomDraws;
+}
+
+/**
+ * Seed of the game in progress
+ * @returns {string|null} Seed, or null before any game has started
+ */
+export function getGameSeed() {
+    return gameSeed;
+}
+
+/**
+ * Create a random generator (mulberry32) that always gives the same numbers for the same seed
+ * @param {string} seed - Seed text
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandomGenerator(seed) {
+    let state = hashSeed(seed);
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash seed text to a 32-bit number (FNV-1a)
+ * @param {string} seed - Seed text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Make a new short seed
+ * @returns {string} Seed text
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 4294967296).toString(36).padStart(7, '0');
+}
+
+/**
+ * Seed given in the page URL (?seed=...). A daily challenge's seed is ignored.
+ * @returns {string|null} Seed, or null if there is none
+ */
+export function getUrlSeed() {
+    const param = new URLSearchParams(window.location.search).get(SEED_URL_PARAM);
+    const seed = param ? param.trim().slice(0, MAX_SEED_LENGTH) : '';
+    return seed && !DAILY_SEED_PATTERN.test(seed) ? seed : null;
+}
+
+/**
+ * Link that replays a seed on the current page
+ * @param {string} seed - Seed to replay
+ * @returns {string} URL
+ */
+export function getSeedUrl(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(SEED_URL_PARAM, seed);
+    url.hash = '';
+    return url.toString();
+}
+
+/**
+ * Link to watch a saved game being played back
+ * @param {Object} entry - History entry with a replay
+ * @returns {string} URL of the replay viewer
+ */
+export function getReplayUrl(entry) {
+    return `${REPLAY_PAGE}?id=${encodeURIComponent(entry.id)}`;
+}
+
+/**
+ * Debounce function to limit function calls
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function} Debounced function
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Check if user is on mobile device
+ * @returns {boolean} True if mobile device
+ */
+export function isMobile() {
+    return window.innerWidth <= 768;
+}
+
+/**
+ * Check if the player has asked their system for less motion
+ * @returns {boolean} True if animations should be kept to a minimum
+ */
+export function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
@@ -0,0 +1,219 @@
+/**
+ * RevoFun Gaming Company - Service Worker
+ * Keeps a copy of every page, script, stylesheet and image so the games work without a
+ * connection. Pages, scripts and styles come from the network while there is one, so a
+ * new build is used as soon as it is deployed, and the copy is kept up to date as they
+ * load; images come from the copy. Changing CACHE_VERSION copies the whole site again and
+ * offers the update to pages already open (see js/pwa.js).
+ */
+
+// Change with every deploy. The files are copied again into a cache of this name and
+// older copies are deleted once the new version takes over.
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `revofun-${CACHE_VERSION}`;
+
+// Files fetched from the network first: pages (and the site root), scripts, styles and the manifest
+const NETWORK_FIRST_PATTERN = /(\/|\.html|\.js|\.css|\.webmanifest)$/;
+
+// How long to wait for the network (e.g. on weak Wi-Fi) before using the copy instead
+const NETWORK_TIMEOUT = 3000;
+
+// Google Fonts, kept as they are loaded so the Inter font works offline after the first visit
+const FONT_CACHE_NAME = 'revofun-fonts';
+const FONT_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Everything the site needs, relative to this file
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'number-guessing.html',
+    'rock-paper-scissors.html',
+    'memory-game.html',
+    'daily.html',
+    'stats.html',
+    'badges.html',
+    'replay.html',
+    'manifest.webmanifest',
+    'css/style.css',
+    'css/games.css',
+    'js/app.js',
+    'js/main.js',
+    'js/storage.js',
+    'js/user.js',
+    'js/scores.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/games.js',
+    'js/game-shell.js',
+    'js/lifecycle.js',
+    'js/events.js',
+    'js/router.js',
+    'js/pwa.js',
+    'js/home.js',
+    'js/rock-paper-scissors.js',
+    'js/rps-ai.js',
+    'js/rps-rules.js',
+    'js/number-guessing.js',
+    'js/memory-game.js',
+    'js/stats.js',
+    'js/achievements.js',
+    'js/session.js',
+    'js/daily.js',
+    'js/daily-calendar.js',
+    'js/badges.js',
+    'js/replay.js',
+    'js/replay-viewer.js',
+    'js/saved-games.js',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png',
+    'assets/backgrounds/3693325.jpg',
+    'assets/backgrounds/3d-network-communications-data-technology-background-with-flowing-particles.jpg',
+    'assets/backgrounds/digital_cyber_particles_background_1407.jpg'
+];
+
+/**
+ * Copy the site into this version's cache. The files are fetched past the browser's HTTP
+ * cache, so a new version never copies the files of the one before it.
+ */
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => {
+            return cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+        })
+    );
+});
+
+/**
+ * Delete the copies kept by older versions, and look after pages opened before this worker
+ */
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys().then(names => {
+            const oldCaches = names.filter(name => name.startsWith('revofun-') && name !== CACHE_NAME && name !== FONT_CACHE_NAME);
+            return Promise.all(oldCaches.map(name => caches.delete(name)));
+        }).then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Take over from the version in use once the player accepts the update (see js/pwa.js)
+ */
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve the site's code from the network, its images from the cache, and Google Fonts
+ * from the cache while refreshing them
+ */
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && NETWORK_FIRST_PATTERN.test(url.pathname)) {
+        event.respondWith(respondFromNetwork(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(respondFromCache(request));
+    } else if (FONT_ORIGINS.includes(url.origin)) {
+        event.respondWith(respondWithFont(request));
+    }
+});
+
+/**
+ * Answer a request for a page, script or style: the network's copy, which replaces the
+ * cached one, or the cached copy when offline or the network is too slow. Pages are kept
+ * without their query string (?daily, ?seed=, ?id=), as the pages read it themselves.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function respondFromNetwork(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const url = new URL(request.url);
+    const key = url.origin + url.pathname;
+
+    const network = fetch(request).then(response => {
+        if (response.ok && response.type === 'basic') {
+            cache.put(key, response.clone());
+        }
+        return response;
+    });
+
+    try {
+        return await Promise.race([
+            network,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timed out')), NETWORK_TIMEOUT))
+        ]);
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            // A slow response still refreshes the copy for next time
+            network.catch(() => {});
+            return cached;
+        }
+        if (request.mode === 'navigate') {
+            const home = await cache.match('index.html');
+            if (home) {
+                network.catch(() => {});
+                return home;
+            }
+        }
+        return network;
+    }
+}
+
+/**
+ * Answer a request for an image or other file that rarely changes: the cached copy if
+ * there is one, otherwise the network
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function respondFromCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline on a page that isn't cached: show the home page rather than the browser's error
+        if (request.mode === 'navigate') {
+            const home = await cache.match('index.html');
+            if (home) {
+                return home;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Answer a request for Google Fonts: the cached copy straight away, fetching a fresh one
+ * for next time. The first visit waits for the network.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function respondWithFont(request) {
+    const cache = await caches.open(FONT_CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Offline, the cached copy is all there is
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}